@@ -7,7 +7,9 @@ const swaggerUi = require('swagger-ui-express')
 const yaml = require('yamljs')
 const swaggerDocs = yaml.load('swagger.yaml')
 const app = express()
-app.use(cors())
+app.use(cors({
+	exposedHeaders: ['Retry-After', 'X-Total-Count', 'X-Page', 'X-Per-Page', 'X-Total-Pages']
+}))
 app.use(express.json())
 app.use(express.urlencoded({ extended: true }))
 app.use(helmet({
@@ -15,13 +17,19 @@ app.use(helmet({
     }));
 app.use('/images', express.static(path.join(__dirname, 'images')))
 
-const db = require("./models");
+const errorHandler = require('./middlewares/errorHandler');
+const { notFound } = require('./utils/errors');
 const userRoutes = require('./routes/user.routes');
 const categoriesRoutes = require('./routes/categories.routes');
 const worksRoutes = require('./routes/works.routes');
-db.sequelize.sync().then(()=> console.log('db is ready'));
+const auditRoutes = require('./routes/audit.routes');
+const messagesRoutes = require('./routes/messages.routes');
 app.use('/api/users', userRoutes);
 app.use('/api/categories', categoriesRoutes);
 app.use('/api/works', worksRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/messages', messagesRoutes);
+app.use('/api', (req, res, next) => next(notFound('Route not found')));
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs))
+app.use(errorHandler);
 module.exports = app;
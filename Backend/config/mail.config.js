@@ -0,0 +1,22 @@
+// Mail settings, read from .env. MAIL_TRANSPORT is smtp (the default), file (one .eml per mail
+// written in MAIL_OUTBOX_DIR) or console (the mail is printed). file and console keep the mails,
+// reset links and temporary passwords included, on the server: refused with NODE_ENV=production.
+module.exports = {
+	transport: process.env.MAIL_TRANSPORT || 'smtp',
+	production: process.env.NODE_ENV === 'production',
+	from: process.env.MAIL_FROM || 'Sophie Bluel <no-reply@sophiebluel.test>',
+	// Recipients of the notifications for the site owner; the admins when empty
+	notifyTo: process.env.MAIL_NOTIFY_TO || '',
+	// Base of the links put in the mails (login page, password reset...)
+	frontendUrl: (process.env.FRONTEND_URL || 'http://localhost:5500').replace(/\/+$/, ''),
+	outboxDir: process.env.MAIL_OUTBOX_DIR || './outbox',
+	smtp: {
+		host: process.env.SMTP_HOST || 'localhost',
+		port: parseInt(process.env.SMTP_PORT) || 587,
+		secure: process.env.SMTP_SECURE === 'true',
+		auth: process.env.SMTP_USER ? {user: process.env.SMTP_USER, pass: process.env.SMTP_PASS} : undefined,
+	},
+	// A failed send is retried up to MAIL_MAX_ATTEMPTS times in all, further and further apart
+	maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS) || 5,
+	retryIntervalMs: (parseInt(process.env.MAIL_RETRY_INTERVAL_SECONDS) || 60) * 1000,
+};
@@ -0,0 +1,26 @@
+const db = require('./../models');
+const AuditLogs = db.auditLogs
+
+// Same pagination headers as GET /works. The actor comes with its email
+// (user is null if the account has since been deleted).
+exports.findAll = async (req, res, next) => {
+	try{
+		const {where, page, limit} = req.auditQuery
+		const {count, rows} = await AuditLogs.findAndCountAll({
+			where,
+			include: {association: 'user', attributes: ['id', 'email']},
+			order: [['createdAt', 'DESC'], ['id', 'DESC']],
+			limit,
+			offset: (page - 1) * limit,
+		})
+		res.set({
+			'X-Total-Count': String(count),
+			'X-Page': String(page),
+			'X-Per-Page': String(limit),
+			'X-Total-Pages': String(Math.max(Math.ceil(count / limit), 1)),
+		})
+		return res.status(200).json(rows)
+	}catch(err){
+		next(err)
+	}
+}
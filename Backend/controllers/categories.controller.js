@@ -1,20 +1,82 @@
 const db = require('./../models');
+const { conflict, notFound, validationError } = require('../utils/errors');
+const { recordAction, snapshot } = require('../utils/audit');
 const Categories = db.categories
+const Works = db.works
 
-exports.findAll = async (req, res) =>  {
+const categoryExists = () => conflict('Category already exists', 'CATEGORY_EXISTS')
+
+exports.findAll = async (req, res, next) =>  {
 	try{
 		const works = await Categories.findAll();
 		return res.status(200).json(works);
 	}catch(err){
-		return res.status(500).json({ error: new Error('Something went wrong')})
+		next(err)
 	}
 
 }
 
-exports.create = async (req, res) => {
+exports.create = async (req, res, next) => {
+	try{
+		const category = await Categories.create(req.category)
+		await recordAction(req.auth.userId, 'create', 'category', {targetId: category.id, after: category})
+		return res.status(201).json(category)
+	}catch(err){
+		next(err.name === 'SequelizeUniqueConstraintError' ? categoryExists() : err)
+	}
+}
 
-	const category = await Categories.create({
-		name : req.body.name
-	})
-	return res.status(201).json(category)
+exports.update = async (req, res, next) => {
+	try{
+		const category = await Categories.findByPk(req.params.id)
+		if(category === null){
+			return next(notFound('Category not found'))
+		}
+		const before = snapshot(category)
+		await category.update(req.category)
+		await recordAction(req.auth.userId, 'update', 'category', {targetId: category.id, before, after: category})
+		return res.status(200).json(category)
+	}catch(err){
+		next(err.name === 'SequelizeUniqueConstraintError' ? categoryExists() : err)
+	}
+}
+
+// A category still used by works is only deleted when ?reassignTo=<id> names
+// the category those works are moved to; otherwise the request is rejected.
+exports.delete = async (req, res, next) => {
+	try{
+		const category = await Categories.findByPk(req.params.id)
+		if(category === null){
+			return next(notFound('Category not found'))
+		}
+		// Works in the trash count too: restored, they need an existing category
+		const worksCount = await Works.count({where: {categoryId: category.id}, paranoid: false})
+		const reassignTo = req.query.reassignTo !== undefined ? parseInt(req.query.reassignTo) : undefined
+		if(worksCount > 0 && reassignTo === undefined){
+			return next(conflict('Category is used by works', 'CATEGORY_IN_USE', {worksCount}))
+		}
+		if(worksCount > 0){
+			const target = reassignTo > 0 && reassignTo !== category.id
+				? await Categories.findByPk(reassignTo)
+				: null
+			if(target === null){
+				return next(validationError({reassignTo: 'Must be the id of another existing category'}))
+			}
+		}
+		await db.sequelize.transaction(async (transaction) => {
+			if(worksCount > 0){
+				await Works.update({categoryId: reassignTo}, {where: {categoryId: category.id}, paranoid: false, transaction})
+			}
+			await category.destroy({transaction})
+		})
+		// after tells where the works of the category went, if it had any
+		await recordAction(req.auth.userId, 'delete', 'category', {
+			targetId: category.id,
+			before: {...snapshot(category), worksCount},
+			after: worksCount > 0 ? {reassignTo} : null,
+		})
+		return res.status(204).json({message: 'Category Deleted Successfully'})
+	}catch(err){
+		next(err)
+	}
 }
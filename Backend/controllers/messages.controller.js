@@ -0,0 +1,62 @@
+const db = require('./../models');
+const { notFound, validationError } = require('../utils/errors');
+const { notifyNewMessage } = require('../utils/notifications');
+const Messages = db.messages
+
+// A message caught by the honeypot gets the same answer but is not stored.
+// The notification is not awaited: a slow mail server does not delay the answer.
+exports.create = async (req, res, next) => {
+	try{
+		if(!req.isSpam){
+			await Messages.create(req.message)
+			notifyNewMessage(req.message)
+		}
+		return res.status(201).json({message: 'Message Sent'})
+	}catch(err){
+		next(err)
+	}
+}
+
+// Last received first
+exports.findAll = async (req, res, next) => {
+	try{
+		const messages = await Messages.findAll({order: [['createdAt', 'DESC'], ['id', 'DESC']]})
+		return res.status(200).json(messages)
+	}catch(err){
+		next(err)
+	}
+}
+
+// Body: {read: boolean}. A message marked read keeps the date it was first read.
+exports.update = async (req, res, next) => {
+	if(typeof req.body.read !== 'boolean'){
+		return next(validationError({read: 'Must be a boolean'}))
+	}
+	try{
+		const message = await Messages.findByPk(req.params.id)
+		if(message === null){
+			return next(notFound('Message not found'))
+		}
+		if(!req.body.read){
+			await message.update({readAt: null})
+		}else if(message.readAt === null){
+			await message.update({readAt: new Date()})
+		}
+		return res.status(200).json(message)
+	}catch(err){
+		next(err)
+	}
+}
+
+exports.delete = async (req, res, next) => {
+	try{
+		const message = await Messages.findByPk(req.params.id)
+		if(message === null){
+			return next(notFound('Message not found'))
+		}
+		await message.destroy()
+		return res.status(204).json({message: 'Message Deleted Successfully'})
+	}catch(err){
+		next(err)
+	}
+}
@@ -1,13 +1,53 @@
 const db = require('./../models');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
+const { isStrongPassword, generateTemporaryPassword } = require('../utils/passwords');
+const {
+	createSession, hashToken, revokeUserRefreshTokens,
+	issuePasswordResetToken, findPasswordResetToken
+} = require('../utils/tokens');
+const loginAttempts = require('../utils/loginAttempts');
+const { recordAction } = require('../utils/audit');
+const { notifyInvitation, notifyPasswordReset } = require('../utils/notifications');
+const { ApiError, badRequest, conflict, forbidden, notFound, unauthorized, validationError } = require('../utils/errors');
 const Users = db.users;
+const RefreshTokens = db.refreshTokens;
+const PasswordResetTokens = db.passwordResetTokens;
 
-exports.signup = async (req, res) => {
+const ROLES = ['admin', 'editor']
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+// Compared against when the email is unknown, so both failures take the same time
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', 10)
+
+// Runs change(transaction) and keeps it only if an active admin remains: without one, nobody could
+// manage users and categories. Returns false when the change has been cancelled.
+// The admins are locked first, so two admins demoting each other at once are checked one after the other.
+const keepingAnAdmin = async (change) => {
+	const transaction = await db.sequelize.transaction()
+	try{
+		await Users.findAll({where: {role: 'admin', disabled: false}, lock: transaction.LOCK.UPDATE, transaction})
+		await change(transaction)
+		if(await Users.count({where: {role: 'admin', disabled: false}, transaction}) === 0){
+			await transaction.rollback()
+			return false
+		}
+		await transaction.commit()
+		return true
+	}catch(err){
+		await transaction.rollback()
+		throw err
+	}
+}
+
+const toPublicUser = (user) => ({
+	id: user.id,
+	email: user.email,
+	role: user.role,
+	disabled: user.disabled
+})
+
+exports.signup = async (req, res, next) => {
 	if(!req.body.email || !req.body.password){
-		return res.status(400).send({
-			message: "Must have email and password"
-		});
+		return next(validationError({email: 'Must have email and password'}))
 	}
 	try{
 		const hash = await bcrypt.hash(req.body.password, 10)
@@ -18,30 +58,271 @@ exports.signup = async (req, res) => {
 		await Users.create(user)
 		return res.status(201).json({message: 'User Created'})
 	}catch (err){
-		return res.status(500).send({
-			message: err.message
-		});
+		next(err)
+	}
+
+}
+
+// Unknown email and wrong password get the same 401 so the response does not reveal which accounts exist
+exports.login = async (req, res, next) => {
+	const fields = {}
+	if(typeof req.body.email !== 'string' || req.body.email.trim() === ''){
+		fields.email = 'Email is required'
+	}
+	if(typeof req.body.password !== 'string' || req.body.password === ''){
+		fields.password = 'Password is required'
+	}
+	if(Object.keys(fields).length > 0){
+		return next(validationError(fields))
+	}
+	try{
+		const user = await Users.findOne({where: {email: req.body.email.trim().toLowerCase()}});
+		const valid = await bcrypt.compare(req.body.password, user === null ? DUMMY_HASH : user.password)
+		if(user === null || !valid){
+			loginAttempts.recordFailure(req)
+			return next(unauthorized('Invalid email or password', 'INVALID_CREDENTIALS'))
+		}
+		loginAttempts.clearFailures(req)
+		if(user.disabled){
+			return next(forbidden('Account disabled', 'ACCOUNT_DISABLED'))
+		}
+		await recordAction(user.id, 'login', 'user', {targetId: user.id})
+		return res.status(200).json(await createSession(user))
+	}catch(err){
+		next(err)
+	}
+}
+
+// Refresh tokens are single use: each refresh revokes the presented token and
+// issues a new pair. Presenting an already revoked token revokes the whole family.
+exports.refresh = async (req, res, next) => {
+	if(typeof req.body.refreshToken !== 'string'){
+		return next(validationError({refreshToken: 'Refresh token is required'}))
+	}
+	try{
+		const stored = await RefreshTokens.findOne({
+			where: {tokenHash: hashToken(req.body.refreshToken)},
+			include: 'user'
+		})
+		if(stored === null){
+			return next(unauthorized('Invalid refresh token'))
+		}
+		if(stored.revokedAt !== null){
+			await revokeUserRefreshTokens(stored.userId)
+			return next(unauthorized('Invalid refresh token'))
+		}
+		await stored.update({revokedAt: new Date()})
+		if(stored.expiresAt < new Date() || stored.user === null || stored.user.disabled){
+			return next(unauthorized('Invalid refresh token'))
+		}
+		return res.status(200).json(await createSession(stored.user))
+	}catch(err){
+		next(err)
 	}
+}
 
+exports.logout = async (req, res, next) => {
+	if(typeof req.body.refreshToken !== 'string'){
+		return next(validationError({refreshToken: 'Refresh token is required'}))
+	}
+	try{
+		await RefreshTokens.update(
+			{revokedAt: new Date()},
+			{where: {tokenHash: hashToken(req.body.refreshToken), revokedAt: null}}
+		)
+		return res.status(204).json({message: 'Logged out'})
+	}catch(err){
+		next(err)
+	}
 }
 
-exports.login = async (req, res) => {
-	const user = await Users.findOne({where: {email: req.body.email}});
-	if(user === null){
-		return res.status(404).json({message: 'user not found'})
-	}else {
-		const valid = await bcrypt.compare(req.body.password, user.password)
+exports.findAll = async (req, res, next) => {
+	try{
+		const users = await Users.findAll({order: [['id', 'ASC']]})
+		return res.status(200).json(users.map(toPublicUser))
+	}catch(err){
+		next(err)
+	}
+}
+
+exports.invite = async (req, res, next) => {
+	const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : ''
+	const role = req.body.role ?? 'editor'
+	const fields = {}
+	if(!EMAIL_REGEX.test(email)){
+		fields.email = 'Must be a valid email'
+	}
+	if(!ROLES.includes(role)){
+		fields.role = 'Must be one of ' + ROLES.join(', ')
+	}
+	if(Object.keys(fields).length > 0){
+		return next(validationError(fields))
+	}
+	try{
+		const temporaryPassword = generateTemporaryPassword()
+		const hash = await bcrypt.hash(temporaryPassword, 10)
+		const user = await Users.create({email, password: hash, role})
+		await recordAction(req.auth.userId, 'create', 'user', {targetId: user.id, after: toPublicUser(user)})
+		// Mail not awaited; the temporary password is in the answer too, for the admin to pass on
+		notifyInvitation(user, temporaryPassword)
+		return res.status(201).json({...toPublicUser(user), temporaryPassword})
+	}catch(err){
+		next(err.name === 'SequelizeUniqueConstraintError'
+			? conflict('User already exists', 'USER_EXISTS')
+			: err)
+	}
+}
+
+exports.update = async (req, res, next) => {
+	const changes = {}
+	const fields = {}
+	if(req.body.role !== undefined){
+		if(ROLES.includes(req.body.role)){
+			changes.role = req.body.role
+		}else{
+			fields.role = 'Must be one of ' + ROLES.join(', ')
+		}
+	}
+	if(req.body.disabled !== undefined){
+		if(typeof req.body.disabled === 'boolean'){
+			changes.disabled = req.body.disabled
+		}else{
+			fields.disabled = 'Must be a boolean'
+		}
+	}
+	if(Object.keys(fields).length > 0){
+		return next(validationError(fields))
+	}
+	if(Object.keys(changes).length === 0){
+		return next(badRequest('Nothing to update'))
+	}
+	// An admin cannot lock themselves out
+	if(Number(req.params.id) === req.auth.userId && (changes.disabled === true || changes.role === 'editor')){
+		return next(conflict('Cannot disable or demote your own account', 'SELF_ACTION'))
+	}
+	try{
+		const user = await Users.findByPk(req.params.id)
+		if(user === null){
+			return next(notFound('User not found'))
+		}
+		const before = toPublicUser(user)
+		if(!await keepingAnAdmin(transaction => user.update(changes, {transaction}))){
+			return next(conflict('Cannot disable or demote the last admin', 'LAST_ADMIN'))
+		}
+		if(user.disabled){
+			await revokeUserRefreshTokens(user.id)
+		}
+		await recordAction(req.auth.userId, 'update', 'user', {targetId: user.id, before, after: toPublicUser(user)})
+		return res.status(200).json(toPublicUser(user))
+	}catch(err){
+		next(err)
+	}
+}
+
+exports.delete = async (req, res, next) => {
+	if(Number(req.params.id) === req.auth.userId){
+		return next(conflict('Cannot delete your own account', 'SELF_ACTION'))
+	}
+	try{
+		const user = await Users.findByPk(req.params.id)
+		if(user === null){
+			return next(notFound('User not found'))
+		}
+		if(!await keepingAnAdmin(transaction => user.destroy({transaction}))){
+			return next(conflict('Cannot delete the last admin', 'LAST_ADMIN'))
+		}
+		await recordAction(req.auth.userId, 'delete', 'user', {targetId: user.id, before: toPublicUser(user)})
+		return res.status(204).json({message: 'User Deleted Successfully'})
+	}catch(err){
+		next(err)
+	}
+}
+
+exports.changePassword = async (req, res, next) => {
+	const { currentPassword, newPassword } = req.body
+	const fields = {}
+	if(typeof currentPassword !== 'string' || currentPassword === ''){
+		fields.currentPassword = 'Current password is required'
+	}
+	if(!isStrongPassword(newPassword)){
+		fields.newPassword = 'Must have at least 8 characters, a letter and a digit'
+	}
+	if(Object.keys(fields).length > 0){
+		return next(validationError(fields))
+	}
+	try{
+		const user = await Users.findByPk(req.auth.userId)
+		const valid = await bcrypt.compare(currentPassword, user.password)
 		if(!valid){
-			return res.status(401).json({ error: new Error('Not Authorized') })
-		}
-		return res.status(200).json({
-			userId: user.id,
-			token: jwt.sign(
-				{userId : user.id},
-				process.env.TOKEN_SECRET,
-				{ expiresIn: '24h' }
+			return next(unauthorized('Current password is incorrect', 'INVALID_CREDENTIALS'))
+		}
+		await user.update({password: await bcrypt.hash(newPassword, 10)})
+		// Other sessions are closed, the current one gets a fresh pair of tokens
+		await revokeUserRefreshTokens(user.id)
+		return res.status(200).json(await createSession(user))
+	}catch(err){
+		next(err)
+	}
+}
+
+// Same answer whether the email belongs to an account or not. An active account gets
+// a mail with a single-use link to the reset page of the FrontEnd. The token is issued after
+// answering, so both cases also take the same time.
+exports.requestPasswordReset = async (req, res, next) => {
+	const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : ''
+	if(!EMAIL_REGEX.test(email)){
+		return next(validationError({email: 'Must be a valid email'}))
+	}
+	try{
+		const user = await Users.findOne({where: {email}})
+		res.status(202).json({message: 'If an account uses this email, a reset link has been sent'})
+		if(user !== null && !user.disabled){
+			issuePasswordResetToken(user)
+				.then(token => notifyPasswordReset(user, token))
+				.catch(console.error)
+		}
+	}catch(err){
+		next(err)
+	}
+}
+
+// The token is used once. Every session of the user is closed: they log in with the new password.
+exports.confirmPasswordReset = async (req, res, next) => {
+	const { token, newPassword } = req.body
+	const fields = {}
+	if(typeof token !== 'string' || token === ''){
+		fields.token = 'Reset token is required'
+	}
+	if(!isStrongPassword(newPassword)){
+		fields.newPassword = 'Must have at least 8 characters, a letter and a digit'
+	}
+	if(Object.keys(fields).length > 0){
+		return next(validationError(fields))
+	}
+	try{
+		const stored = await findPasswordResetToken(token)
+		if(stored === null){
+			return next(new ApiError(400, 'INVALID_RESET_TOKEN', 'Invalid or expired reset token'))
+		}
+		const hash = await bcrypt.hash(newPassword, 10)
+		// Only one of two concurrent requests with the same link marks it used
+		const used = await db.sequelize.transaction(async (transaction) => {
+			const [count] = await PasswordResetTokens.update(
+				{usedAt: new Date()},
+				{where: {id: stored.id, usedAt: null}, transaction}
 			)
+			if(count === 0){
+				return false
+			}
+			await stored.user.update({password: hash}, {transaction})
+			return true
 		})
-
+		if(!used){
+			return next(new ApiError(400, 'INVALID_RESET_TOKEN', 'Invalid or expired reset token'))
+		}
+		await revokeUserRefreshTokens(stored.userId)
+		return res.status(200).json({message: 'Password changed'})
+	}catch(err){
+		next(err)
 	}
 }
@@ -1,36 +1,286 @@
+const { Op } = require('sequelize')
 const db = require('./../models');
+const slugify = require('../utils/slugify');
+const { createImageVariants, removeUploadedFile, removeWorkImages } = require('../utils/images');
+const { notFound, validationError } = require('../utils/errors');
+const { isPublished } = require('../utils/workStatus');
+const { trashedOptions, purgeWork } = require('../utils/trash');
+const { recordAction, snapshot } = require('../utils/audit');
+const { checkFile } = require('../middlewares/checkImage');
+const { readNewWork } = require('../middlewares/checkWork');
+const { toApiError } = require('../middlewares/errorHandler');
 const Works = db.works
+const WorkImages = db.workImages
+const Categories = db.categories
 
-exports.findAll = async (req, res) =>  {
-	const works = await Works.findAll({include: 'category'});
-	return res.status(200).json(works);
+// A work with its category and its additional images in order
+const findWork = (where) => Works.findOne({
+	where,
+	include: ['category', 'images'],
+	order: [[{model: WorkImages, as: 'images'}, 'position', 'ASC']],
+})
+
+// Slug of the title, suffixed with -2, -3... if another work uses it (works in the trash included,
+// they keep theirs). Never only digits, so GET /works/:id can tell an id from a slug.
+const uniqueSlug = async (title, exceptId = 0) => {
+	let base = slugify(title).replace(/-+/g, '-').replace(/^-|-$/g, '') || 'projet'
+	if(/^\d+$/.test(base)){
+		base = 'projet-' + base
+	}
+	const works = await Works.findAll({
+		attributes: ['slug'],
+		where: {slug: {[Op.startsWith]: base}, id: {[Op.ne]: exceptId}},
+		paranoid: false,
+	})
+	const taken = new Set(works.map(work => work.slug))
+	let slug = base
+	for(let suffix = 2; taken.has(slug); suffix++){
+		slug = `${base}-${suffix}`
+	}
+	return slug
 }
 
-exports.create = async (req, res) => {
-	const host = req.get('host');
-	const title = req.body.title;
-	const categoryId = req.body.category;
-	const userId = req.auth.userId;
-	const imageUrl = `${req.protocol}://${host}/images/${req.file.filename}`;
+// Rows for the additional images uploaded with the request, placed after firstPosition
+const uploadedImages = (req, workId, firstPosition) => req.files.map((file, index) => ({
+	workId,
+	imageUrl: `${req.protocol}://${req.get('host')}/images/${file.filename}`,
+	imageVariants: file.variants || [],
+	position: firstPosition + index,
+}))
+
+// Creates a work at the end of the gallery with its slug. imagesOf(workId) gives the rows
+// of its additional images, created in the same transaction.
+const insertWork = async (data, imagesOf = () => []) => {
+	const position = (await Works.max('position') || 0) + 1
+	const slug = await uniqueSlug(data.title)
+	const work = await db.sequelize.transaction(async (transaction) => {
+		const work = await Works.create({...data, slug, position}, {transaction})
+		await WorkImages.bulkCreate(imagesOf(work.id), {transaction})
+		return work
+	})
+	return findWork({id: work.id})
+}
+
+// Pagination goes in headers so the body stays a plain array of works
+exports.findAll = async (req, res, next) =>  {
 	try{
-		const work = await Works.create({
-			title,
-			imageUrl,
-			categoryId,
-			userId
+		const {where, order, page, limit} = req.worksQuery
+		const {count, rows} = await Works.findAndCountAll({
+			where,
+			order,
+			include: 'category',
+			limit: limit ?? undefined,
+			offset: limit ? (page - 1) * limit : undefined,
+		});
+		const perPage = limit ?? Math.max(count, 1)
+		res.set({
+			'X-Total-Count': String(count),
+			'X-Page': String(page),
+			'X-Per-Page': String(perPage),
+			'X-Total-Pages': String(Math.max(Math.ceil(count / perPage), 1)),
 		})
+		return res.status(200).json(rows);
+	}catch(err){
+		next(err)
+	}
+}
+
+// :id is a work id or its slug. Unpublished works are only shown to authenticated users.
+exports.findOne = async (req, res, next) => {
+	try{
+		const key = req.params.id
+		const work = await findWork(/^\d+$/.test(key) ? {id: Number(key)} : {slug: key})
+		if(work === null || (!req.auth && !isPublished(work))){
+			return next(notFound('Work not found'))
+		}
+		return res.status(200).json(work)
+	}catch(err){
+		next(err)
+	}
+}
+
+exports.create = async (req, res, next) => {
+	try{
+		if(await Categories.findByPk(req.work.categoryId) === null){
+			return next(validationError({category: 'Unknown category'}))
+		}
+		const work = await insertWork(
+			{...req.work, imageVariants: req.file.variants || []},
+			(workId) => uploadedImages(req, workId, 1)
+		)
+		await recordAction(req.auth.userId, 'create', 'work', {targetId: work.id, after: work})
 		return res.status(201).json(work)
 	}catch (err) {
-		return res.status(500).json({ error: new Error('Something went wrong') })
+		next(err)
 	}
 }
 
-exports.delete = async (req, res) => {
+// One item of a batch: the same checks as POST /works, then the work is created.
+// Throws the error that rejects the item.
+const createBatchItem = async (req, body, file, rejection) => {
+	if(rejection){
+		throw rejection
+	}
+	const fields = {}
+	const data = readNewWork(body, file, fields)
+	if(Object.keys(fields).length > 0){
+		throw validationError(fields)
+	}
+	const fileError = await checkFile(file)
+	if(fileError){
+		throw fileError
+	}
+	if(await Categories.findByPk(data.categoryId) === null){
+		throw validationError({category: 'Unknown category'})
+	}
+	const baseUrl = `${req.protocol}://${req.get('host')}/images/`
 	try{
-		await Works.destroy({where:{id: req.params.id}})
-		return res.status(204).json({message: 'Work Deleted Successfully'})
+		file.variants = await createImageVariants(file.path, baseUrl)
 	}catch(e){
-		return res.status(500).json({error: new Error('Something went wrong')})
+		throw validationError({[file.fieldname]: 'Image could not be processed'})
 	}
+	const work = await insertWork({...data, userId: req.auth.userId, imageUrl: baseUrl + file.filename, imageVariants: file.variants})
+	await recordAction(req.auth.userId, 'create', 'work', {targetId: work.id, after: work})
+	return work
+}
 
+// One work per file, in order. An item that fails does not stop the others: the answer is 201 when
+// every work was created, 207 otherwise, with the result of each item ({index, status, work|error}).
+exports.createBatch = async (req, res, next) => {
+	try{
+		const count = Math.max(req.batchItems.length, req.batchFileCount)
+		const results = []
+		for(let index = 0; index < count; index++){
+			const file = req.files.find(uploaded => uploaded.index === index)
+			try{
+				const work = await createBatchItem(req, req.batchItems[index] || {}, file, req.batchRejections[index])
+				results.push({index, status: 'created', work})
+			}catch(err){
+				await removeUploadedFile(file)
+				const apiError = toApiError(err)
+				if(apiError.status >= 500){
+					console.error(err)
+				}
+				const error = {code: apiError.code, message: apiError.message}
+				if(apiError.details !== undefined){
+					error.details = apiError.details
+				}
+				results.push({index, status: 'rejected', error})
+			}
+		}
+		const created = results.filter(result => result.status === 'created').length
+		return res.status(created === count ? 201 : 207).json({created, rejected: count - created, results})
+	}catch(err){
+		next(err)
+	}
+}
+
+exports.update = async (req, res, next) => {
+	try{
+		const work = req.currentWork
+		if(req.work.categoryId !== undefined && await Categories.findByPk(req.work.categoryId) === null){
+			return next(validationError({category: 'Unknown category'}))
+		}
+		const removedImages = await WorkImages.findAll({where: {workId: work.id, id: req.removeImageIds}})
+		if(removedImages.length !== req.removeImageIds.length){
+			return next(validationError({removeImages: 'Unknown image for this work'}))
+		}
+		const previousImages = {imageUrl: work.imageUrl, imageVariants: work.imageVariants}
+		const before = await findWork({id: work.id})
+		if(req.file){
+			req.work.imageVariants = req.file.variants || []
+		}
+		if(req.work.title !== undefined && req.work.title !== work.title){
+			req.work.slug = await uniqueSlug(req.work.title, work.id)
+		}
+		await db.sequelize.transaction(async (transaction) => {
+			await work.update(req.work, {transaction})
+			await WorkImages.destroy({where: {id: req.removeImageIds}, transaction})
+			const lastPosition = await WorkImages.max('position', {where: {workId: work.id}, transaction}) || 0
+			await WorkImages.bulkCreate(uploadedImages(req, work.id, lastPosition + 1), {transaction})
+		})
+		if(req.work.imageUrl && req.work.imageUrl !== previousImages.imageUrl){
+			await removeWorkImages(previousImages)
+		}
+		await removeWorkImages({images: removedImages})
+		const updated = await findWork({id: work.id})
+		await recordAction(req.auth.userId, 'update', 'work', {targetId: work.id, before, after: updated})
+		return res.status(200).json(updated)
+	}catch (err) {
+		next(err)
+	}
+}
+
+// Positions follow the order of req.worksOrder, which must list every work once
+exports.reorder = async (req, res, next) => {
+	try{
+		const ids = req.worksOrder
+		const works = await Works.findAll({attributes: ['id'], order: [['position', 'ASC']]})
+		if(works.length !== ids.length || !works.every(work => ids.includes(work.id))){
+			return next(validationError({ids: 'Must list every work exactly once'}))
+		}
+		await db.sequelize.transaction(async (transaction) => {
+			for(const [index, id] of ids.entries()){
+				await Works.update({position: index + 1}, {where: {id}, transaction})
+			}
+		})
+		const reordered = await Works.findAll({include: 'category', order: [['position', 'ASC']]})
+		await recordAction(req.auth.userId, 'reorder', 'work', {
+			before: {ids: works.map(work => work.id)},
+			after: {ids},
+		})
+		return res.status(200).json(reordered)
+	}catch(err){
+		next(err)
+	}
+}
+
+// Moves the work to the trash: it disappears from every list but keeps its files until it is purged
+exports.delete = async (req, res, next) => {
+	try{
+		const before = snapshot(req.currentWork)
+		await req.currentWork.destroy()
+		await recordAction(req.auth.userId, 'delete', 'work', {targetId: req.currentWork.id, before})
+		return res.status(204).json({message: 'Work Deleted Successfully'})
+	}catch(err){
+		next(err)
+	}
+
+}
+
+// Works in the trash, last deleted first. An editor only sees the works they created.
+exports.findTrash = async (req, res, next) => {
+	try{
+		const where = req.auth.role === 'admin' ? {} : {userId: req.auth.userId}
+		const works = await Works.findAll({
+			...trashedOptions(where),
+			include: 'category',
+			order: [['deletedAt', 'DESC'], ['id', 'ASC']],
+		})
+		return res.status(200).json(works)
+	}catch(err){
+		next(err)
+	}
+}
+
+// The work is back where it was in the gallery, with its status
+exports.restore = async (req, res, next) => {
+	try{
+		await req.currentWork.restore()
+		const work = await findWork({id: req.currentWork.id})
+		await recordAction(req.auth.userId, 'restore', 'work', {targetId: work.id, after: work})
+		return res.status(200).json(work)
+	}catch(err){
+		next(err)
+	}
+}
+
+exports.purge = async (req, res, next) => {
+	try{
+		await purgeWork(req.currentWork)
+		await recordAction(req.auth.userId, 'purge', 'work', {targetId: req.currentWork.id, before: req.currentWork})
+		return res.status(204).json({message: 'Work Purged Successfully'})
+	}catch(err){
+		next(err)
+	}
 }
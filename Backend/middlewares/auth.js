@@ -1,20 +1,24 @@
 const jwt = require('jsonwebtoken')
+const db = require('./../models');
+const { unauthorized } = require('../utils/errors')
+const Users = db.users
 
-module.exports = (req, res, next) => {
+module.exports = async (req, res, next) => {
 	try {
-		console.log(req.headers.authorization);
 		const token = req.headers.authorization.split(' ')[1]
 		const decodedToken = jwt.verify(token, process.env.TOKEN_SECRET)
 		const userId = decodedToken.userId
-		req.auth = { userId }
+		const user = await Users.findByPk(userId)
+		if (user === null || user.disabled) {
+			throw 'Unknown or disabled user'
+		}
+		req.auth = { userId, role: user.role }
 		if (req.body.userId && req.body.userId !== userId) {
 			throw 'Invalid user ID'
 		} else {
 			next()
 		}
 	} catch {
-		res.status(401).json({
-			error: new Error('You are not authenticated')
-		})
+		next(unauthorized('You are not authenticated'))
 	}
 }
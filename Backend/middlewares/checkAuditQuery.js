@@ -0,0 +1,61 @@
+const { Op } = require('sequelize')
+const { validationError } = require('../utils/errors')
+const { ACTIONS, TARGET_TYPES } = require('../utils/audit')
+
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 100
+
+const isId = (value) => /^\d+$/.test(value) && Number(value) > 0
+const isDate = (value) => !Number.isNaN(Date.parse(value))
+
+// Builds req.auditQuery from GET /audit query parameters:
+// ?userId=<id>&action=<action>&targetType=<type>&targetId=<id>&from=<date>&to=<date>&page=<n>&limit=<n>
+// Entries come last first, always by pages (50 by default).
+module.exports = (req, res, next) => {
+	const {userId, action, targetType, targetId, from, to, page = '1', limit = String(DEFAULT_LIMIT)} = req.query
+	const fields = {}
+	const where = {}
+
+	if(userId !== undefined){
+		if(isId(userId)) where.userId = Number(userId)
+		else fields.userId = 'Must be a user id'
+	}
+	if(action !== undefined){
+		if(ACTIONS.includes(action)) where.action = action
+		else fields.action = 'Must be one of ' + ACTIONS.join(', ')
+	}
+	if(targetType !== undefined){
+		if(TARGET_TYPES.includes(targetType)) where.targetType = targetType
+		else fields.targetType = 'Must be one of ' + TARGET_TYPES.join(', ')
+	}
+	if(targetId !== undefined){
+		if(isId(targetId)) where.targetId = Number(targetId)
+		else fields.targetId = 'Must be an id'
+	}
+	const createdAt = {}
+	if(from !== undefined){
+		if(isDate(from)) createdAt[Op.gte] = new Date(from)
+		else fields.from = 'Must be a date (ISO 8601)'
+	}
+	if(to !== undefined){
+		if(isDate(to)) createdAt[Op.lte] = new Date(to)
+		else fields.to = 'Must be a date (ISO 8601)'
+	}
+	if(Object.getOwnPropertySymbols(createdAt).length > 0){
+		where.createdAt = createdAt
+	}
+	const pageNumber = Number(page)
+	if(!Number.isInteger(pageNumber) || pageNumber < 1){
+		fields.page = 'Must be a positive integer'
+	}
+	const pageSize = Number(limit)
+	if(!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_LIMIT){
+		fields.limit = `Must be an integer between 1 and ${MAX_LIMIT}`
+	}
+	if(Object.keys(fields).length > 0){
+		return next(validationError(fields))
+	}
+
+	req.auditQuery = {where, page: pageNumber, limit: pageSize}
+	next()
+}
@@ -0,0 +1,10 @@
+const { validationError } = require('../utils/errors')
+
+module.exports = (req, res, next) => {
+	const name = typeof req.body.name === 'string' ? req.body.name.trim() : ''
+	if(name.length === 0 || name.length > 50){
+		return next(validationError({name: 'Name is required (50 characters max)'}))
+	}
+	req.category = {name}
+	next()
+}
@@ -0,0 +1,45 @@
+const fs = require('fs/promises')
+const path = require('path')
+const { UPLOAD_RULES, sniffImageType, readImageSize } = require('../utils/images')
+const { unsupportedMediaType, validationError } = require('../utils/errors')
+
+// Resolves to the error for an unacceptable file, or null. A file whose content does not
+// match its declared type is renamed with the extension of its actual type.
+const checkFile = async (file) => {
+	const type = await sniffImageType(file.path)
+	if(type === null){
+		return unsupportedMediaType('Unsupported image type', {allowedTypes: Object.keys(UPLOAD_RULES.types), field: file.fieldname})
+	}
+	const {width, height} = await readImageSize(file.path).catch(() => ({}))
+	const {minDimension, maxDimension} = UPLOAD_RULES
+	if(!(width >= minDimension && height >= minDimension && width <= maxDimension && height <= maxDimension)){
+		return validationError({[file.fieldname]: `Image must be ${minDimension} to ${maxDimension} pixels on each side`})
+	}
+	if(type !== file.mimetype){
+		const extension = UPLOAD_RULES.types[type].extension
+		const filename = path.basename(file.filename, path.extname(file.filename)) + '.' + extension
+		const target = path.join(path.dirname(file.path), filename)
+		await fs.rename(file.path, target)
+		Object.assign(file, {mimetype: type, filename, path: target})
+	}
+	return null
+}
+
+// Runs after multer: the content of every uploaded image (main and additional ones)
+// must really be a JPEG or PNG within the dimension limits.
+module.exports = async (req, res, next) => {
+	try{
+		for(const file of [req.file, ...req.files].filter(Boolean)){
+			const error = await checkFile(file)
+			if(error){
+				return next(error)
+			}
+		}
+		next()
+	}catch(err){
+		next(err)
+	}
+}
+
+// Batch upload checks each file on its own
+module.exports.checkFile = checkFile
@@ -0,0 +1,28 @@
+const { validationError } = require('../utils/errors')
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+// Body of POST /messages: {name, email, message}. `website` is a honeypot, hidden
+// from people by the contact form: a bot that fills it is flagged with req.isSpam.
+module.exports = (req, res, next) => {
+	const read = (field) => typeof req.body[field] === 'string' ? req.body[field].trim() : ''
+	const name = read('name')
+	const email = read('email').toLowerCase()
+	const message = read('message')
+	const fields = {}
+	if(name.length === 0 || name.length > 100){
+		fields.name = 'Name is required (100 characters max)'
+	}
+	if(!EMAIL_REGEX.test(email) || email.length > 254){
+		fields.email = 'Must be a valid email'
+	}
+	if(message.length < 10 || message.length > 5000){
+		fields.message = 'Message must have 10 to 5000 characters'
+	}
+	if(Object.keys(fields).length > 0){
+		return next(validationError(fields))
+	}
+	req.message = {name, email, message}
+	req.isSpam = read('website') !== ''
+	next()
+}
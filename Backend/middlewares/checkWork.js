@@ -1,25 +1,37 @@
-module.exports = (req, res, next) => {
-	try{
-		const host = req.get('host');
-		const title = req.body.title.trim() ?? undefined;
-		const categoryId = parseInt(req.body.category) ?? undefined;
-		const userId = req.auth.userId ?? undefined;
-		const imageUrl = `${req.protocol}://${host}/images/${req.file.filename}` ?? undefined;
-	console.log(title,categoryId,userId,imageUrl)
-		if(title !== undefined &&
-			title.length > 0 &&
-			categoryId !== undefined &&
-			categoryId > 0 &&
-			userId !== undefined &&
-			userId > 0 &&
-			imageUrl !== undefined){
-			req.work = {title, categoryId, userId, imageUrl}
-			next()
-		}else{
-			return res.status(400).json({error: new Error("Bad Request")})
-		}
-	}catch(e){
-		return res.status(500).json({error: new Error("Something wrong occured")})
+const { validationError } = require('../utils/errors')
+const { readWorkDetails } = require('../utils/workDetails')
+const { readWorkStatus } = require('../utils/workStatus')
+
+// Fields of a new work read from a form body and its main image file.
+// Invalid fields are reported in fields as {name: message}.
+const readNewWork = (body, file, fields) => {
+	const title = typeof body.title === 'string' ? body.title.trim() : ''
+	const categoryId = parseInt(body.category)
+	const work = {}
+	if(!file){
+		fields.image = 'Image is required'
+	}
+	if(title.length === 0){
+		fields.title = 'Title is required'
+	}
+	if(!(categoryId > 0)){
+		fields.category = 'Category is required'
 	}
+	readWorkDetails(body, work, fields)
+	readWorkStatus(body, work, fields)
+	return {...work, title, categoryId}
+}
 
+module.exports = (req, res, next) => {
+	const fields = {}
+	const work = readNewWork(req.body, req.file, fields)
+	if(Object.keys(fields).length > 0){
+		return next(validationError(fields))
+	}
+	const imageUrl = `${req.protocol}://${req.get('host')}/images/${req.file.filename}`
+	req.work = {...work, userId: req.auth.userId, imageUrl}
+	next()
 }
+
+// Batch upload reads each item the same way
+module.exports.readNewWork = readNewWork
@@ -0,0 +1,29 @@
+const db = require('./../models');
+const { forbidden, notFound } = require('../utils/errors')
+const { trashedOptions } = require('../utils/trash')
+const Works = db.works
+
+// Only the user who created a work, or an admin, may modify or delete it
+const checkOwner = (findWork, notFoundMessage) => async (req, res, next) => {
+	try{
+		const work = await findWork(req.params.id)
+		if(work === null){
+			return next(notFound(notFoundMessage))
+		}
+		if(work.userId !== req.auth.userId && req.auth.role !== 'admin'){
+			return next(forbidden('Only the owner of the work or an admin can change it'))
+		}
+		req.currentWork = work
+		next()
+	}catch(err){
+		next(err)
+	}
+
+}
+
+module.exports = checkOwner((id) => Works.findByPk(id), 'Work not found')
+// Same rule for a work in the trash, to restore or purge it
+module.exports.trashed = checkOwner(
+	(id) => Works.findOne(trashedOptions({id: Number(id) || 0})),
+	'Work not found in the trash'
+)
@@ -0,0 +1,52 @@
+const { badRequest, validationError } = require('../utils/errors')
+const { DETAIL_NAMES, readWorkDetails } = require('../utils/workDetails')
+const { readWorkStatus } = require('../utils/workStatus')
+
+// PUT replaces title and category (both required), the details (missing ones are cleared)
+// and the status (published right away if missing),
+// PATCH changes any of title, category, details, status, publishAt, image.
+// Both may add images (files in "images") and remove some (ids in "removeImages", comma-separated or repeated).
+module.exports = (req, res, next) => {
+	const work = {}
+	const fields = {}
+	if(req.body.title !== undefined){
+		work.title = String(req.body.title).trim()
+		if(work.title.length === 0) fields.title = 'Title cannot be empty'
+	}else if(req.method === 'PUT'){
+		fields.title = 'Title is required'
+	}
+	if(req.body.category !== undefined){
+		work.categoryId = parseInt(req.body.category)
+		if(!(work.categoryId > 0)) fields.category = 'Category must be a category id'
+	}else if(req.method === 'PUT'){
+		fields.category = 'Category is required'
+	}
+	const details = req.method === 'PUT'
+		? {...Object.fromEntries(DETAIL_NAMES.map(name => [name, ''])), ...req.body}
+		: req.body
+	readWorkDetails(details, work, fields)
+	const status = req.method === 'PUT'
+		? {status: 'published', publishAt: '', ...req.body}
+		: req.body
+	readWorkStatus(status, work, fields)
+	if(req.file){
+		work.imageUrl = `${req.protocol}://${req.get('host')}/images/${req.file.filename}`
+	}
+	const removeImages = [req.body.removeImages ?? []].flat()
+		.flatMap(value => String(value).split(','))
+		.map(value => value.trim())
+		.filter(value => value !== '')
+		.map(Number)
+	if(!removeImages.every(id => Number.isInteger(id) && id > 0)){
+		fields.removeImages = 'Must be image ids'
+	}
+	if(Object.keys(fields).length > 0){
+		return next(validationError(fields))
+	}
+	if(Object.keys(work).length === 0 && req.files.length === 0 && removeImages.length === 0){
+		return next(badRequest('Nothing to update'))
+	}
+	req.work = work
+	req.removeImageIds = removeImages
+	next()
+}
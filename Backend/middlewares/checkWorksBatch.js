@@ -0,0 +1,26 @@
+const { UPLOAD_RULES } = require('../utils/images')
+const { validationError } = require('../utils/errors')
+
+// Body of POST /works/batch, besides the files: items, a JSON array with the fields of each work
+// ({title, category, description, ...}) in the order of the files
+module.exports = (req, res, next) => {
+	let items = []
+	if(req.body.items !== undefined){
+		try{
+			items = JSON.parse(req.body.items)
+		}catch(e){
+			items = null
+		}
+	}
+	if(!Array.isArray(items) || !items.every(item => item !== null && typeof item === 'object' && !Array.isArray(item))){
+		return next(validationError({items: 'Must be a JSON array of objects, one per file'}))
+	}
+	if(items.length > UPLOAD_RULES.maxBatchWorks){
+		return next(validationError({items: `${UPLOAD_RULES.maxBatchWorks} works max per batch`}))
+	}
+	if(req.batchFileCount === 0){
+		return next(validationError({files: 'At least one image is required'}))
+	}
+	req.batchItems = items
+	next()
+}
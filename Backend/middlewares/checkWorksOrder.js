@@ -0,0 +1,14 @@
+const { validationError } = require('../utils/errors')
+
+// Body of PUT /works/order: {ids: [<work id>, ...]} in the new display order
+module.exports = (req, res, next) => {
+	const ids = Array.isArray(req.body.ids) ? req.body.ids.map(Number) : null
+	if(ids === null || ids.length === 0 || !ids.every(id => Number.isInteger(id) && id > 0)){
+		return next(validationError({ids: 'Must be a non-empty array of work ids'}))
+	}
+	if(new Set(ids).size !== ids.length){
+		return next(validationError({ids: 'Must not contain the same work twice'}))
+	}
+	req.worksOrder = ids
+	next()
+}
@@ -0,0 +1,84 @@
+const { Op } = require('sequelize')
+const db = require('./../models');
+const slugify = require('../utils/slugify')
+const { unauthorized, validationError } = require('../utils/errors')
+const { STATUSES, publishedWhere } = require('../utils/workStatus')
+const Categories = db.categories
+
+const SORTABLE = ['position', 'id', 'title', 'createdAt']
+const MAX_LIMIT = 100
+
+const findCategory = async (value) => {
+	if(/^\d+$/.test(value)){
+		return Categories.findByPk(Number(value))
+	}
+	const categories = await Categories.findAll()
+	return categories.find(category => slugify(category.name) === value.toLowerCase()) || null
+}
+
+// Title LIKE %q%, where % and _ typed in q are searched as such, not as wildcards.
+// The escape character is ! rather than a backslash, which the dialects do not quote the same way.
+// Both sides are lowercased: LIKE ignores case on SQLite and MySQL but not on PostgreSQL.
+const titleContains = (q) => {
+	const pattern = '%' + q.toLowerCase().replace(/[!%_]/g, '!$&') + '%'
+	const column = db.sequelize.getQueryInterface().quoteIdentifiers('works.title')
+	return db.sequelize.literal(`LOWER(${column}) LIKE ${db.sequelize.escape(pattern)} ESCAPE '!'`)
+}
+
+// Builds req.worksQuery from GET /works query parameters:
+// ?category=<id|slug>&q=<title search>&sort=<field|-field>&page=<n>&limit=<n>&status=<status|all>
+// Without limit every matching work is returned. Default order is the manual one (position).
+// Without status only published works are returned; any other status needs an authenticated caller.
+module.exports = async (req, res, next) => {
+	try{
+		const {category, q, sort = 'position', page = '1', limit, status} = req.query
+		const fields = {}
+		let where = publishedWhere()
+
+		const sortField = String(sort).replace(/^-/, '')
+		if(!SORTABLE.includes(sortField)){
+			fields.sort = 'Must be one of ' + SORTABLE.join(', ') + ' (prefix with - for descending order)'
+		}
+		const pageNumber = Number(page)
+		if(!Number.isInteger(pageNumber) || pageNumber < 1){
+			fields.page = 'Must be a positive integer'
+		}
+		const pageSize = limit === undefined ? null : Number(limit)
+		if(pageSize !== null && (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_LIMIT)){
+			fields.limit = `Must be an integer between 1 and ${MAX_LIMIT}`
+		}
+		if(status !== undefined && status !== 'all' && !STATUSES.includes(status)){
+			fields.status = 'Must be one of ' + [...STATUSES, 'all'].join(', ')
+		}
+		if(Object.keys(fields).length > 0){
+			return next(validationError(fields))
+		}
+		if(status !== undefined){
+			if(!req.auth){
+				return next(unauthorized('Authentication is required to filter works by status'))
+			}
+			// status=published also lists the works scheduled for later
+			where = status === 'all' ? {} : {status}
+		}
+
+		if(category !== undefined && category !== '' && category !== 'all'){
+			const found = await findCategory(String(category))
+			// An unknown category matches no work
+			where.categoryId = found === null ? {[Op.in]: []} : found.id
+		}
+		if(typeof q === 'string' && q.trim() !== ''){
+			where[Op.and] = [titleContains(q.trim())]
+		}
+
+		const direction = String(sort).startsWith('-') ? 'DESC' : 'ASC'
+		req.worksQuery = {
+			where,
+			order: sortField === 'id' ? [['id', direction]] : [[sortField, direction], ['id', 'ASC']],
+			page: pageNumber,
+			limit: pageSize,
+		}
+		next()
+	}catch(err){
+		next(err)
+	}
+}
@@ -0,0 +1,55 @@
+const { ApiError, payloadTooLarge } = require('../utils/errors')
+const { removeUploadedFile } = require('../utils/images')
+
+// Maps errors that do not come from the API code (body parser, Sequelize) to ApiError
+const toApiError = (err) => {
+	if(err instanceof ApiError){
+		return err
+	}
+	if(err.type === 'entity.parse.failed'){
+		return new ApiError(400, 'INVALID_JSON', 'Malformed JSON body')
+	}
+	if(err.type === 'entity.too.large'){
+		return payloadTooLarge('Request body is too large', {maxBytes: err.limit})
+	}
+	if(err.name === 'SequelizeUniqueConstraintError'){
+		return new ApiError(409, 'CONFLICT', 'Already exists',
+			{fields: err.errors.map(item => ({field: item.path, message: item.message}))}
+		)
+	}
+	if(err.name === 'SequelizeValidationError'){
+		return new ApiError(400, 'VALIDATION_ERROR', 'Invalid fields',
+			{fields: err.errors.map(item => ({field: item.path, message: item.message}))}
+		)
+	}
+	if(err.name === 'SequelizeForeignKeyConstraintError'){
+		return new ApiError(400, 'BAD_REQUEST', 'Referenced resource does not exist')
+	}
+	// Other body parser errors (unsupported charset or encoding, aborted request...) keep their status
+	if(err.expose && err.status >= 400 && err.status < 500){
+		return new ApiError(err.status, err.status === 415 ? 'UNSUPPORTED_MEDIA_TYPE' : 'BAD_REQUEST', err.message)
+	}
+	return new ApiError(500, 'INTERNAL_ERROR', 'Something went wrong')
+}
+
+// Last middleware of the app: every error answers {code, message, details?}.
+// Files uploaded for the failed request are removed with their variants, once the response is sent.
+module.exports = (err, req, res, next) => {
+	if(res.headersSent){
+		return next(err)
+	}
+	const apiError = toApiError(err)
+	if(apiError.status >= 500){
+		console.error(err)
+	}
+	const body = {code: apiError.code, message: apiError.message}
+	if(apiError.details !== undefined){
+		body.details = apiError.details
+	}
+	res.status(apiError.status).json(body)
+	Promise.all([req.file, ...(Array.isArray(req.files) ? req.files : [])].map(removeUploadedFile))
+		.catch(cleanupError => console.error(cleanupError))
+}
+
+// Batch upload reports the error of each item in the same format
+module.exports.toApiError = toApiError
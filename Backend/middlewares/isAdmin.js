@@ -0,0 +1,9 @@
+const { forbidden } = require('../utils/errors')
+
+module.exports = (req, res, next) => {
+	if(req.auth && req.auth.role === 'admin'){
+		next()
+	}else{
+		next(forbidden('Admin role required'))
+	}
+}
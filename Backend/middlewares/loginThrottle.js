@@ -0,0 +1,11 @@
+const loginAttempts = require('../utils/loginAttempts')
+const { ApiError } = require('../utils/errors')
+
+module.exports = (req, res, next) => {
+	const retryAfter = loginAttempts.retryAfter(req)
+	if(retryAfter > 0){
+		res.set('Retry-After', String(retryAfter))
+		return next(new ApiError(429, 'TOO_MANY_REQUESTS', 'Too many login attempts', {retryAfter}))
+	}
+	next()
+}
@@ -0,0 +1,15 @@
+const { MINUTE, createLimiter } = require('../utils/rateLimit')
+const { ApiError } = require('../utils/errors')
+
+// Every message sent counts, valid or not: 5 per client IP in 10 minutes
+const byIp = createLimiter({maxAttempts: 5, windowMs: 10 * MINUTE, lockMs: 30 * MINUTE})
+
+module.exports = (req, res, next) => {
+	const retryAfter = byIp.retryAfter(req.ip)
+	if(retryAfter > 0){
+		res.set('Retry-After', String(retryAfter))
+		return next(new ApiError(429, 'TOO_MANY_REQUESTS', 'Too many messages', {retryAfter}))
+	}
+	byIp.fail(req.ip)
+	next()
+}
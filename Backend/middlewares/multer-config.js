@@ -1,11 +1,6 @@
 const multer = require('multer')
-
-const MIME_TYPE = {
-	'image/jpg': 'jpg',
-	'image/jpeg': 'jpg',
-	'image/png': 'png',
-	'image/webp': 'webp',
-}
+const { UPLOAD_RULES } = require('../utils/images')
+const { badRequest, validationError, payloadTooLarge, unsupportedMediaType } = require('../utils/errors')
 
 const storage = multer.diskStorage({
 	destination: function (req, file, callback) {
@@ -16,9 +11,91 @@ const storage = multer.diskStorage({
 		const filenameArray = filename.split('.')
 		filenameArray.pop()
 		const filenameWithoutExtention = filenameArray.join('.')
-			const extension = MIME_TYPE[file.mimetype]
-		callback(null, filenameWithoutExtention + Date.now() + '.' + extension)
+		const extension = UPLOAD_RULES.types[file.mimetype].extension
+		// Several files of one request may share a name and a millisecond
+		req.uploadCount = (req.uploadCount || 0) + 1
+		const suffix = req.uploadCount > 1 ? '-' + req.uploadCount : ''
+		callback(null, filenameWithoutExtention + Date.now() + suffix + '.' + extension)
 	}
 })
 
-module.exports = multer({storage}).single('image')
+// The declared mime type only filters early: checkImage sniffs the actual content
+const fileFilter = (req, file, callback) => {
+	const mimetype = file.mimetype === 'image/jpg' ? 'image/jpeg' : file.mimetype
+	if(!UPLOAD_RULES.types[mimetype]){
+		return callback(unsupportedMediaType('Unsupported image type', {allowedTypes: Object.keys(UPLOAD_RULES.types), field: file.fieldname}))
+	}
+	file.mimetype = mimetype
+	callback(null, true)
+}
+
+const upload = multer({
+	storage,
+	fileFilter,
+	limits: {fileSize: UPLOAD_RULES.maxBytes, files: 1 + UPLOAD_RULES.maxWorkImages}
+}).fields([
+	{name: 'image', maxCount: 1},
+	{name: 'images', maxCount: UPLOAD_RULES.maxWorkImages},
+])
+
+// After it, req.file is the main image (if sent) and req.files the additional images, in upload order
+module.exports = (req, res, next) => {
+	upload(req, res, (err) => {
+		if(err && err.code === 'LIMIT_FILE_SIZE'){
+			return next(payloadTooLarge('Image too large', {maxBytes: UPLOAD_RULES.maxBytes, field: err.field}))
+		}
+		if(err && err.code === 'LIMIT_UNEXPECTED_FILE' && err.field === 'images'){
+			return next(validationError({images: `${UPLOAD_RULES.maxWorkImages} additional images max`}))
+		}
+		if(err instanceof multer.MulterError){
+			return next(badRequest(err.message))
+		}
+		if(err){
+			return next(err)
+		}
+		const files = req.files || {}
+		req.file = files.image ? files.image[0] : undefined
+		req.files = files.images || []
+		next()
+	})
+}
+
+// Batch upload (POST /works/batch): one work per file of "files". Each file gets its rank in the request
+// (file.index); a file of the wrong declared type is not stored but kept in req.batchRejections[index],
+// so the other works can still be created.
+const batchUpload = multer({
+	storage,
+	fileFilter: (req, file, callback) => {
+		file.index = req.batchFileCount++
+		fileFilter(req, file, (err) => {
+			if(err){
+				req.batchRejections[file.index] = err
+				return callback(null, false)
+			}
+			callback(null, true)
+		})
+	},
+	limits: {fileSize: UPLOAD_RULES.maxBytes, files: UPLOAD_RULES.maxBatchWorks}
+}).array('files', UPLOAD_RULES.maxBatchWorks)
+
+// A file over the size limit still rejects the whole batch (multer stops reading the request)
+module.exports.batch = (req, res, next) => {
+	req.batchFileCount = 0
+	req.batchRejections = {}
+	batchUpload(req, res, (err) => {
+		if(err && err.code === 'LIMIT_FILE_SIZE'){
+			return next(payloadTooLarge('Image too large', {maxBytes: UPLOAD_RULES.maxBytes, field: err.field, index: req.batchFileCount - 1}))
+		}
+		if(err && (err.code === 'LIMIT_FILE_COUNT' || (err.code === 'LIMIT_UNEXPECTED_FILE' && err.field === 'files'))){
+			return next(validationError({files: `${UPLOAD_RULES.maxBatchWorks} works max per batch`}))
+		}
+		if(err instanceof multer.MulterError){
+			return next(badRequest(err.message))
+		}
+		if(err){
+			return next(err)
+		}
+		req.files = req.files || []
+		next()
+	})
+}
@@ -0,0 +1,9 @@
+const auth = require('./auth')
+
+// Same as auth when the request sends a token (an invalid one is still refused), otherwise anonymous
+module.exports = (req, res, next) => {
+	if(req.headers.authorization){
+		return auth(req, res, next)
+	}
+	next()
+}
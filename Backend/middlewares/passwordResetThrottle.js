@@ -0,0 +1,18 @@
+const { MINUTE, createLimiter } = require('../utils/rateLimit')
+const { ApiError } = require('../utils/errors')
+
+// Every request counts, whether the email exists or not: 10 per client IP and 3 per email in 15 minutes
+const byIp = createLimiter({maxAttempts: 10, windowMs: 15 * MINUTE, lockMs: 15 * MINUTE})
+const byEmail = createLimiter({maxAttempts: 3, windowMs: 15 * MINUTE, lockMs: 15 * MINUTE})
+
+module.exports = (req, res, next) => {
+	const email = String(req.body.email || '').trim().toLowerCase()
+	const retryAfter = Math.max(byIp.retryAfter(req.ip), byEmail.retryAfter(email))
+	if(retryAfter > 0){
+		res.set('Retry-After', String(retryAfter))
+		return next(new ApiError(429, 'TOO_MANY_REQUESTS', 'Too many password reset requests', {retryAfter}))
+	}
+	byIp.fail(req.ip)
+	byEmail.fail(email)
+	next()
+}
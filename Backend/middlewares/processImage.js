@@ -0,0 +1,15 @@
+const { createImageVariants } = require('../utils/images')
+const { validationError } = require('../utils/errors')
+
+// Runs after multer: generates the resized variants of every uploaded image (file.variants)
+module.exports = async (req, res, next) => {
+	const baseUrl = `${req.protocol}://${req.get('host')}/images/`
+	for(const file of [req.file, ...req.files].filter(Boolean)){
+		try{
+			file.variants = await createImageVariants(file.path, baseUrl)
+		}catch(e){
+			return next(validationError({[file.fieldname]: 'Image could not be processed'}))
+		}
+	}
+	next()
+}
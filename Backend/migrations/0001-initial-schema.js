@@ -0,0 +1,70 @@
+const { createTableIfMissing } = require('../utils/schema')
+
+// Users, categories and works as the API was first published
+module.exports = {
+	up: async (queryInterface, Sequelize) => {
+		await createTableIfMissing(queryInterface, 'users', {
+			id: {
+				type: Sequelize.INTEGER,
+				primaryKey: true,
+				autoIncrement: true
+			},
+			email: {
+				type: Sequelize.STRING,
+				allowNull: false,
+				unique: true
+			},
+			password: {
+				type: Sequelize.STRING,
+				allowNull: false
+			}
+		})
+		await createTableIfMissing(queryInterface, 'categories', {
+			id: {
+				type: Sequelize.INTEGER,
+				primaryKey: true,
+				autoIncrement: true
+			},
+			name: {
+				type: Sequelize.STRING,
+				allowNull: false,
+				unique: true
+			}
+		})
+		await createTableIfMissing(queryInterface, 'works', {
+			id: {
+				type: Sequelize.INTEGER,
+				primaryKey: true,
+				autoIncrement: true
+			},
+			title: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			imageUrl: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			categoryId: {
+				type: Sequelize.INTEGER,
+				allowNull: true,
+				references: { model: 'categories', key: 'id' },
+				onDelete: 'SET NULL',
+				onUpdate: 'CASCADE'
+			},
+			userId: {
+				type: Sequelize.INTEGER,
+				allowNull: true,
+				references: { model: 'users', key: 'id' },
+				onDelete: 'SET NULL',
+				onUpdate: 'CASCADE'
+			}
+		})
+	},
+
+	down: async (queryInterface) => {
+		await queryInterface.dropTable('works')
+		await queryInterface.dropTable('categories')
+		await queryInterface.dropTable('users')
+	}
+}
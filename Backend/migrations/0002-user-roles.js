@@ -0,0 +1,28 @@
+const { addColumnsIfMissing } = require('../utils/schema')
+
+// Admin / editor roles and disabled accounts
+module.exports = {
+	up: async (queryInterface, Sequelize) => {
+		const added = await addColumnsIfMissing(queryInterface, 'users', {
+			role: {
+				type: Sequelize.STRING,
+				allowNull: false,
+				defaultValue: 'editor'
+			},
+			disabled: {
+				type: Sequelize.BOOLEAN,
+				allowNull: false,
+				defaultValue: false
+			}
+		})
+		// The accounts created before the roles could edit every work: they keep that right
+		if(added.includes('role')){
+			await queryInterface.bulkUpdate('users', {role: 'admin'}, {})
+		}
+	},
+
+	down: async (queryInterface) => {
+		await queryInterface.removeColumn('users', 'disabled')
+		await queryInterface.removeColumn('users', 'role')
+	}
+}
@@ -0,0 +1,90 @@
+const slugify = require('../utils/slugify')
+const { addColumnsIfMissing, addIndexIfMissing } = require('../utils/schema')
+
+// Image variants, gallery order, slugs, detail page fields, publication status and trash
+module.exports = {
+	up: async (queryInterface, Sequelize) => {
+		const added = await addColumnsIfMissing(queryInterface, 'works', {
+			imageVariants: {
+				type: Sequelize.JSON,
+				allowNull: false,
+				defaultValue: []
+			},
+			// Works created before this column get the date the API was published
+			createdAt: {
+				type: Sequelize.DATE,
+				allowNull: false,
+				defaultValue: new Date('2022-04-30T00:00:00Z')
+			},
+			position: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				defaultValue: 0
+			},
+			slug: {
+				type: Sequelize.STRING,
+				allowNull: false,
+				defaultValue: ''
+			},
+			description: {
+				type: Sequelize.TEXT,
+				allowNull: true
+			},
+			year: {
+				type: Sequelize.INTEGER,
+				allowNull: true
+			},
+			location: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			client: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			status: {
+				type: Sequelize.STRING,
+				allowNull: false,
+				defaultValue: 'published'
+			},
+			publishAt: {
+				type: Sequelize.DATE,
+				allowNull: true
+			},
+			deletedAt: {
+				type: Sequelize.DATE,
+				allowNull: true
+			}
+		})
+
+		// Existing works keep their order and get a slug from their title
+		if(added.includes('position') || added.includes('slug')){
+			const [works] = await queryInterface.sequelize.query('SELECT id, title FROM works ORDER BY id')
+			const taken = new Set()
+			for(const [index, work] of works.entries()){
+				// Same rules as uniqueSlug in the works controller
+				let base = slugify(work.title).replace(/-+/g, '-').replace(/^-|-$/g, '') || 'projet'
+				if(/^\d+$/.test(base)){
+					base = 'projet-' + base
+				}
+				let slug = base
+				for(let suffix = 2; taken.has(slug); suffix++){
+					slug = `${base}-${suffix}`
+				}
+				taken.add(slug)
+				await queryInterface.bulkUpdate('works', {
+					...(added.includes('position') && {position: index + 1}),
+					...(added.includes('slug') && {slug})
+				}, {id: work.id})
+			}
+		}
+		await addIndexIfMissing(queryInterface, 'works', ['slug'], {name: 'works_slug', unique: true})
+	},
+
+	down: async (queryInterface) => {
+		await queryInterface.removeIndex('works', 'works_slug')
+		for(const column of ['deletedAt', 'publishAt', 'status', 'client', 'location', 'year', 'description', 'slug', 'position', 'createdAt', 'imageVariants']){
+			await queryInterface.removeColumn('works', column)
+		}
+	}
+}
@@ -0,0 +1,39 @@
+const { createTableIfMissing } = require('../utils/schema')
+
+// Additional images of a work, in their display order
+module.exports = {
+	up: async (queryInterface, Sequelize) => {
+		await createTableIfMissing(queryInterface, 'work_images', {
+			id: {
+				type: Sequelize.INTEGER,
+				primaryKey: true,
+				autoIncrement: true
+			},
+			imageUrl: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			imageVariants: {
+				type: Sequelize.JSON,
+				allowNull: false,
+				defaultValue: []
+			},
+			position: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				defaultValue: 0
+			},
+			workId: {
+				type: Sequelize.INTEGER,
+				allowNull: true,
+				references: { model: 'works', key: 'id' },
+				onDelete: 'CASCADE',
+				onUpdate: 'CASCADE'
+			}
+		})
+	},
+
+	down: async (queryInterface) => {
+		await queryInterface.dropTable('work_images')
+	}
+}
@@ -0,0 +1,41 @@
+const { createTableIfMissing } = require('../utils/schema')
+
+// Refresh tokens (sessions) and password reset links, stored as hashes
+module.exports = {
+	up: async (queryInterface, Sequelize) => {
+		for(const [table, closedAt] of [['refresh_tokens', 'revokedAt'], ['password_reset_tokens', 'usedAt']]){
+			await createTableIfMissing(queryInterface, table, {
+				id: {
+					type: Sequelize.INTEGER,
+					primaryKey: true,
+					autoIncrement: true
+				},
+				tokenHash: {
+					type: Sequelize.STRING,
+					allowNull: false,
+					unique: true
+				},
+				expiresAt: {
+					type: Sequelize.DATE,
+					allowNull: false
+				},
+				[closedAt]: {
+					type: Sequelize.DATE,
+					allowNull: true
+				},
+				userId: {
+					type: Sequelize.INTEGER,
+					allowNull: true,
+					references: { model: 'users', key: 'id' },
+					onDelete: 'CASCADE',
+					onUpdate: 'CASCADE'
+				}
+			})
+		}
+	},
+
+	down: async (queryInterface) => {
+		await queryInterface.dropTable('password_reset_tokens')
+		await queryInterface.dropTable('refresh_tokens')
+	}
+}
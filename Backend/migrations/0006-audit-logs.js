@@ -0,0 +1,46 @@
+const { createTableIfMissing } = require('../utils/schema')
+
+// History of the admin actions. No foreign key: the entries of a deleted user keep their userId
+module.exports = {
+	up: async (queryInterface, Sequelize) => {
+		await createTableIfMissing(queryInterface, 'audit_logs', {
+			id: {
+				type: Sequelize.INTEGER,
+				primaryKey: true,
+				autoIncrement: true
+			},
+			action: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			targetType: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			targetId: {
+				type: Sequelize.INTEGER,
+				allowNull: true
+			},
+			before: {
+				type: Sequelize.JSON,
+				allowNull: true
+			},
+			after: {
+				type: Sequelize.JSON,
+				allowNull: true
+			},
+			createdAt: {
+				type: Sequelize.DATE,
+				allowNull: false
+			},
+			userId: {
+				type: Sequelize.INTEGER,
+				allowNull: true
+			}
+		})
+	},
+
+	down: async (queryInterface) => {
+		await queryInterface.dropTable('audit_logs')
+	}
+}
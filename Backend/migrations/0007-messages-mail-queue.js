@@ -0,0 +1,87 @@
+const { createTableIfMissing } = require('../utils/schema')
+
+// Contact form messages and the mails waiting for a new attempt
+module.exports = {
+	up: async (queryInterface, Sequelize) => {
+		await createTableIfMissing(queryInterface, 'messages', {
+			id: {
+				type: Sequelize.INTEGER,
+				primaryKey: true,
+				autoIncrement: true
+			},
+			name: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			email: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			message: {
+				type: Sequelize.TEXT,
+				allowNull: false
+			},
+			readAt: {
+				type: Sequelize.DATE,
+				allowNull: true
+			},
+			createdAt: {
+				type: Sequelize.DATE,
+				allowNull: false
+			}
+		})
+		await createTableIfMissing(queryInterface, 'mail_queue', {
+			id: {
+				type: Sequelize.INTEGER,
+				primaryKey: true,
+				autoIncrement: true
+			},
+			to: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			replyTo: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			subject: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			text: {
+				type: Sequelize.TEXT,
+				allowNull: false
+			},
+			html: {
+				type: Sequelize.TEXT,
+				allowNull: true
+			},
+			attempts: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				defaultValue: 0
+			},
+			lastError: {
+				type: Sequelize.TEXT,
+				allowNull: true
+			},
+			nextAttemptAt: {
+				type: Sequelize.DATE,
+				allowNull: true
+			},
+			failedAt: {
+				type: Sequelize.DATE,
+				allowNull: true
+			},
+			createdAt: {
+				type: Sequelize.DATE,
+				allowNull: false
+			}
+		})
+	},
+
+	down: async (queryInterface) => {
+		await queryInterface.dropTable('mail_queue')
+		await queryInterface.dropTable('messages')
+	}
+}
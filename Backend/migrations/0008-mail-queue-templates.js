@@ -0,0 +1,36 @@
+const { Op } = require('sequelize')
+const { addColumnsIfMissing } = require('../utils/schema')
+
+// Queued mails holding a secret keep a template name and its params instead of their text
+module.exports = {
+	up: async (queryInterface, Sequelize) => {
+		await addColumnsIfMissing(queryInterface, 'mail_queue', {
+			template: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			params: {
+				type: Sequelize.JSON,
+				allowNull: true
+			}
+		})
+		await queryInterface.changeColumn('mail_queue', 'text', {
+			type: Sequelize.TEXT,
+			allowNull: true
+		})
+		// Reset links and temporary passwords queued before: not sent, they are not kept either
+		await queryInterface.bulkDelete('mail_queue', {
+			subject: {[Op.in]: ['Réinitialisation de votre mot de passe', 'Votre compte sur le site de Sophie Bluel']}
+		})
+	},
+
+	down: async (queryInterface, Sequelize) => {
+		await queryInterface.bulkDelete('mail_queue', {text: null})
+		await queryInterface.changeColumn('mail_queue', 'text', {
+			type: Sequelize.TEXT,
+			allowNull: false
+		})
+		await queryInterface.removeColumn('mail_queue', 'params')
+		await queryInterface.removeColumn('mail_queue', 'template')
+	}
+}
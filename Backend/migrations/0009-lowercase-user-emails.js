@@ -0,0 +1,24 @@
+// Login looks accounts up by their lowercased email: the ones stored with capitals are lowercased.
+// An email whose lowercase form is already used by another account is left as it is (logged).
+module.exports = {
+	up: async (queryInterface) => {
+		const [users] = await queryInterface.sequelize.query('SELECT id, email FROM users')
+		const taken = new Set(users.map(user => user.email))
+		for(const user of users){
+			const email = user.email.trim().toLowerCase()
+			if(email === user.email){
+				continue
+			}
+			if(taken.has(email)){
+				console.warn(`users #${user.id}: ${email} is already used, ${user.email} not lowercased`)
+				continue
+			}
+			await queryInterface.bulkUpdate('users', {email}, {id: user.id})
+			taken.delete(user.email)
+			taken.add(email)
+		}
+	},
+
+	// The original case is not kept
+	down: async () => {}
+}
@@ -0,0 +1,29 @@
+module.exports = (sequelize, DataTypes) => {
+	const AuditLogs = sequelize.define(
+		"audit_logs",
+		{
+		action: {
+			type: DataTypes.STRING,
+			allowNull: false
+			},
+		targetType: {
+			type: DataTypes.STRING,
+			allowNull: false
+			},
+		targetId: {
+			type: DataTypes.INTEGER,
+			allowNull: true
+			},
+		before: {
+			type: DataTypes.JSON,
+			allowNull: true
+			},
+		after: {
+			type: DataTypes.JSON,
+			allowNull: true
+			}
+		},
+		{timestamps: true, updatedAt: false}
+	)
+	return AuditLogs
+}
@@ -1,17 +1,26 @@
-const dbConfig = require("./../config/db.config.js");
 const {Sequelize}  = require("sequelize");
 const config = require("../config/db.config");
 
-const sequelize = new Sequelize('project6-db', 'user', 'pass', config)
+// DATABASE_URL or the discrete settings (see config/db.config.js)
+const sequelize = config.url
+	? new Sequelize(config.url, config.options)
+	: new Sequelize(config.database, config.username, config.password, config.options)
 
 const db = {}
 
 db.Sequelize = Sequelize;
 db.sequelize = sequelize;
+db.config = config;
 
 db.users = require('./users.model.js')(sequelize, Sequelize);
 db.works = require('./works.model.js')(sequelize, Sequelize);
 db.categories = require('./categories.model.js')(sequelize, Sequelize);
+db.refreshTokens = require('./refreshTokens.model.js')(sequelize, Sequelize);
+db.passwordResetTokens = require('./passwordResetTokens.model.js')(sequelize, Sequelize);
+db.workImages = require('./workImages.model.js')(sequelize, Sequelize);
+db.auditLogs = require('./auditLogs.model.js')(sequelize, Sequelize);
+db.messages = require('./messages.model.js')(sequelize, Sequelize);
+db.mailQueue = require('./mailQueue.model.js')(sequelize, Sequelize);
 
 // Works and Categories Relationships
 db.categories.hasMany(db.works, {as: "works"})
@@ -27,4 +36,50 @@ db.works.belongsTo(db.users, {
 	as: 'user'
 });
 
+// Works and their additional images Relationships
+db.works.hasMany(db.workImages, {
+	foreignKey: 'workId',
+	as: 'images',
+	onDelete: 'CASCADE'
+})
+db.workImages.belongsTo(db.works, {
+	foreignKey: 'workId',
+	as: 'work'
+});
+
+// Refresh tokens and Users Relationships
+db.users.hasMany(db.refreshTokens, {
+	foreignKey: 'userId',
+	as: 'refreshTokens',
+	onDelete: 'CASCADE'
+})
+db.refreshTokens.belongsTo(db.users, {
+	foreignKey: 'userId',
+	as: 'user'
+});
+
+// Password reset tokens and Users Relationships
+db.users.hasMany(db.passwordResetTokens, {
+	foreignKey: 'userId',
+	as: 'passwordResetTokens',
+	onDelete: 'CASCADE'
+})
+db.passwordResetTokens.belongsTo(db.users, {
+	foreignKey: 'userId',
+	as: 'user'
+});
+
+// Audit log and Users Relationships
+// No constraint: the entries of a deleted user keep their userId
+db.users.hasMany(db.auditLogs, {
+	foreignKey: 'userId',
+	as: 'auditLogs',
+	constraints: false
+})
+db.auditLogs.belongsTo(db.users, {
+	foreignKey: 'userId',
+	as: 'user',
+	constraints: false
+});
+
 module.exports = db;
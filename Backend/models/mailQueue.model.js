@@ -0,0 +1,57 @@
+module.exports = (sequelize, DataTypes) => {
+	const MailQueue = sequelize.define(
+		"mail_queue",
+		{
+		to: {
+			type: DataTypes.STRING,
+			allowNull: false
+			},
+		replyTo: {
+			type: DataTypes.STRING,
+			allowNull: true
+			},
+		subject: {
+			type: DataTypes.STRING,
+			allowNull: false
+			},
+		// Empty for the mails holding a secret (reset link, temporary password): they are
+		// built again from template and params, with a new secret, when they are retried
+		text: {
+			type: DataTypes.TEXT,
+			allowNull: true
+			},
+		html: {
+			type: DataTypes.TEXT,
+			allowNull: true
+			},
+		template: {
+			type: DataTypes.STRING,
+			allowNull: true
+			},
+		params: {
+			type: DataTypes.JSON,
+			allowNull: true
+			},
+		attempts: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			defaultValue: 0
+			},
+		lastError: {
+			type: DataTypes.TEXT,
+			allowNull: true
+			},
+		nextAttemptAt: {
+			type: DataTypes.DATE,
+			allowNull: true
+			},
+		// Set when the last attempt failed: the mail is kept but no longer retried
+		failedAt: {
+			type: DataTypes.DATE,
+			allowNull: true
+			}
+		},
+		{tableName: 'mail_queue', timestamps: true, updatedAt: false}
+	)
+	return MailQueue
+}
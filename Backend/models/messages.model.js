@@ -0,0 +1,25 @@
+module.exports = (sequelize, DataTypes) => {
+	const Messages = sequelize.define(
+		"messages",
+		{
+		name: {
+			type: DataTypes.STRING,
+			allowNull: false
+			},
+		email: {
+			type: DataTypes.STRING,
+			allowNull: false
+			},
+		message: {
+			type: DataTypes.TEXT,
+			allowNull: false
+			},
+		readAt: {
+			type: DataTypes.DATE,
+			allowNull: true
+			}
+		},
+		{timestamps: true, updatedAt: false}
+	)
+	return Messages
+}
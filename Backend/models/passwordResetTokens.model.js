@@ -0,0 +1,22 @@
+module.exports = (sequelize, DataTypes) => {
+	const PasswordResetTokens = sequelize.define(
+		"password_reset_tokens",
+		{
+		tokenHash: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			unique: true
+			},
+		expiresAt: {
+			type: DataTypes.DATE,
+			allowNull: false
+			},
+		usedAt: {
+			type: DataTypes.DATE,
+			allowNull: true
+			}
+		},
+		{timestamps:false}
+	)
+	return PasswordResetTokens
+}
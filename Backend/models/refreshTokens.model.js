@@ -0,0 +1,23 @@
+
+module.exports = (sequelize, DataTypes) => {
+	const RefreshTokens = sequelize.define(
+		"refresh_tokens",
+		{
+		tokenHash: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			unique: true
+			},
+		expiresAt: {
+			type: DataTypes.DATE,
+			allowNull: false
+			},
+		revokedAt: {
+			type: DataTypes.DATE,
+			allowNull: true
+			}
+		},
+		{timestamps:false}
+	)
+	return RefreshTokens
+}
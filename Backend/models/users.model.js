@@ -11,6 +11,19 @@ module.exports = (sequelize, DataTypes) => {
 		password: {
 			type: DataTypes.STRING,
 			allowNull: false
+			},
+		role: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			defaultValue: 'editor',
+			validate: {
+				isIn: [['admin', 'editor']]
+				}
+			},
+		disabled: {
+			type: DataTypes.BOOLEAN,
+			allowNull: false,
+			defaultValue: false
 			}
 		},
 		{timestamps:false}
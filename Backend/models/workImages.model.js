@@ -0,0 +1,23 @@
+module.exports = (sequelize, DataTypes) => {
+	const WorkImages = sequelize.define(
+		"work_images",
+		{
+		imageUrl: {
+			type: DataTypes.STRING,
+			allowNull: false
+			},
+		imageVariants: {
+			type: DataTypes.JSON,
+			allowNull: false,
+			defaultValue: []
+			},
+		position: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			defaultValue: 0
+			}
+		},
+		{timestamps: false}
+	)
+	return WorkImages
+}
@@ -7,12 +7,53 @@ module.exports = (sequelize, DataTypes) => {
 			type: DataTypes.STRING,
 			allowNull: false
 			},
+		slug: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			unique: true
+			},
+		description: {
+			type: DataTypes.TEXT,
+			allowNull: true
+			},
+		year: {
+			type: DataTypes.INTEGER,
+			allowNull: true
+			},
+		location: {
+			type: DataTypes.STRING,
+			allowNull: true
+			},
+		client: {
+			type: DataTypes.STRING,
+			allowNull: true
+			},
 		imageUrl: {
 			type: DataTypes.STRING,
 			allowNull: false
+			},
+		imageVariants: {
+			type: DataTypes.JSON,
+			allowNull: false,
+			defaultValue: []
+			},
+		position: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			defaultValue: 0
+			},
+		status: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			defaultValue: 'published'
+			},
+		publishAt: {
+			type: DataTypes.DATE,
+			allowNull: true
 			}
 		},
-		{timestamps:false}
+		// Deleting a work sets deletedAt (trash) until it is restored or purged
+		{timestamps: true, updatedAt: false, paranoid: true}
 	)
 	return Works
 }
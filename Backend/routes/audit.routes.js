@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middlewares/auth');
+const isAdmin = require('../middlewares/isAdmin');
+const checkAuditQuery = require('../middlewares/checkAuditQuery');
+const auditCtrl = require('../controllers/audit.controller');
+
+router.get('/', auth, isAdmin, checkAuditQuery, auditCtrl.findAll);
+
+module.exports = router;
@@ -1,10 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middlewares/auth');
+const isAdmin = require('../middlewares/isAdmin');
+const checkCategory = require('../middlewares/checkCategory');
 const categoriesCtrl = require('../controllers/categories.controller');
 
-//router.post('/', auth, categoriesCtrl.create);
+router.post('/', auth, isAdmin, checkCategory, categoriesCtrl.create);
 router.get('/', categoriesCtrl.findAll);
+router.put('/:id', auth, isAdmin, checkCategory, categoriesCtrl.update);
+router.delete('/:id', auth, isAdmin, categoriesCtrl.delete);
 
 
 module.exports = router;
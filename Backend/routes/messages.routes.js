@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middlewares/auth');
+const isAdmin = require('../middlewares/isAdmin');
+const messageThrottle = require('../middlewares/messageThrottle');
+const checkMessage = require('../middlewares/checkMessage');
+const messagesCtrl = require('../controllers/messages.controller');
+
+router.post('/', messageThrottle, checkMessage, messagesCtrl.create);
+router.get('/', auth, isAdmin, messagesCtrl.findAll);
+router.patch('/:id', auth, isAdmin, messagesCtrl.update);
+router.delete('/:id', auth, isAdmin, messagesCtrl.delete);
+
+module.exports = router;
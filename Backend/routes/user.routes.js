@@ -1,8 +1,21 @@
 const express = require('express');
 const router = express.Router();
+const auth = require('../middlewares/auth');
+const isAdmin = require('../middlewares/isAdmin');
+const loginThrottle = require('../middlewares/loginThrottle');
+const passwordResetThrottle = require('../middlewares/passwordResetThrottle');
 const userCtrl = require('../controllers/users.controller');
 
-router.post('/login', userCtrl.login);
+router.post('/login', loginThrottle, userCtrl.login);
+router.post('/refresh', userCtrl.refresh);
+router.post('/logout', userCtrl.logout);
+router.post('/password-reset', passwordResetThrottle, userCtrl.requestPasswordReset);
+router.post('/password-reset/confirm', userCtrl.confirmPasswordReset);
 //router.post('/signup', userCtrl.signup);
+router.put('/me/password', auth, userCtrl.changePassword);
+router.get('/', auth, isAdmin, userCtrl.findAll);
+router.post('/invite', auth, isAdmin, userCtrl.invite);
+router.patch('/:id', auth, isAdmin, userCtrl.update);
+router.delete('/:id', auth, isAdmin, userCtrl.delete);
 
 module.exports = router;
@@ -1,12 +1,29 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('../middlewares/multer-config');
+const checkImage = require('../middlewares/checkImage');
+const processImage = require('../middlewares/processImage');
 const auth = require('../middlewares/auth');
+const optionalAuth = require('../middlewares/optionalAuth');
 const checkWork = require('../middlewares/checkWork');
+const checkWorkUpdate = require('../middlewares/checkWorkUpdate');
+const checkWorkOwner = require('../middlewares/checkWorkOwner');
+const checkWorksQuery = require('../middlewares/checkWorksQuery');
+const checkWorksOrder = require('../middlewares/checkWorksOrder');
+const checkWorksBatch = require('../middlewares/checkWorksBatch');
+const isAdmin = require('../middlewares/isAdmin');
 const workCtrl = require('../controllers/works.controller');
 
-router.post('/', auth, multer, checkWork, workCtrl.create);
-router.get('/', workCtrl.findAll);
-router.delete('/:id', auth, workCtrl.delete);
+router.post('/', auth, multer, checkImage, checkWork, processImage, workCtrl.create);
+router.post('/batch', auth, multer.batch, checkWorksBatch, workCtrl.createBatch);
+router.get('/', optionalAuth, checkWorksQuery, workCtrl.findAll);
+router.get('/trash', auth, workCtrl.findTrash);
+router.post('/trash/:id/restore', auth, checkWorkOwner.trashed, workCtrl.restore);
+router.delete('/trash/:id', auth, checkWorkOwner.trashed, workCtrl.purge);
+router.get('/:id', optionalAuth, workCtrl.findOne);
+router.put('/order', auth, isAdmin, checkWorksOrder, workCtrl.reorder);
+router.put('/:id', auth, checkWorkOwner, multer, checkImage, checkWorkUpdate, processImage, workCtrl.update);
+router.patch('/:id', auth, checkWorkOwner, multer, checkImage, checkWorkUpdate, processImage, workCtrl.update);
+router.delete('/:id', auth, checkWorkOwner, workCtrl.delete);
 
 module.exports = router;
@@ -0,0 +1,43 @@
+// Generates the resized variants of works uploaded before image processing existed.
+// Usage: npm run images:variants           -> works without variants only
+//        npm run images:variants -- --all  -> regenerates every work
+require('dotenv').config()
+const path = require('path')
+const db = require('../models')
+const { IMAGES_DIR, filenameFromUrl, createImageVariants, removeWorkImages } = require('../utils/images')
+
+const regenerateAll = process.argv.includes('--all')
+
+const generate = async () => {
+	db.sequelize.options.logging = false
+	// Works in the trash included: they may be restored
+	const works = await db.works.findAll({paranoid: false})
+	const pending = works.filter(work => regenerateAll || work.imageVariants.length === 0)
+
+	if(pending.length === 0){
+		console.log('Every work already has its image variants.')
+		return
+	}
+	for(const work of pending){
+		const filename = filenameFromUrl(work.imageUrl)
+		try{
+			if(work.imageVariants.length > 0){
+				await removeWorkImages({imageVariants: work.imageVariants})
+			}
+			const baseUrl = work.imageUrl.slice(0, work.imageUrl.lastIndexOf('/') + 1)
+			const imageVariants = await createImageVariants(path.join(IMAGES_DIR, filename), baseUrl)
+			await work.update({imageVariants})
+			console.log(`  work ${work.id}: ${imageVariants.length} variant(s)`)
+		}catch(err){
+			console.error(`  work ${work.id}: ${filename} skipped (${err.message})`)
+			process.exitCode = 1
+		}
+	}
+}
+
+generate()
+	.catch(err => {
+		console.error(err)
+		process.exitCode = 1
+	})
+	.finally(() => db.sequelize.close())
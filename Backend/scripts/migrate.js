@@ -0,0 +1,41 @@
+// Brings the database schema up to date. The server refuses to start while a migration is pending.
+// Usage: npm run db:migrate                 -> runs the pending migrations
+//        npm run db:migrate -- --status     -> lists the executed and pending migrations
+//        npm run db:migrate:undo            -> reverts the last executed migration
+require('dotenv').config()
+const db = require('../models')
+const { migrator } = require('../utils/migrator')
+
+const undo = process.argv.includes('--undo')
+const status = process.argv.includes('--status')
+
+const migrate = async () => {
+	db.sequelize.options.logging = false
+	if(status){
+		const executed = await migrator.executed()
+		const pending = await migrator.pending()
+		for(const migration of executed){
+			console.log(`  up       ${migration.name}`)
+		}
+		for(const migration of pending){
+			console.log(`  pending  ${migration.name}`)
+		}
+		return
+	}
+	const migrations = undo ? await migrator.down() : await migrator.up()
+	if(migrations.length === 0){
+		console.log(undo ? 'No migration to revert' : 'Database is up to date')
+		return
+	}
+	console.log(`${migrations.length} migration(s) ${undo ? 'reverted' : 'executed'}:`)
+	for(const migration of migrations){
+		console.log(`  ${migration.name}`)
+	}
+}
+
+migrate()
+	.catch(err => {
+		console.error(err)
+		process.exitCode = 1
+	})
+	.finally(() => db.sequelize.close())
@@ -0,0 +1,32 @@
+// Removes for good the works that have been in the trash for too long, with their image files.
+// Usage: npm run works:purge               -> works deleted more than TRASH_RETENTION_DAYS (30) days ago
+//        npm run works:purge -- --days=7   -> works deleted more than 7 days ago
+require('dotenv').config()
+const db = require('../models')
+const { TRASH_RETENTION_DAYS, purgeExpired } = require('../utils/trash')
+
+const daysArg = process.argv.find(arg => arg.startsWith('--days='))
+const days = daysArg ? Number(daysArg.slice('--days='.length)) : TRASH_RETENTION_DAYS
+
+const purge = async () => {
+	if(!Number.isFinite(days) || days < 0){
+		throw new Error('--days must be a positive number')
+	}
+	db.sequelize.options.logging = false
+	const works = await purgeExpired(days)
+	if(works.length === 0){
+		console.log(`No work in the trash for more than ${days} day(s)`)
+		return
+	}
+	console.log(`${works.length} work(s) purged:`)
+	for(const work of works){
+		console.log(`  #${work.id} ${work.title} (deleted ${work.deletedAt.toISOString()})`)
+	}
+}
+
+purge()
+	.catch(err => {
+		console.error(err)
+		process.exitCode = 1
+	})
+	.finally(() => db.sequelize.close())
@@ -0,0 +1,26 @@
+// Sends now the queued mails (failed sends) that are due for a new attempt.
+// Usage: npm run mail:retry               -> mails due for a retry
+//        npm run mail:retry -- --failed   -> also the mails that failed MAIL_MAX_ATTEMPTS times
+require('dotenv').config()
+const db = require('../models')
+const { processQueue, requeueFailed } = require('../utils/mailer')
+
+const retry = async () => {
+	db.sequelize.options.logging = false
+	if(process.argv.includes('--failed')){
+		console.log(`${await requeueFailed()} failed mail(s) queued again`)
+	}
+	const {sent, retried, failed, dropped} = await processQueue()
+	console.log(`${sent} mail(s) sent, ${retried} to retry later, ${failed} failed for good, ${dropped} dropped`)
+	const pending = await db.mailQueue.count()
+	if(pending > 0){
+		console.log(`${pending} mail(s) left in the queue`)
+	}
+}
+
+retry()
+	.catch(err => {
+		console.error(err)
+		process.exitCode = 1
+	})
+	.finally(() => db.sequelize.close())
@@ -0,0 +1,30 @@
+// Fills the database with the demo data: categories, test account and works.
+// Each seeder runs once; the rows that already exist are left untouched.
+// Usage: npm run db:seed          -> runs the seeders not run yet
+//        npm run db:seed:undo     -> removes the demo data of every seeder
+require('dotenv').config()
+const db = require('../models')
+const { seeder, ensureMigrated } = require('../utils/migrator')
+
+const undo = process.argv.includes('--undo')
+
+const seed = async () => {
+	db.sequelize.options.logging = false
+	await ensureMigrated()
+	const seeders = undo ? await seeder.down({to: 0}) : await seeder.up()
+	if(seeders.length === 0){
+		console.log(undo ? 'No seeder to revert' : 'Every seeder has already been run')
+		return
+	}
+	console.log(`${seeders.length} seeder(s) ${undo ? 'reverted' : 'executed'}:`)
+	for(const step of seeders){
+		console.log(`  ${step.name}`)
+	}
+}
+
+seed()
+	.catch(err => {
+		console.error(err)
+		process.exitCode = 1
+	})
+	.finally(() => db.sequelize.close())
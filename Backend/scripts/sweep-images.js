@@ -0,0 +1,47 @@
+// Reconciles Backend/images with the works and work_images tables.
+// Usage: npm run images:sweep            -> lists files no work references
+//        npm run images:sweep -- --delete -> also removes them
+require('dotenv').config()
+const fs = require('fs/promises')
+const path = require('path')
+const db = require('../models')
+const { IMAGES_DIR, filenameFromUrl, workImageUrls } = require('../utils/images')
+
+const shouldDelete = process.argv.includes('--delete')
+
+const sweep = async () => {
+	db.sequelize.options.logging = false
+	// Works in the trash keep their files until they are purged
+	const works = await db.works.findAll({include: 'images', paranoid: false})
+	const referenced = new Set(
+		works.flatMap(workImageUrls).map(filenameFromUrl).filter(Boolean)
+	)
+	const files = (await fs.readdir(IMAGES_DIR, {withFileTypes: true}))
+		.filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+		.map(entry => entry.name)
+	const orphans = files.filter(file => !referenced.has(file))
+
+	if(orphans.length === 0){
+		console.log('No orphan image in ' + IMAGES_DIR)
+		return
+	}
+	console.log(orphans.length + ' orphan image(s) in ' + IMAGES_DIR + ':')
+	for(const file of orphans){
+		if(shouldDelete){
+			await fs.unlink(path.join(IMAGES_DIR, file))
+			console.log('  removed ' + file)
+		}else{
+			console.log('  ' + file)
+		}
+	}
+	if(!shouldDelete){
+		console.log('Run again with --delete to remove them.')
+	}
+}
+
+sweep()
+	.catch(err => {
+		console.error(err)
+		process.exitCode = 1
+	})
+	.finally(() => db.sequelize.close())
@@ -0,0 +1,11 @@
+const CATEGORIES = ['Objets', 'Appartements', 'Hotels & restaurants']
+
+module.exports = {
+	up: async (queryInterface) => {
+		await queryInterface.bulkInsert('categories', CATEGORIES.map(name => ({name})), {ignoreDuplicates: true})
+	},
+
+	down: async (queryInterface, Sequelize) => {
+		await queryInterface.bulkDelete('categories', {name: {[Sequelize.Op.in]: CATEGORIES}})
+	}
+}
@@ -0,0 +1,17 @@
+const EMAIL = 'sophie.bluel@test.tld'
+
+// Test account of the README: password S0phie, admin role
+module.exports = {
+	up: async (queryInterface) => {
+		await queryInterface.bulkInsert('users', [{
+			email: EMAIL,
+			password: '$2b$10$OyUbvsLMHp/gu0kPRpkJ/.757z.DBecw/wd1CE09Y3q4nDjoC7L1e',
+			role: 'admin',
+			disabled: false
+		}], {ignoreDuplicates: true})
+	},
+
+	down: async (queryInterface) => {
+		await queryInterface.bulkDelete('users', {email: EMAIL})
+	}
+}
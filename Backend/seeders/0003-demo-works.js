@@ -0,0 +1,44 @@
+// Demo works of the portfolio. Their images are in images/, served by the API on its default port.
+const IMAGES_URL = 'http://localhost:5678/images/'
+
+const WORKS = [
+	{title: 'Abajour Tahina', slug: 'abajour-tahina', image: 'abajour-tahina1651286843956.png', category: 'Objets', createdAt: '2022-04-30T02:47:23.956Z'},
+	{title: 'Appartement Paris V', slug: 'appartement-paris-v', image: 'appartement-paris-v1651287270508.png', category: 'Appartements', createdAt: '2022-04-30T02:54:30.508Z'},
+	{title: 'Restaurant Sushisen - Londres', slug: 'restaurant-sushisen-londres', image: 'restaurant-sushisen-londres1651287319271.png', category: 'Hotels & restaurants', createdAt: '2022-04-30T02:55:19.271Z'},
+	{title: 'Villa “La Balisiere” - Port Louis', slug: 'villa-la-balisiere-port-louis', image: 'la-balisiere1651287350102.png', category: 'Appartements', createdAt: '2022-04-30T02:55:50.102Z'},
+	{title: 'Structures Thermopolis', slug: 'structures-thermopolis', image: 'structures-thermopolis1651287380258.png', category: 'Objets', createdAt: '2022-04-30T02:56:20.258Z'},
+	{title: 'Appartement Paris X', slug: 'appartement-paris-x', image: 'appartement-paris-x1651287435459.png', category: 'Appartements', createdAt: '2022-04-30T02:57:15.459Z'},
+	{title: 'Pavillon “Le coteau” - Cassis', slug: 'pavillon-le-coteau-cassis', image: 'le-coteau-cassis1651287469876.png', category: 'Appartements', createdAt: '2022-04-30T02:57:49.876Z'},
+	{title: 'Villa Ferneze - Isola d’Elba', slug: 'villa-ferneze-isola-delba', image: 'villa-ferneze1651287511604.png', category: 'Appartements', createdAt: '2022-04-30T02:58:31.604Z'},
+	{title: 'Appartement Paris XVIII', slug: 'appartement-paris-xviii', image: 'appartement-paris-xviii1651287541053.png', category: 'Appartements', createdAt: '2022-04-30T02:59:01.053Z'},
+	{title: 'Bar “Lullaby” - Paris', slug: 'bar-lullaby-paris', image: 'bar-lullaby-paris1651287567130.png', category: 'Hotels & restaurants', createdAt: '2022-04-30T02:59:27.130Z'},
+	{title: 'Hotel First Arte - New Delhi', slug: 'hotel-first-arte-new-delhi', image: 'hotel-first-arte-new-delhi1651287605585.png', category: 'Hotels & restaurants', createdAt: '2022-04-30T03:00:05.585Z'}
+]
+
+// Works of the test account, in the categories of the first seeder
+module.exports = {
+	up: async (queryInterface) => {
+		const [categories] = await queryInterface.sequelize.query('SELECT id, name FROM categories')
+		const [users] = await queryInterface.sequelize.query(
+			'SELECT id FROM users WHERE email = :email',
+			{replacements: {email: 'sophie.bluel@test.tld'}}
+		)
+		const categoryIds = new Map(categories.map(category => [category.name, category.id]))
+
+		await queryInterface.bulkInsert('works', WORKS.map((work, index) => ({
+			title: work.title,
+			slug: work.slug,
+			imageUrl: IMAGES_URL + work.image,
+			imageVariants: '[]',
+			categoryId: categoryIds.get(work.category) ?? null,
+			userId: users[0]?.id ?? null,
+			position: index + 1,
+			status: 'published',
+			createdAt: new Date(work.createdAt)
+		})), {ignoreDuplicates: true})
+	},
+
+	down: async (queryInterface, Sequelize) => {
+		await queryInterface.bulkDelete('works', {slug: {[Sequelize.Op.in]: WORKS.map(work => work.slug)}})
+	}
+}
@@ -1,5 +1,7 @@
 const http = require('http');
 const app = require('./app');
+const { startQueue } = require('./utils/mailer');
+const { prepareDatabase } = require('./utils/migrator');
 
 const normalizePort = val => {
 	const port = parseInt(val, 10);
@@ -44,5 +46,15 @@ server.on('listening', () => {
 	console.log('Listening on ' + bind);
 });
 
-server.listen(port);
+// The schema is managed by the migrations (npm run db:migrate): no start on an outdated database
+prepareDatabase()
+	.then(() => {
+		server.listen(port);
+		// Failed mails are retried in the background
+		startQueue();
+	})
+	.catch(error => {
+		console.error(error.message);
+		process.exit(1);
+	});
 
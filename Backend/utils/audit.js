@@ -0,0 +1,36 @@
+const db = require('../models')
+
+const ACTIONS = ['login', 'create', 'update', 'delete', 'reorder', 'restore', 'purge']
+const TARGET_TYPES = ['user', 'work', 'category']
+
+// Never copied into a snapshot
+const HIDDEN_FIELDS = ['password']
+
+// Plain copy of a model instance or an object, as stored in before/after
+const snapshot = (value) => {
+	if(value === null || value === undefined){
+		return null
+	}
+	const plain = typeof value.get === 'function' ? value.get({plain: true}) : {...value}
+	HIDDEN_FIELDS.forEach(field => delete plain[field])
+	return plain
+}
+
+// Records that userId did `action` on a target. The action has already happened,
+// so failing to record it is logged rather than turned into an error response.
+const recordAction = async (userId, action, targetType, {targetId = null, before = null, after = null} = {}) => {
+	try{
+		await db.auditLogs.create({
+			userId,
+			action,
+			targetType,
+			targetId,
+			before: snapshot(before),
+			after: snapshot(after),
+		})
+	}catch(err){
+		console.error(err)
+	}
+}
+
+module.exports = { ACTIONS, TARGET_TYPES, snapshot, recordAction }
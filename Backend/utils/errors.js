@@ -0,0 +1,32 @@
+// Errors the API answers with. Controllers and middlewares pass them to next(),
+// errorHandler serializes them as {code, message, details}.
+class ApiError extends Error {
+	constructor(status, code, message, details){
+		super(message)
+		this.name = 'ApiError'
+		this.status = status
+		this.code = code
+		this.details = details
+	}
+}
+
+exports.ApiError = ApiError
+
+exports.badRequest = (message = 'Bad Request', details) => new ApiError(400, 'BAD_REQUEST', message, details)
+
+// fields: {fieldName: 'what is wrong with it'}
+exports.validationError = (fields) => new ApiError(400, 'VALIDATION_ERROR', 'Invalid fields',
+	{fields: Object.entries(fields).map(([field, message]) => ({field, message}))}
+)
+
+exports.unauthorized = (message = 'Not Authorized', code = 'UNAUTHORIZED') => new ApiError(401, code, message)
+
+exports.forbidden = (message = 'Forbidden', code = 'FORBIDDEN') => new ApiError(403, code, message)
+
+exports.notFound = (message = 'Not Found') => new ApiError(404, 'NOT_FOUND', message)
+
+exports.conflict = (message, code = 'CONFLICT', details) => new ApiError(409, code, message, details)
+
+exports.payloadTooLarge = (message, details) => new ApiError(413, 'PAYLOAD_TOO_LARGE', message, details)
+
+exports.unsupportedMediaType = (message, details) => new ApiError(415, 'UNSUPPORTED_MEDIA_TYPE', message, details)
@@ -0,0 +1,138 @@
+const fs = require('fs/promises')
+const path = require('path')
+const sharp = require('sharp')
+
+const IMAGES_DIR = path.join(__dirname, '..', 'images')
+
+// thumbnail: modal grid, medium/large: gallery srcset
+const IMAGE_SIZES = [
+	{name: 'thumbnail', width: 200},
+	{name: 'medium', width: 600},
+	{name: 'large', width: 1200},
+]
+const FORMAT_EXTENSIONS = {jpeg: 'jpg', png: 'png', webp: 'webp'}
+
+// Same rules as validateImageFile in the FrontEnd, plus pixel dimensions
+const UPLOAD_RULES = {
+	maxBytes: 4 * 1024 * 1024,
+	// Additional images of a work, besides the main one
+	maxWorkImages: 10,
+	// Works created by one POST /works/batch
+	maxBatchWorks: 20,
+	minDimension: 100,
+	maxDimension: 6000,
+	types: {
+		'image/jpeg': {extension: 'jpg', signature: [0xFF, 0xD8, 0xFF]},
+		'image/png': {extension: 'png', signature: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]},
+	}
+}
+
+const filenameFromUrl = (imageUrl) => {
+	try{
+		return decodeURIComponent(path.basename(new URL(imageUrl).pathname))
+	}catch(e){
+		return null
+	}
+}
+
+const unlinkQuietly = async (filePath) => {
+	try{
+		await fs.unlink(filePath)
+	}catch(err){
+		if(err.code !== 'ENOENT') console.error(err)
+	}
+}
+
+// Reads the first bytes of a file: resolves to its mime type among UPLOAD_RULES.types, or null
+const sniffImageType = async (filePath) => {
+	const handle = await fs.open(filePath, 'r')
+	try{
+		const header = Buffer.alloc(8)
+		const {bytesRead} = await handle.read(header, 0, header.length, 0)
+		const match = Object.entries(UPLOAD_RULES.types).find(([, {signature}]) =>
+			bytesRead >= signature.length && signature.every((byte, index) => header[index] === byte)
+		)
+		return match ? match[0] : null
+	}finally{
+		await handle.close()
+	}
+}
+
+const readImageSize = async (filePath) => {
+	const {width, height} = await sharp(filePath).metadata()
+	return {width, height}
+}
+
+// Every file stored for a work, so deletion and the orphan sweeper agree on what a work owns.
+// Additional images (work.images) have the same imageUrl/imageVariants shape.
+const workImageUrls = (work) => [
+	work.imageUrl,
+	...(work.imageVariants || []).map(variant => variant.url),
+	...(work.images || []).flatMap(workImageUrls)
+].filter(Boolean)
+
+// Writes resized copies of an image next to it, in WebP and in its own format.
+// Sizes wider than the source are skipped (the smallest one is always kept).
+// Resolves to [{name, format, width, height, url}]; on failure nothing is left on disk.
+const createImageVariants = async (filePath, baseUrl) => {
+	const {format, width} = await sharp(filePath).metadata()
+	if(!FORMAT_EXTENSIONS[format]){
+		throw new Error('Unsupported image format: ' + format)
+	}
+	const formats = [...new Set(['webp', format])]
+	const basename = path.basename(filePath, path.extname(filePath))
+	const sizes = IMAGE_SIZES.filter((size, index) => index === 0 || size.width <= width)
+	const written = []
+	try{
+		const variants = []
+		for(const size of sizes){
+			for(const variantFormat of formats){
+				const filename = `${basename}-${size.name}.${FORMAT_EXTENSIONS[variantFormat]}`
+				const target = path.join(path.dirname(filePath), filename)
+				const info = await sharp(filePath)
+					.rotate()
+					.resize({width: size.width, withoutEnlargement: true})
+					.toFormat(variantFormat)
+					.toFile(target)
+				written.push(target)
+				variants.push({
+					name: size.name,
+					format: variantFormat,
+					width: info.width,
+					height: info.height,
+					url: baseUrl + encodeURIComponent(filename)
+				})
+			}
+		}
+		return variants
+	}catch(err){
+		await Promise.all(written.map(unlinkQuietly))
+		throw err
+	}
+}
+
+const removeImage = async (imageUrl) => {
+	const filename = filenameFromUrl(imageUrl)
+	if(!filename) return
+	await unlinkQuietly(path.join(IMAGES_DIR, filename))
+}
+
+exports.IMAGES_DIR = IMAGES_DIR
+exports.UPLOAD_RULES = UPLOAD_RULES
+exports.sniffImageType = sniffImageType
+exports.readImageSize = readImageSize
+exports.filenameFromUrl = filenameFromUrl
+exports.workImageUrls = workImageUrls
+exports.createImageVariants = createImageVariants
+exports.removeImage = removeImage
+
+exports.removeWorkImages = async (work) => {
+	await Promise.all(workImageUrls(work).map(removeImage))
+}
+
+// Also removes the variants processImage generated for it
+exports.removeUploadedFile = async (file) => {
+	if(!file || !file.path) return
+	await unlinkQuietly(file.path)
+	await Promise.all((file.variants || []).map(variant => removeImage(variant.url)))
+}
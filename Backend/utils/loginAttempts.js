@@ -0,0 +1,20 @@
+// Login throttling: failures are counted per client IP and per account (email)
+const { MINUTE, createLimiter } = require('./rateLimit')
+
+const byIp = createLimiter({maxAttempts: 20, windowMs: 15 * MINUTE, lockMs: 15 * MINUTE})
+const byAccount = createLimiter({maxAttempts: 5, windowMs: 15 * MINUTE, lockMs: 15 * MINUTE})
+
+const accountKey = (req) => String(req.body.email || '').trim().toLowerCase()
+
+exports.retryAfter = (req) => Math.max(byIp.retryAfter(req.ip), byAccount.retryAfter(accountKey(req)))
+
+exports.recordFailure = (req) => {
+	byIp.fail(req.ip)
+	byAccount.fail(accountKey(req))
+}
+
+// A successful login clears the account and the IP: users behind a shared IP are not locked out by others' mistakes
+exports.clearFailures = (req) => {
+	byIp.reset(req.ip)
+	byAccount.reset(accountKey(req))
+}
@@ -0,0 +1,64 @@
+// Subject, text and html of each notification. The html part is the text with its
+// paragraphs and links marked up; every value put in it is escaped.
+const SITE_NAME = 'Sophie Bluel - Architecte d\'intérieur'
+
+const escapeHtml = (value) => String(value)
+	.replace(/&/g, '&amp;')
+	.replace(/</g, '&lt;')
+	.replace(/>/g, '&gt;')
+	.replace(/"/g, '&quot;')
+	.replace(/'/g, '&#39;')
+
+// paragraphs: strings, or {link: url} for a paragraph holding only a link
+const render = (subject, paragraphs) => ({
+	subject,
+	text: `${paragraphs.map(p => typeof p === 'string' ? p : p.link).join('\n\n')}\n\n-- \n${SITE_NAME}`,
+	html: [
+		...paragraphs.map(p => typeof p === 'string'
+			? `<p>${escapeHtml(p).replace(/\n/g, '<br>')}</p>`
+			: `<p><a href="${escapeHtml(p.link)}">${escapeHtml(p.link)}</a></p>`),
+		`<p>--<br>${escapeHtml(SITE_NAME)}</p>`,
+	].join('\n'),
+})
+
+exports.newMessage = ({name, email, message}, inboxUrl) => render(
+	`Nouveau message de ${name}`,
+	[
+		`${name} <${email}> a écrit depuis le formulaire de contact :`,
+		message,
+		'Répondez directement à ce mail, ou retrouvez les messages sur la page d\'administration :',
+		{link: inboxUrl},
+	]
+)
+
+exports.invitation = ({email, role}, temporaryPassword, loginUrl) => render(
+	'Votre compte sur le site de Sophie Bluel',
+	[
+		`Un compte ${role === 'admin' ? 'administrateur' : 'éditeur'} a été créé pour ${email}.`,
+		`Mot de passe temporaire : ${temporaryPassword}`,
+		'Connectez-vous puis changez ce mot de passe depuis la page d\'administration :',
+		{link: loginUrl},
+	]
+)
+
+// Invitation sent again after a failed send: the temporary password is not kept, the link lets
+// the user choose a password
+exports.invitationLink = ({email, role}, resetUrl, validMinutes) => render(
+	'Votre compte sur le site de Sophie Bluel',
+	[
+		`Un compte ${role === 'admin' ? 'administrateur' : 'éditeur'} a été créé pour ${email}.`,
+		`Pour choisir votre mot de passe, ouvrez ce lien (valable ${validMinutes} minutes, une seule fois) :`,
+		{link: resetUrl},
+		'Vous pourrez ensuite vous connecter avec ce mot de passe.',
+	]
+)
+
+exports.passwordReset = ({email}, resetUrl, validMinutes) => render(
+	'Réinitialisation de votre mot de passe',
+	[
+		`Une réinitialisation du mot de passe a été demandée pour ${email}.`,
+		`Pour choisir un nouveau mot de passe, ouvrez ce lien (valable ${validMinutes} minutes, une seule fois) :`,
+		{link: resetUrl},
+		'Si vous n\'êtes pas à l\'origine de cette demande, ignorez ce mail : votre mot de passe reste inchangé.',
+	]
+)
@@ -0,0 +1,174 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const nodemailer = require('nodemailer')
+const { Op } = require('sequelize')
+const db = require('../models')
+const config = require('../config/mail.config')
+const MailQueue = db.mailQueue
+
+const MINUTE = 60 * 1000
+// A claimed mail is not picked by another run before that, even if its run stopped mid-send
+const CLAIM_MS = 15 * MINUTE
+
+// Each transport has sendMail(mail), as a nodemailer transport
+const transports = {
+	smtp: () => nodemailer.createTransport(config.smtp),
+
+	// Writes the raw mail in the outbox folder instead of sending it (local development, tests)
+	file: () => {
+		const stream = nodemailer.createTransport({streamTransport: true, buffer: true, newline: 'unix'})
+		return {
+			async sendMail(mail){
+				const info = await stream.sendMail(mail)
+				await fs.promises.mkdir(config.outboxDir, {recursive: true})
+				const name = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`
+				await fs.promises.writeFile(path.join(config.outboxDir, name), info.message)
+				return info
+			}
+		}
+	},
+
+	console: () => ({
+		async sendMail(mail){
+			console.log(`Mail to ${mail.to}: ${mail.subject}\n${mail.text}`)
+			return {messageId: null}
+		}
+	}),
+}
+
+let transport = null
+// Set while the server's periodic run is sending
+let running = false
+
+const getTransport = () => {
+	if(transport === null){
+		if(!transports[config.transport]){
+			throw new Error(`Unknown MAIL_TRANSPORT "${config.transport}" (smtp, file or console)`)
+		}
+		if(config.production && config.transport !== 'smtp'){
+			throw new Error(`MAIL_TRANSPORT=${config.transport} does not deliver the mails: use smtp in production`)
+		}
+		transport = transports[config.transport]()
+	}
+	return transport
+}
+
+// Wait before the next attempt once `attempts` sends have failed: 1, 2, 4, 8... minutes, 6 hours at most
+const retryDelay = (attempts) => Math.min(MINUTE * 2 ** (attempts - 1), 6 * 60 * MINUTE)
+
+const deliver = (mail) => getTransport().sendMail({
+	from: config.from,
+	to: mail.to,
+	replyTo: mail.replyTo || undefined,
+	subject: mail.subject,
+	text: mail.text,
+	html: mail.html || undefined,
+})
+
+// Sends the mail ({to, replyTo, subject, text, html}) right away. If that fails it goes
+// in the queue to be retried later, so the caller never gets an error: resolves to false.
+// A mail holding a secret gives `rebuild` ({template, params}, see notifications.rebuildMail):
+// the queue keeps that instead of its text.
+const sendMail = async (mail, rebuild) => {
+	const to = Array.isArray(mail.to) ? mail.to.join(', ') : mail.to
+	try{
+		await deliver({...mail, to})
+		return true
+	}catch(err){
+		console.error(`Mail to ${to} failed, queued for a retry: ${err.message}`)
+		await MailQueue.create({
+			...(rebuild ? {replyTo: mail.replyTo, subject: mail.subject, ...rebuild} : mail),
+			to,
+			attempts: 1,
+			lastError: err.message,
+			nextAttemptAt: new Date(Date.now() + retryDelay(1)),
+		})
+		return false
+	}
+}
+
+// The queued mail as it is sent: built again when it holds a secret. null when it is
+// no longer to send (account deleted or disabled).
+const queuedMail = async (mail) => {
+	if(!mail.template){
+		return mail
+	}
+	// Required here: notifications requires this module
+	const { rebuildMail } = require('./notifications')
+	return rebuildMail(mail.template, mail.params)
+}
+
+// Takes the mail for this run by moving its nextAttemptAt forward. The server and
+// npm run mail:retry may read the same due rows: only one of them gets each row.
+const claim = async (mail) => {
+	const [count] = await MailQueue.update(
+		{nextAttemptAt: new Date(Date.now() + CLAIM_MS)},
+		{where: {id: mail.id, failedAt: null, nextAttemptAt: mail.nextAttemptAt}}
+	)
+	return count === 1
+}
+
+// Retries the queued mails that are due. A sent mail leaves the queue, as a mail no longer
+// to send (dropped); after maxAttempts failures a mail stays with failedAt set. Resolves to the counts.
+const processQueue = async () => {
+	const due = await MailQueue.findAll({
+		where: {failedAt: null, nextAttemptAt: {[Op.lte]: new Date()}},
+		order: [['nextAttemptAt', 'ASC']],
+	})
+	const result = {sent: 0, retried: 0, failed: 0, dropped: 0}
+	for(const mail of due){
+		if(!(await claim(mail))){
+			continue
+		}
+		try{
+			const toSend = await queuedMail(mail)
+			if(toSend === null){
+				await mail.destroy()
+				result.dropped++
+				continue
+			}
+			await deliver(toSend)
+			await mail.destroy()
+			result.sent++
+		}catch(err){
+			const attempts = mail.attempts + 1
+			const gaveUp = attempts >= config.maxAttempts
+			await mail.update({
+				attempts,
+				lastError: err.message,
+				nextAttemptAt: gaveUp ? null : new Date(Date.now() + retryDelay(attempts)),
+				failedAt: gaveUp ? new Date() : null,
+			})
+			result[gaveUp ? 'failed' : 'retried']++
+		}
+	}
+	return result
+}
+
+// Gives the mails that failed for good a new series of attempts, starting now. Resolves to their number.
+const requeueFailed = async () => {
+	const [count] = await MailQueue.update(
+		{attempts: 0, failedAt: null, nextAttemptAt: new Date()},
+		{where: {failedAt: {[Op.ne]: null}}}
+	)
+	return count
+}
+
+// Processes the queue every retryIntervalMs while the server runs.
+// Throws right away if MAIL_TRANSPORT is unknown, or not smtp in production.
+// A run still sending (SMTP timeouts last minutes) is not started again.
+const startQueue = () => {
+	getTransport()
+	return setInterval(() => {
+		if(running){
+			return
+		}
+		running = true
+		processQueue()
+			.catch(err => console.error(err))
+			.finally(() => { running = false })
+	}, config.retryIntervalMs).unref()
+}
+
+module.exports = { sendMail, processQueue, requeueFailed, startQueue }
@@ -0,0 +1,49 @@
+const path = require('path')
+const { Umzug, SequelizeStorage } = require('umzug')
+const db = require('../models')
+
+// Migrations (schema) and seeders (demo data) have the sequelize-cli signature:
+// up(queryInterface, Sequelize) / down(queryInterface, Sequelize).
+// Each one is run once, in the order of the file names, and recorded in its own table.
+const createRunner = (folder, tableName) => new Umzug({
+	migrations: {
+		glob: ['*.js', { cwd: path.join(__dirname, '..', folder) }],
+		resolve: ({ name, path: file, context }) => {
+			const step = require(file)
+			return {
+				name,
+				up: () => step.up(context, db.Sequelize),
+				down: () => step.down(context, db.Sequelize)
+			}
+		}
+	},
+	context: db.sequelize.getQueryInterface(),
+	storage: new SequelizeStorage({ sequelize: db.sequelize, tableName, modelName: tableName }),
+	logger: undefined
+})
+
+const migrator = createRunner('migrations', 'migrations')
+const seeder = createRunner('seeders', 'seeders')
+
+// The server does not start on a database that misses some migrations
+const ensureMigrated = async () => {
+	const pending = await migrator.pending()
+	if(pending.length > 0){
+		throw new Error(
+			`${pending.length} pending migration(s): ${pending.map(migration => migration.name).join(', ')}. ` +
+			'Run "npm run db:migrate" first.'
+		)
+	}
+}
+
+// An in-memory database (tests) is empty at each start: it is created and filled with the demo data.
+// Any other database must have been migrated beforehand.
+const prepareDatabase = async () => {
+	if(!db.config.inMemory){
+		return ensureMigrated()
+	}
+	await migrator.up()
+	await seeder.up()
+}
+
+module.exports = { migrator, seeder, ensureMigrated, prepareDatabase }
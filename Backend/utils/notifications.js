@@ -0,0 +1,68 @@
+const db = require('../models')
+const config = require('../config/mail.config')
+const templates = require('./mailTemplates')
+const { sendMail } = require('./mailer')
+const { PASSWORD_RESET_MINUTES, issuePasswordResetToken } = require('./tokens')
+
+const resetUrl = (token) => `${config.frontendUrl}/reset-password.html?token=${token}`
+
+// MAIL_NOTIFY_TO, or the active admins
+const ownerRecipients = async () => {
+	if(config.notifyTo){
+		return config.notifyTo
+	}
+	const admins = await db.users.findAll({attributes: ['email'], where: {role: 'admin', disabled: false}})
+	return admins.map(admin => admin.email)
+}
+
+// Notifications never fail the request that triggers them: a failed send is queued
+// by sendMail, any other error is logged. Each resolves to true once the mail is sent.
+const notify = async (buildMail, rebuild) => {
+	try{
+		const mail = await buildMail()
+		if(mail.to.length === 0){
+			return false
+		}
+		return await sendMail(mail, rebuild)
+	}catch(err){
+		console.error(err)
+		return false
+	}
+}
+
+exports.notifyNewMessage = (message) => notify(async () => ({
+	to: await ownerRecipients(),
+	replyTo: message.email,
+	...templates.newMessage(message, `${config.frontendUrl}/admin.html#inbox`),
+}))
+
+// The mails below hold a secret: if they are queued, only the template and the user id are kept
+exports.notifyInvitation = (user, temporaryPassword) => notify(() => ({
+	to: user.email,
+	...templates.invitation(user, temporaryPassword, `${config.frontendUrl}/login.html`),
+}), {template: 'invitation', params: {userId: user.id}})
+
+exports.notifyPasswordReset = (user, token) => notify(() => ({
+	to: user.email,
+	...templates.passwordReset(user, resetUrl(token), PASSWORD_RESET_MINUTES),
+}), {template: 'passwordReset', params: {userId: user.id}})
+
+// Builds again a queued mail that holds a secret, with a new one: the temporary password of an
+// invitation is not stored anywhere, the retried invitation gives a reset link instead; a new reset
+// link replaces the previous one. Resolves to null when the account is deleted or disabled.
+const rebuilders = {
+	invitation: (user, token) => templates.invitationLink(user, resetUrl(token), PASSWORD_RESET_MINUTES),
+	passwordReset: (user, token) => templates.passwordReset(user, resetUrl(token), PASSWORD_RESET_MINUTES),
+}
+
+exports.rebuildMail = async (template, params) => {
+	if(!rebuilders[template]){
+		throw new Error(`Unknown mail template "${template}"`)
+	}
+	const user = await db.users.findByPk(params?.userId)
+	if(user === null || user.disabled){
+		return null
+	}
+	const token = await issuePasswordResetToken(user)
+	return {to: user.email, ...rebuilders[template](user, token)}
+}
@@ -0,0 +1,10 @@
+const crypto = require('crypto')
+
+// At least 8 characters with one letter and one digit
+exports.isStrongPassword = (password) =>
+	typeof password === 'string' &&
+	password.length >= 8 &&
+	/[A-Za-z]/.test(password) &&
+	/\d/.test(password)
+
+exports.generateTemporaryPassword = () => crypto.randomBytes(9).toString('base64url') + '1a'
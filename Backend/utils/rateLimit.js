@@ -0,0 +1,44 @@
+// In-memory rate limiting: attempts are counted per key (client IP, email...) inside
+// a window; reaching the limit locks the key for a while.
+const MINUTE = 60 * 1000
+
+const createLimiter = ({maxAttempts, windowMs, lockMs}) => {
+	const entries = new Map()
+
+	const prune = (now) => {
+		for(const [key, entry] of entries){
+			if(entry.lockedUntil <= now && now - entry.firstAt > windowMs){
+				entries.delete(key)
+			}
+		}
+	}
+
+	return {
+		retryAfter(key){
+			const entry = entries.get(key)
+			const now = Date.now()
+			if(!entry || entry.lockedUntil <= now) return 0
+			return Math.ceil((entry.lockedUntil - now) / 1000)
+		},
+		fail(key){
+			const now = Date.now()
+			if(entries.size > 10000) prune(now)
+			let entry = entries.get(key)
+			if(!entry || now - entry.firstAt > windowMs){
+				entry = {count: 0, firstAt: now, lockedUntil: 0}
+				entries.set(key, entry)
+			}
+			entry.count++
+			if(entry.count >= maxAttempts){
+				entry.lockedUntil = now + lockMs
+				entry.count = 0
+				entry.firstAt = now
+			}
+		},
+		reset(key){
+			entries.delete(key)
+		}
+	}
+}
+
+module.exports = { MINUTE, createLimiter }
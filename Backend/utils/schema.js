@@ -0,0 +1,39 @@
+// Helpers for the migrations. Databases created by sequelize.sync() before the migrations
+// already have some of the tables and columns: they are kept as they are, only what is
+// missing is created.
+
+const tableExists = async (queryInterface, table) => {
+	const tables = await queryInterface.showAllTables()
+	return tables.some(name => (name.tableName || name) === table)
+}
+
+// Returns true when the table has been created
+exports.createTableIfMissing = async (queryInterface, table, attributes) => {
+	if(await tableExists(queryInterface, table)){
+		return false
+	}
+	await queryInterface.createTable(table, attributes)
+	return true
+}
+
+// Returns the names of the columns that have been added
+exports.addColumnsIfMissing = async (queryInterface, table, columns) => {
+	const existing = await queryInterface.describeTable(table)
+	const added = []
+	for(const [name, attribute] of Object.entries(columns)){
+		if(!existing[name]){
+			await queryInterface.addColumn(table, name, attribute)
+			added.push(name)
+		}
+	}
+	return added
+}
+
+exports.addIndexIfMissing = async (queryInterface, table, fields, options) => {
+	const indexes = await queryInterface.showIndex(table)
+	if(!indexes.some(index => index.name === options.name)){
+		await queryInterface.addIndex(table, fields, options)
+	}
+}
+
+exports.tableExists = tableExists
@@ -0,0 +1,9 @@
+// Same rules as slugify in FrontEnd/js/scripts/utils.js: the gallery filters by these slugs
+module.exports = (text) => String(text)
+	.toLowerCase()
+	.normalize('NFD')
+	.replace(/[\u0300-\u036f]/g, '')
+	.replace(/&/g, 'et')
+	.replace(/\s+/g, '-')
+	.replace(/[^\w-]/g, '')
+	.trim()
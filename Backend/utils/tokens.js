@@ -0,0 +1,70 @@
+const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
+const db = require('./../models')
+const RefreshTokens = db.refreshTokens
+const PasswordResetTokens = db.passwordResetTokens
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m'
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30
+const PASSWORD_RESET_MINUTES = parseInt(process.env.PASSWORD_RESET_MINUTES) || 60
+
+// Only a hash is stored, a leaked database does not leak usable refresh tokens
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+const signAccessToken = (user) => jwt.sign(
+	{userId : user.id},
+	process.env.TOKEN_SECRET,
+	{ expiresIn: ACCESS_TOKEN_TTL }
+)
+
+const issueRefreshToken = async (user) => {
+	const token = crypto.randomBytes(48).toString('base64url')
+	await RefreshTokens.create({
+		tokenHash: hashToken(token),
+		userId: user.id,
+		expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+	})
+	return token
+}
+
+exports.hashToken = hashToken
+
+exports.revokeUserRefreshTokens = (userId) => RefreshTokens.update(
+	{revokedAt: new Date()},
+	{where: {userId, revokedAt: null}}
+)
+
+exports.createSession = async (user) => ({
+	userId: user.id,
+	role: user.role,
+	token: signAccessToken(user),
+	refreshToken: await issueRefreshToken(user)
+})
+
+exports.PASSWORD_RESET_MINUTES = PASSWORD_RESET_MINUTES
+
+// A new reset link replaces the ones not used yet. Only the hash is stored, like refresh tokens.
+exports.issuePasswordResetToken = async (user) => {
+	const token = crypto.randomBytes(32).toString('base64url')
+	await db.sequelize.transaction(async (transaction) => {
+		await PasswordResetTokens.destroy({where: {userId: user.id, usedAt: null}, transaction})
+		await PasswordResetTokens.create({
+			tokenHash: hashToken(token),
+			userId: user.id,
+			expiresAt: new Date(Date.now() + PASSWORD_RESET_MINUTES * 60 * 1000)
+		}, {transaction})
+	})
+	return token
+}
+
+// The stored token with its user, if it is unused and not expired; null otherwise
+exports.findPasswordResetToken = async (token) => {
+	const stored = await PasswordResetTokens.findOne({
+		where: {tokenHash: hashToken(token), usedAt: null},
+		include: 'user'
+	})
+	if(stored === null || stored.expiresAt < new Date() || stored.user === null || stored.user.disabled){
+		return null
+	}
+	return stored
+}
@@ -0,0 +1,35 @@
+const { Op } = require('sequelize')
+const db = require('../models')
+const { removeWorkImages } = require('./images')
+
+// Days a deleted work stays in the trash before the purge job removes it for good
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30
+
+// Deleted works are soft deleted (paranoid model): only these options reach them.
+// A deletedAt condition in `where` replaces the default one (a date comparison excludes null too).
+const trashedOptions = (where = {}) => ({
+	paranoid: false,
+	where: {deletedAt: {[Op.ne]: null}, ...where},
+})
+
+// Removes a work for good: its rows, then its files
+const purgeWork = async (work) => {
+	const images = await db.workImages.findAll({where: {workId: work.id}})
+	await db.sequelize.transaction(async (transaction) => {
+		await db.workImages.destroy({where: {workId: work.id}, transaction})
+		await work.destroy({force: true, transaction})
+	})
+	await removeWorkImages({imageUrl: work.imageUrl, imageVariants: work.imageVariants, images})
+}
+
+// Purges the works deleted more than `days` days ago. Resolves to the purged works.
+const purgeExpired = async (days = TRASH_RETENTION_DAYS) => {
+	const deletedBefore = new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+	const works = await db.works.findAll(trashedOptions({deletedAt: {[Op.lt]: deletedBefore}}))
+	for(const work of works){
+		await purgeWork(work)
+	}
+	return works
+}
+
+module.exports = { TRASH_RETENTION_DAYS, trashedOptions, purgeWork, purgeExpired }
@@ -0,0 +1,32 @@
+// Optional descriptive fields of a work, read the same way on creation and update
+const TEXT_DETAILS = {
+	description: {label: 'Description', maxLength: 2000},
+	location: {label: 'Location', maxLength: 100},
+	client: {label: 'Client', maxLength: 100},
+}
+const MIN_YEAR = 1900
+
+exports.DETAIL_NAMES = [...Object.keys(TEXT_DETAILS), 'year']
+
+// Copies the detail fields present in body to work. An empty value clears the field (null).
+// Invalid values are reported in fields as {name: message}.
+exports.readWorkDetails = (body, work, fields) => {
+	for(const [name, {label, maxLength}] of Object.entries(TEXT_DETAILS)){
+		if(body[name] === undefined) continue
+		// Multipart forms send line breaks as \r\n
+		const value = String(body[name]).replace(/\r\n/g, '\n').trim()
+		if(value.length > maxLength){
+			fields[name] = `${label} must be ${maxLength} characters max`
+		}
+		work[name] = value === '' ? null : value
+	}
+	if(body.year !== undefined){
+		const value = String(body.year).trim()
+		const year = Number(value)
+		const maxYear = new Date().getFullYear() + 10
+		if(value !== '' && !(Number.isInteger(year) && year >= MIN_YEAR && year <= maxYear)){
+			fields.year = `Year must be between ${MIN_YEAR} and ${maxYear}`
+		}
+		work.year = value === '' ? null : year
+	}
+}
@@ -0,0 +1,34 @@
+const { Op } = require('sequelize')
+
+// draft: not public yet, published: public (from publishAt if set), archived: no longer public
+const STATUSES = ['draft', 'published', 'archived']
+
+exports.STATUSES = STATUSES
+
+// Works the public can see: published, and whose publishAt (if any) has passed
+exports.publishedWhere = () => ({
+	status: 'published',
+	[Op.or]: [{publishAt: null}, {publishAt: {[Op.lte]: new Date()}}],
+})
+
+exports.isPublished = (work) => work.status === 'published'
+	&& (work.publishAt === null || new Date(work.publishAt) <= new Date())
+
+// Copies status and publishAt present in body to work. An empty publishAt clears it (published right away).
+// Invalid values are reported in fields as {name: message}.
+exports.readWorkStatus = (body, work, fields) => {
+	if(body.status !== undefined){
+		work.status = String(body.status).trim()
+		if(!STATUSES.includes(work.status)){
+			fields.status = 'Status must be one of ' + STATUSES.join(', ')
+		}
+	}
+	if(body.publishAt !== undefined){
+		const value = String(body.publishAt).trim()
+		const date = new Date(value)
+		if(value !== '' && Number.isNaN(date.getTime())){
+			fields.publishAt = 'Publish date must be an ISO 8601 date'
+		}
+		work.publishAt = value === '' ? null : date
+	}
+}
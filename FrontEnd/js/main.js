@@ -7,76 +7,126 @@
  *
  * Rôle :
  * - Prépare l’UI
- * - Charge les données distantes (works + categories)
- * - Active la modale (si authentifié)
- * - Synchronise les filtres/URL
+ * - Charge les catégories, et tous les works pour la modale, brouillons compris (si authentifié)
+ * - Active la modale (si authentifié) ; la gestion des catégories seulement pour un admin
+ * - Synchronise les filtres/URL ; la galerie publique charge ses works par pages, filtrés côté API
+ * - Affiche le détail d’un projet quand l’URL contient `?work=<slug>`
+ * - Ouvre la lightbox sur l’image d’un projet quand l’URL contient `?image=<slug>`
  *
  * Effets de bord :
  * - Mutations DOM (bannière admin, liens "Modifier", modale, galerie, filtres)
- * - Lecture/écriture du token (auth) via `localStorage`
- * - Historique navigateur modifié (`pushState`) via les filtres
+ * - Lecture/écriture de la session (token + refresh token) via `localStorage`
+ * - Historique navigateur modifié (`pushState`) via les filtres, la vue détail et la lightbox
  *
  * Intégrations :
  * - Callback passé à `setupUploadSubmit` pour mettre à jour la galerie après upload
+ * - Callback passé à `setupBatchUpload` pour mettre à jour la galerie après un ajout groupé
+ * - Callbacks passés à `setupWorkEdit` (lecture du work à éditer, MAJ après modification)
+ * - Callback passé à `setupCategoryManager` pour répercuter les catégories sur les filtres et les works
+ * - Callback passé à `displayModalGallery` pour reprendre l’ordre des works après un déplacement (admin)
  *
  * Événements écoutés :
  * - `work:deleted` (après suppression, pour MAJ galerie/filtre courant)
+ * - `work:restored` (après restauration depuis la corbeille, pour remettre le projet à sa place)
  */
 
 import {
   getWorks,
-  getCategories
+  getCategories,
+  restoreSession
 } from "./scripts/api.js";
 
 import {
-  displayWorks,
+  setupGalleryLoader,
+  setupWorkDetail,
+  setupLightbox,
   displayFilters,
   renderGalleryError,
   domModificationLogIn,
   addAdminBanner,
+  addAdminNavLink,
   addEditLink,
   displayModal,
   exitModal,
   displayModalGallery,
+  renderModalGallery,
   mountModalNavigation,
   setupImageField,
+  setupImageCrop,
+  setupExtraImagesField,
   setupTitleField,
   setupCategoryValidation,
   setupUploadButtonState,
-  setupUploadSubmit
+  setupUploadSubmit,
+  setupBatchUpload,
+  setupWorkEdit,
+  setupCategoryManager,
+  setupTrash
 } from "./scripts/dom.js";
 
 import {
   getCategoryNameFromQueryParam,
-  isLogIn,
+  isAdmin,
   logOut,
   slugify
 } from "./scripts/utils.js";
 
 
 /**
- * Ré-affiche la galerie selon le slug courant dans l’URL.
- * - Si `?category=<slug>` est présent : filtre les works par `category.name` sluggifié.
- * - Sinon : affiche tous les works.
+ * Applique une modification de catégorie (panneau admin) à l’état local :
+ * - created : ajoute la catégorie
+ * - renamed : renomme la catégorie et `work.category.name` (+ slug de l’URL si filtre actif)
+ * - deleted : retire la catégorie et déplace ses works vers `reassignTo`
  *
- * @param {Array} works - Liste complète des projets à filtrer/afficher.
+ * @param {import("./scripts/dom.js").CategoryChange} change
+ * @param {Array} categories - Catégories courantes (muté)
+ * @param {Array} works - Projets courants (mutés)
  * @returns {void}
  */
-function renderGalleryByUrlFilter(works) {
-  const slug = getCategoryNameFromQueryParam();
-  const list = slug
-    ? works.filter(w => slugify(w.category?.name || "") === slug)
-    : works;
-  displayWorks(list);
+function applyCategoryChange({ type, category, previousName, reassignTo }, categories, works) {
+  const id = Number(category.id);
+  const usesCategory = (w) => Number(w.category?.id ?? w.categoryId) === id;
+
+  if (type === "created") {
+    categories.push(category);
+    return;
+  }
+
+  const idx = categories.findIndex(c => Number(c.id) === id);
+
+  if (type === "renamed") {
+    if (idx !== -1) categories[idx] = category;
+    works.filter(usesCategory).forEach(w => { w.category = { ...category }; });
+
+    if (previousName && getCategoryNameFromQueryParam() === slugify(previousName)) {
+      const url = new URL(window.location);
+      url.searchParams.set("category", slugify(category.name));
+      window.history.replaceState({}, "", url);
+    }
+    return;
+  }
+
+  if (type === "deleted") {
+    if (idx !== -1) categories.splice(idx, 1);
+
+    const target = categories.find(c => Number(c.id) === Number(reassignTo));
+    if (!target) return;
+    works.filter(usesCategory).forEach(w => {
+      w.categoryId = target.id;
+      w.category = { ...target };
+    });
+  }
 }
 
 
 /**
  * Initialise l’application :
- * 1) Vérifie l’authentification et applique l’UI admin si nécessaire
- * 2) Récupère les projets + catégories via l’API (en parallèle)
+ * 1) Vérifie l’authentification (refresh si le token a expiré) et applique l’UI admin si nécessaire
+ * 2) Récupère les catégories, et tous les projets quel que soit leur statut si connecté (modale), via l’API (en parallèle)
  * 3) Monte la modale + validations si connecté
- * 4) Affiche la galerie + les filtres, puis applique le filtre issu de l’URL (`?category=...`)
+ * 4) Affiche les filtres, ce qui applique le filtre issu de l’URL (`?category=...`)
+ *    et charge la 1re page de la galerie (les suivantes au scroll)
+ * 5) Ouvre le détail du projet (`?work=...`) et/ou la lightbox (`?image=...`) de l’URL s’il y en a
  *
  * Gestion d’erreur :
  * - Message utilisateur dans la section portfolio via `renderGalleryError`
@@ -91,25 +141,38 @@ function renderGalleryByUrlFilter(works) {
  */
 (async function init() {
   try {
-    const isAuth = isLogIn();
+    const isAuth = await restoreSession();
 
-    // Charge works + categories en parallèle
+    // Charge categories (+ tous les works, brouillons compris, pour la modale si connecté) en parallèle
     const [worksFetched, categoriesFetched] = await Promise.all([
-      getWorks(),
+      isAuth ? getWorks({ status: "all" }, localStorage.getItem("token")) : { works: [] },
       getCategories()
     ]);
     
-    const works = Array.isArray(worksFetched)
-      ? worksFetched
+    const works = Array.isArray(worksFetched?.works)
+      ? worksFetched.works
       : [];
 
     const categories = Array.isArray(categoriesFetched) 
       ? categoriesFetched
       : [];
 
+    // Galerie publique paginée (1re page chargée par l’activation du filtre courant)
+    const galleryLoader = setupGalleryLoader();
+    const workDetail = setupWorkDetail();
+    const lightbox = setupLightbox();
+
+    // Catégorie affichée par la galerie : un retour arrière ne recharge la galerie que si elle change
+    let galleryCategory = getCategoryNameFromQueryParam();
+    const selectCategory = () => {
+      galleryCategory = getCategoryNameFromQueryParam();
+      galleryLoader.reload();
+    };
+
     if (isAuth) {
       // Header / bandeau / liens d’édition
       addAdminBanner();
+      addAdminNavLink();
       addEditLink();
       logOut(isAuth);
       domModificationLogIn(isAuth);
@@ -117,24 +180,69 @@ function renderGalleryByUrlFilter(works) {
       // Modale + formulaires (ajout projet)
       displayModal();
       exitModal();
-      displayModalGallery(works);
+      // Après changement d’ordre (admin) → remplace les works + recharge la galerie dans le nouvel ordre
+      displayModalGallery(
+        works,
+        (reorderedWorks) => {
+          works.splice(0, works.length, ...reorderedWorks);
+          galleryLoader.reload();
+        }
+      );
       mountModalNavigation();
       setupImageField();
+      setupImageCrop();
+      setupExtraImagesField();
       setupTitleField();
       setupCategoryValidation();
       setupUploadButtonState();
 
-      // Après création réussie → MAJ état local + re-render filtré
+      // Après création réussie → MAJ état local + recharge la galerie filtrée
       setupUploadSubmit(
         (newWork) => {
           works.push(newWork);
-          renderGalleryByUrlFilter(works);
+          galleryLoader.reload();
         }
       );
+
+      // Après un ajout groupé (même partiel) → MAJ état local avec les projets créés + recharge la galerie
+      setupBatchUpload(
+        (createdWorks) => {
+          works.push(...createdWorks);
+          galleryLoader.reload();
+        }
+      );
+
+      // Après modification réussie → remplace le work + recharge la galerie (la catégorie a pu changer)
+      setupWorkEdit(
+        (id) => works.find(w => Number(w.id) === id),
+        (updatedWork) => {
+          const idx = works.findIndex(w => Number(w.id) === Number(updatedWork.id));
+          if (idx !== -1) works[idx] = updatedWork;
+          galleryLoader.reload();
+        }
+      );
+
+      // Après création/renommage/suppression de catégorie → MAJ état local + reconstruit les filtres
+      // Gestion réservée aux admins (l’API répond 403 à un éditeur) : bouton masqué sinon
+      if (isAdmin()) {
+        setupCategoryManager(
+          (change) => {
+            applyCategoryChange(change, categories, works);
+            displayFilters(categories, selectCategory);
+          }
+        );
+      } else {
+        document.querySelector(".btn-manage-categories")?.setAttribute("hidden", "");
+      }
+
+      // Annulation des suppressions + corbeille (restaurations signalées par `work:restored`)
+      setupTrash();
     }
 
-    // Filtres construits depuis l’API (toutes les catégories)
-    displayFilters(categories, works);
+    // Filtres construits depuis l’API (toutes les catégories) ; chaque filtre recharge la galerie
+    displayFilters(categories, selectCategory);
+    workDetail.sync();
+    lightbox.sync();
 
     document.addEventListener(
       "work:deleted",
@@ -142,14 +250,29 @@ function renderGalleryByUrlFilter(works) {
         const deletedId = Number(e.detail?.id);
         const idx = works.findIndex(w => Number(w.id) === deletedId);
         if (idx !== -1) works.splice(idx, 1);
-        renderGalleryByUrlFilter(works);
+        galleryLoader.reload();
+      }
+    );
+
+    // Projet restauré → reprend sa place d’après sa position (les works sont dans l’ordre de la modale)
+    document.addEventListener(
+      "work:restored",
+      (e) => {
+        const restored = e.detail?.work;
+        if (!restored) return;
+        const idx = works.findIndex(w => Number(w.position) > Number(restored.position));
+        idx === -1 ? works.push(restored) : works.splice(idx, 0, restored);
+        renderModalGallery(works);
+        galleryLoader.reload();
       }
     );
 
-    // Navigation (retour arrière) → ré-applique le filtre URL
+    // Navigation (retour arrière) → ré-applique le projet et l’image de l’URL, et le filtre s’il a changé
+    // (ouvrir/fermer la lightbox ou un projet ajoute aussi des entrées : les pages déjà chargées sont gardées)
     window.addEventListener("popstate", () => {
-      // NOTE: la filtration URL repose sur work.category?.name (l’API renvoie déjà le nom de catégorie et createWork normalise après upload).
-      renderGalleryByUrlFilter(works);
+      workDetail.sync();
+      lightbox.sync();
+      if (getCategoryNameFromQueryParam() !== galleryCategory) selectCategory();
     });
 
   } catch {
@@ -0,0 +1,677 @@
+// ./js/scripts/admin.js
+
+import {
+  getUsers,
+  inviteUser,
+  updateUser,
+  deleteUser,
+  changePassword,
+  getAuditLog,
+  getMessages,
+  markMessageRead,
+  deleteMessage,
+  restoreSession,
+  saveSession
+} from "./api.js";
+
+import {
+  createElement,
+  isAdmin,
+  logOut,
+  validatePassword,
+  UI_ERROR_MESSAGES
+} from "./utils.js";
+
+import {
+  domModificationLogIn
+} from "./dom.js";
+
+/**
+ * @file admin.js
+ * @description Page d’administration (admin.html).
+ *
+ * - Redirige vers `login.html` si aucune session valide (même après refresh) n’est disponible.
+ * - "Mon compte" : changement du mot de passe de l’utilisateur connecté (`changePassword`).
+ * - "Utilisateurs" (rôle admin uniquement) : invitation, changement de rôle,
+ *   désactivation/réactivation et suppression des comptes.
+ * - "Messages" (rôle admin uniquement) : messages du formulaire de contact, lu/non lu et suppression.
+ * - "Historique" (rôle admin uniquement) : journal d’audit en lecture seule, filtrable, par pages.
+ * - Les messages s’affichent dans des <p> `aria-live` propres à chaque bloc.
+ *
+ * @see getUsers, inviteUser, updateUser, deleteUser, changePassword, getMessages, markMessageRead, deleteMessage, getAuditLog (api.js)
+ */
+
+
+/** Libellés des rôles affichés dans l’UI. */
+const ROLE_LABELS = Object.freeze({
+  admin: "Administrateur",
+  editor: "Éditeur"
+});
+
+/** Libellés des actions du journal d’audit. */
+const ACTION_LABELS = Object.freeze({
+  login: "Connexion",
+  create: "Création",
+  update: "Modification",
+  delete: "Suppression",
+  reorder: "Changement d’ordre",
+  restore: "Restauration",
+  purge: "Suppression définitive"
+});
+
+/** Libellés des statuts de projet. */
+const STATUS_LABELS = Object.freeze({
+  archived: "Archivé",
+  draft: "Brouillon",
+  published: "Publié"
+});
+
+/** Libellés des types d’élément du journal d’audit. */
+const TARGET_LABELS = Object.freeze({
+  category: "Catégorie",
+  user: "Utilisateur",
+  work: "Projet"
+});
+
+/** Champs comparés dans le détail d’une modification, avec leur libellé. */
+const AUDIT_FIELD_LABELS = Object.freeze({
+  title: "Titre",
+  name: "Nom",
+  categoryId: "Catégorie",
+  description: "Description",
+  year: "Année",
+  location: "Lieu",
+  client: "Client",
+  status: "Statut",
+  publishAt: "Publication",
+  imageUrl: "Image",
+  role: "Rôle",
+  disabled: "Désactivé"
+});
+
+
+/**
+ * Écrit un message (erreur ou succès) dans un <p aria-live>.
+ * @param {string} id - id du <p> cible
+ * @param {string} message
+ * @param {boolean} [isSuccess=false] - Style "succès" au lieu d’erreur
+ * @returns {void}
+ */
+function setMessage(id, message, isSuccess = false) {
+  const element = document.getElementById(id);
+  if (!element) return;
+
+  element.textContent = message;
+  element.classList.toggle("error-message", !isSuccess && !!message);
+  element.classList.toggle("success", isSuccess);
+  element.setAttribute("role", isSuccess ? "status" : "alert");
+}
+
+
+/* =========================================================
+ * MON COMPTE — changement de mot de passe
+ * =======================================================*/
+
+/**
+ * Monte le formulaire de changement de mot de passe.
+ * @returns {void}
+ */
+function setupPasswordForm() {
+  const form = document.getElementById("password-form");
+  if (!form) return;
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    const currentInput = document.getElementById("current-password");
+    const newInput = document.getElementById("new-password");
+    const confirmInput = document.getElementById("confirm-password");
+    const submitBtn = form.querySelector(`input[type="submit"]`);
+
+    setMessage("password-message", "");
+
+    if (!currentInput.value || !newInput.value) {
+      setMessage("password-message", UI_ERROR_MESSAGES.form);
+      (currentInput.value ? newInput : currentInput).focus();
+      return;
+    }
+
+    const v = validatePassword(newInput.value);
+    if (!v.ok) {
+      setMessage("password-message", v.message);
+      newInput.focus();
+      return;
+    }
+
+    if (newInput.value !== confirmInput.value) {
+      setMessage("password-message", UI_ERROR_MESSAGES.passwordConfirm);
+      confirmInput.focus();
+      return;
+    }
+
+    submitBtn.disabled = true;
+    try {
+      const session = await changePassword(currentInput.value, newInput.value, localStorage.getItem("token"));
+      if (session) saveSession(session);
+      form.reset();
+      setMessage("password-message", "Mot de passe modifié.", true);
+
+    } catch (error) {
+      const fieldMessage = error?.fields?.currentPassword || error?.fields?.newPassword;
+      setMessage("password-message", fieldMessage || (error?.status === 401
+        ? UI_ERROR_MESSAGES.passwordCurrent
+        : UI_ERROR_MESSAGES.passwordChange));
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+}
+
+
+/* =========================================================
+ * UTILISATEURS — liste, invitation, rôle, désactivation, suppression
+ * =======================================================*/
+
+/**
+ * Crée la ligne de tableau d’un utilisateur.
+ * Les actions sur son propre compte sont désactivées (l’API les refuse aussi).
+ *
+ * @param {{id:number, email:string, role:string, disabled:boolean}} user
+ * @returns {HTMLTableRowElement}
+ */
+function createUserRow(user) {
+  const isSelf = String(user.id) === localStorage.getItem("userId");
+  const row = createElement("tr", {
+    "data-id": String(user.id),
+    "data-disabled": String(!!user.disabled)
+  });
+
+  const emailCell = createElement("td", {}, user.email);
+
+  const roleCell = createElement("td");
+  const roleSelect = createElement("select", {
+    class: "user-role",
+    "aria-label": `Rôle de ${user.email}`
+  });
+  Object.entries(ROLE_LABELS).forEach(([value, label]) => {
+    roleSelect.appendChild(createElement("option", { value }, label));
+  });
+  roleSelect.value = user.role;
+  roleSelect.disabled = isSelf;
+  roleCell.appendChild(roleSelect);
+
+  const statusCell = createElement("td", {}, user.disabled ? "Désactivé" : "Actif");
+
+  const actionsCell = createElement("td");
+  const toggleBtn = createElement("button", {
+    type: "button",
+    class: "user-toggle",
+    "aria-label": `${user.disabled ? "Réactiver" : "Désactiver"} ${user.email}`
+  }, user.disabled ? "Réactiver" : "Désactiver");
+  const deleteBtn = createElement("button", {
+    type: "button",
+    class: "user-delete",
+    "aria-label": `Supprimer ${user.email}`
+  }, "Supprimer");
+  toggleBtn.disabled = isSelf;
+  deleteBtn.disabled = isSelf;
+  actionsCell.append(toggleBtn, deleteBtn);
+
+  row.append(emailCell, roleCell, statusCell, actionsCell);
+  return row;
+}
+
+
+/**
+ * Message d’erreur UI pour une action sur un compte.
+ * @param {Error & {status?: number}} error
+ * @param {string} fallback - Message par défaut
+ * @returns {string}
+ */
+function userErrorMessage(error, fallback) {
+  if (error?.code === "SELF_ACTION") return UI_ERROR_MESSAGES.userSelf;
+  if (error?.code === "LAST_ADMIN") return UI_ERROR_MESSAGES.userLastAdmin;
+  return fallback;
+}
+
+
+/**
+ * Charge et affiche la liste des utilisateurs.
+ * @returns {Promise<void>}
+ */
+async function loadUsers() {
+  const tbody = document.querySelector("#users-table tbody");
+  if (!tbody) return;
+
+  try {
+    const users = await getUsers(localStorage.getItem("token"));
+    tbody.innerHTML = "";
+    users.forEach(user => tbody.appendChild(createUserRow(user)));
+    setMessage("users-message", "");
+
+  } catch {
+    setMessage("users-message", UI_ERROR_MESSAGES.users);
+  }
+}
+
+
+/**
+ * Monte le formulaire d’invitation.
+ * Le mot de passe temporaire n’est renvoyé qu’une fois par l’API : il est affiché ici.
+ * @returns {void}
+ */
+function setupInviteForm() {
+  const form = document.getElementById("invite-form");
+  if (!form) return;
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    const emailInput = document.getElementById("invite-email");
+    const roleSelect = document.getElementById("invite-role");
+    const submitBtn = form.querySelector(`input[type="submit"]`);
+    const email = emailInput.value.trim().toLowerCase();
+
+    setMessage("invite-message", "");
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      setMessage("invite-message", UI_ERROR_MESSAGES.email);
+      emailInput.focus();
+      return;
+    }
+
+    submitBtn.disabled = true;
+    try {
+      const user = await inviteUser(email, roleSelect.value, localStorage.getItem("token"));
+      document.querySelector("#users-table tbody")?.appendChild(createUserRow(user));
+      form.reset();
+      setMessage(
+        "invite-message",
+        `Compte créé pour ${user.email}. Mot de passe temporaire : ${user.temporaryPassword}`,
+        true
+      );
+
+    } catch (error) {
+      const fieldMessage = error?.fields?.email || error?.fields?.role;
+      setMessage("invite-message", fieldMessage || (error?.status === 409
+        ? UI_ERROR_MESSAGES.userExists
+        : UI_ERROR_MESSAGES.userSave));
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+}
+
+
+/**
+ * Active les actions de la table (délégation) : rôle, désactivation, suppression.
+ * @returns {void}
+ */
+function setupUsersTable() {
+  const tbody = document.querySelector("#users-table tbody");
+  if (!tbody) return;
+
+  const token = () => localStorage.getItem("token");
+
+  tbody.addEventListener("change", async (e) => {
+    const select = e.target.closest(".user-role");
+    if (!select) return;
+
+    const row = select.closest("tr");
+    select.disabled = true;
+    try {
+      const user = await updateUser(row.dataset.id, { role: select.value }, token());
+      row.replaceWith(createUserRow(user));
+      setMessage("users-message", "");
+
+    } catch (error) {
+      setMessage("users-message", userErrorMessage(error, UI_ERROR_MESSAGES.userSave));
+      select.disabled = false;
+    }
+  });
+
+  tbody.addEventListener("click", async (e) => {
+    const btn = e.target.closest("button");
+    if (!btn) return;
+
+    const row = btn.closest("tr");
+    const id = row.dataset.id;
+
+    btn.disabled = true;
+    row.setAttribute("aria-busy", "true");
+    try {
+      if (btn.classList.contains("user-toggle")) {
+        const disabled = row.dataset.disabled !== "true";
+        const user = await updateUser(id, { disabled }, token());
+        row.replaceWith(createUserRow(user));
+
+      } else if (btn.classList.contains("user-delete")) {
+        await deleteUser(id, token());
+        row.remove();
+      }
+      setMessage("users-message", "");
+
+    } catch (error) {
+      const fallback = btn.classList.contains("user-delete")
+        ? UI_ERROR_MESSAGES.userDelete
+        : UI_ERROR_MESSAGES.userSave;
+      setMessage("users-message", userErrorMessage(error, fallback));
+      btn.disabled = false;
+      row.removeAttribute("aria-busy");
+    }
+  });
+}
+
+
+/* =========================================================
+ * MESSAGES — boîte de réception du formulaire de contact
+ * =======================================================*/
+
+/**
+ * Crée l’élément de liste d’un message, avec ses actions (lu/non lu, suppression).
+ * @param {import("./api.js").ContactMessage} message
+ * @returns {HTMLLIElement}
+ */
+function createMessageItem(message) {
+  const isUnread = !message.readAt;
+  const item = createElement("li", {
+    class: `message-item${isUnread ? " is-unread" : ""}`,
+    "data-id": String(message.id),
+    "data-read": String(!isUnread)
+  });
+
+  const header = createElement("div", { class: "message-header" });
+  const date = new Date(message.createdAt).toLocaleString("fr-FR", { dateStyle: "short", timeStyle: "short" });
+  header.append(
+    createElement("span", { class: "message-sender" }, `${message.name}${isUnread ? " (non lu)" : ""}`),
+    createElement("a", { href: `mailto:${message.email}` }, message.email),
+    createElement("time", { datetime: message.createdAt }, date)
+  );
+
+  const readBtn = createElement("button", {
+    type: "button",
+    class: "message-toggle-read",
+    "aria-label": `Marquer le message de ${message.name} comme ${isUnread ? "lu" : "non lu"}`
+  }, isUnread ? "Marquer comme lu" : "Marquer comme non lu");
+  const deleteBtn = createElement("button", {
+    type: "button",
+    class: "message-delete",
+    "aria-label": `Supprimer le message de ${message.name}`
+  }, "Supprimer");
+
+  item.append(header, createElement("p", { class: "message-text" }, message.message), readBtn, deleteBtn);
+  return item;
+}
+
+
+/**
+ * Met à jour le compteur de messages non lus du titre, ou l’état vide de la liste.
+ * @returns {void}
+ */
+function renderInboxState() {
+  const list = document.getElementById("messages-list");
+  const counter = document.getElementById("inbox-unread");
+  if (!list || !counter) return;
+
+  const unread = list.querySelectorAll(`.message-item[data-read="false"]`).length;
+  counter.textContent = unread ? `(${unread} non lu${unread > 1 ? "s" : ""})` : "";
+  if (!list.children.length) setMessage("messages-message", "Aucun message.", true);
+}
+
+
+/**
+ * Charge et affiche les messages reçus.
+ * @returns {Promise<void>}
+ */
+async function loadMessages() {
+  const list = document.getElementById("messages-list");
+  if (!list) return;
+
+  try {
+    const messages = await getMessages(localStorage.getItem("token"));
+    list.innerHTML = "";
+    messages.forEach(message => list.appendChild(createMessageItem(message)));
+    setMessage("messages-message", "");
+    renderInboxState();
+
+  } catch {
+    setMessage("messages-message", UI_ERROR_MESSAGES.messages);
+  }
+}
+
+
+/**
+ * Active les actions de la liste (délégation) : lu/non lu, suppression.
+ * Un message déjà supprimé (404) est retiré de la liste.
+ * @returns {void}
+ */
+function setupInbox() {
+  const list = document.getElementById("messages-list");
+  if (!list) return;
+
+  list.addEventListener("click", async (e) => {
+    const btn = e.target.closest("button");
+    if (!btn) return;
+
+    const item = btn.closest(".message-item");
+    const isDelete = btn.classList.contains("message-delete");
+
+    btn.disabled = true;
+    item.setAttribute("aria-busy", "true");
+    try {
+      if (isDelete) {
+        await deleteMessage(item.dataset.id, localStorage.getItem("token"));
+        // Le focus passe au message voisin
+        const neighbour = item.nextElementSibling || item.previousElementSibling;
+        item.remove();
+        neighbour?.querySelector("button")?.focus();
+        setMessage("messages-message", "Message supprimé.", true);
+      } else {
+        const message = await markMessageRead(item.dataset.id, item.dataset.read !== "true", localStorage.getItem("token"));
+        const updated = createMessageItem(message);
+        item.replaceWith(updated);
+        updated.querySelector(".message-toggle-read")?.focus();
+        setMessage("messages-message", "");
+      }
+      renderInboxState();
+
+    } catch (error) {
+      if (error?.status === 404) {
+        item.remove();
+        renderInboxState();
+        return;
+      }
+      setMessage("messages-message", isDelete ? UI_ERROR_MESSAGES.messageDelete : UI_ERROR_MESSAGES.messageSave);
+      btn.disabled = false;
+      item.removeAttribute("aria-busy");
+    }
+  });
+}
+
+
+/* =========================================================
+ * HISTORIQUE — journal d’audit (lecture seule)
+ * =======================================================*/
+
+/**
+ * Nom lisible de l’élément visé par une entrée (titre, nom ou e-mail, avant ou après l’action).
+ * @param {import("./api.js").AuditEntry} entry
+ * @returns {string}
+ */
+function auditTargetLabel({ targetType, targetId, before, after, userId, user }) {
+  if (targetId === null) return "Tous les projets";
+
+  // Une connexion n’a pas d’état : l’élément est l’auteur lui-même
+  const states = [after, before, targetType === "user" && targetId === userId ? user : null];
+  const name = states.map(state => state?.title ?? state?.name ?? state?.email).find(Boolean);
+  const label = TARGET_LABELS[targetType] || targetType;
+  return name ? `${label} « ${name} »` : `${label} #${targetId}`;
+}
+
+
+/**
+ * Valeur d’un champ telle qu’affichée dans le détail.
+ * @param {string} field
+ * @param {Object} state - `before` ou `after`
+ * @returns {string}
+ */
+function formatAuditValue(field, state) {
+  const value = field === "categoryId" ? state.category?.name ?? state.categoryId : state[field];
+  if (value === null || value === undefined || value === "") return "—";
+  if (typeof value === "boolean") return value ? "oui" : "non";
+  if (field === "role") return ROLE_LABELS[value] || value;
+  if (field === "status") return STATUS_LABELS[value] || value;
+  if (field === "publishAt") return new Date(value).toLocaleString("fr-FR", { dateStyle: "short", timeStyle: "short" });
+  return String(value);
+}
+
+
+/**
+ * Lignes du détail d’une entrée : champs modifiés (avant → après), nouvel ordre, déplacement des projets.
+ * @param {import("./api.js").AuditEntry} entry
+ * @returns {string[]}
+ */
+function auditChanges({ action, before, after }) {
+  if (action === "reorder") {
+    return [`Nouvel ordre : ${(after?.ids || []).join(", ")}`];
+  }
+  if (action === "delete" && after?.reassignTo) {
+    return [`${before?.worksCount} projet(s) déplacé(s) vers la catégorie #${after.reassignTo}`];
+  }
+  if (action !== "update" || !before || !after) return [];
+
+  const changes = Object.keys(AUDIT_FIELD_LABELS)
+    .filter(field => field in after && JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => `${AUDIT_FIELD_LABELS[field]} : ${formatAuditValue(field, before)} → ${formatAuditValue(field, after)}`);
+
+  if (Array.isArray(before.images) && Array.isArray(after.images) && before.images.length !== after.images.length) {
+    changes.push(`Images supplémentaires : ${before.images.length} → ${after.images.length}`);
+  }
+  return changes;
+}
+
+
+/**
+ * Crée la ligne de tableau d’une entrée du journal.
+ * @param {import("./api.js").AuditEntry} entry
+ * @returns {HTMLTableRowElement}
+ */
+function createAuditRow(entry) {
+  const row = createElement("tr", { "data-id": String(entry.id) });
+  const date = new Date(entry.createdAt).toLocaleString("fr-FR", { dateStyle: "short", timeStyle: "medium" });
+
+  const dateCell = createElement("td");
+  dateCell.appendChild(createElement("time", { datetime: entry.createdAt }, date));
+
+  const detailCell = createElement("td");
+  const changes = auditChanges(entry);
+  if (changes.length) {
+    const list = createElement("ul", { class: "audit-changes" });
+    changes.forEach(change => list.appendChild(createElement("li", {}, change)));
+    detailCell.appendChild(list);
+  } else {
+    detailCell.textContent = "—";
+  }
+
+  row.append(
+    dateCell,
+    createElement("td", {}, entry.user?.email || `Compte supprimé (#${entry.userId})`),
+    createElement("td", {}, ACTION_LABELS[entry.action] || entry.action),
+    createElement("td", {}, auditTargetLabel(entry)),
+    detailCell
+  );
+  return row;
+}
+
+
+/**
+ * Filtres du formulaire au format de l’API (les dates couvrent des journées entières, heure locale).
+ * @param {HTMLFormElement} form
+ * @returns {{action?:string, targetType?:string, from?:string, to?:string}}
+ */
+function readAuditFilters(form) {
+  const { action, targetType, from, to } = Object.fromEntries(new FormData(form));
+  return {
+    action,
+    targetType,
+    from: from ? new Date(`${from}T00:00:00`).toISOString() : "",
+    to: to ? new Date(`${to}T23:59:59.999`).toISOString() : ""
+  };
+}
+
+
+/**
+ * Monte le journal d’audit : filtres (recharge la 1re page) et bouton "Afficher plus" (page suivante).
+ * @returns {Promise<void>} Résout une fois la 1re page affichée.
+ */
+async function setupAuditLog() {
+  const form = document.getElementById("audit-filters");
+  const table = document.getElementById("audit-table");
+  const tbody = table?.querySelector("tbody");
+  const moreBtn = document.getElementById("audit-more");
+  if (!form || !tbody || !moreBtn) return;
+
+  let filters = {};
+  let page = 0;
+
+  const load = async (reset) => {
+    const nextPage = reset ? 1 : page + 1;
+    table.setAttribute("aria-busy", "true");
+    moreBtn.disabled = true;
+    try {
+      const result = await getAuditLog({ ...filters, page: nextPage }, localStorage.getItem("token"));
+      if (reset) tbody.innerHTML = "";
+      result.entries.forEach(entry => tbody.appendChild(createAuditRow(entry)));
+      page = nextPage;
+      moreBtn.hidden = page >= result.totalPages;
+      setMessage("audit-message", result.total ? "" : "Aucune action pour ces filtres.", true);
+
+    } catch (error) {
+      setMessage("audit-message", error?.status === 400 && error.fields
+        ? Object.values(error.fields)[0]
+        : UI_ERROR_MESSAGES.audit);
+    } finally {
+      table.removeAttribute("aria-busy");
+      moreBtn.disabled = false;
+    }
+  };
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    filters = readAuditFilters(form);
+    load(true);
+  });
+
+  moreBtn.addEventListener("click", () => load(false));
+
+  await load(true);
+}
+
+
+(async function init() {
+  const isAuth = await restoreSession();
+
+  if (!isAuth) {
+    window.location.replace("./login.html");
+    return;
+  }
+
+  logOut(isAuth);
+  domModificationLogIn(isAuth);
+  setupPasswordForm();
+
+  if (isAdmin()) {
+    const usersSection = document.getElementById("users");
+    if (usersSection) usersSection.hidden = false;
+
+    ["inbox", "history"].forEach(id => {
+      const section = document.getElementById(id);
+      if (section) section.hidden = false;
+    });
+
+    setupInviteForm();
+    setupUsersTable();
+    setupInbox();
+    await Promise.all([loadUsers(), loadMessages(), setupAuditLog()]);
+  }
+})();
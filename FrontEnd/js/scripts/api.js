@@ -8,14 +8,67 @@ export const baseURL = "http://localhost:5678/api";
 
 
 /**
- * Récupère la liste complète des projets (works).
+ * @typedef {Object} WorksQuery
+ * @property {number|string} [category] - id ou slug de catégorie
+ * @property {string} [q] - Recherche dans le titre
+ * @property {"position"|"-position"|"id"|"-id"|"title"|"-title"|"createdAt"|"-createdAt"} [sort] - Défaut : `position` (ordre manuel)
+ * @property {number} [page] - À partir de 1 (avec `limit`)
+ * @property {number} [limit] - Projets par page (1 à 100) ; sans limite, tous les projets
+ * @property {"draft"|"published"|"archived"|"all"} [status] - Connecté uniquement (`token`) ; sans statut, seuls les projets publiés
+ */
+/**
+ * @typedef {Object} WorksPage
+ * @property {Array<{id:number|string, title:string, imageUrl:string, category:{name:string}}>} works
+ * @property {number} total - Nombre de projets correspondant aux filtres (toutes pages)
+ * @property {number} page
+ * @property {number} totalPages
+ */
+
+/**
+ * Récupère les projets (works), filtrés/triés/paginés selon `options`.
+ * Les totaux viennent des en-têtes `X-Total-Count` / `X-Page` / `X-Total-Pages`.
  *
  * @function getWorks
- * @returns {Promise<Array<{id:number|string, title:string, imageUrl:string, category:{name:string}}>>}
+ * @param {WorksQuery} [options={}] - Sans option : tous les projets publiés, en une page
+ * @param {string} [token] - Bearer JWT, requis pour filtrer par `status`
+ * @returns {Promise<WorksPage>}
  * @throws {Error} Si la réponse HTTP n'est pas OK (4xx/5xx) ou en cas d'erreur réseau.
  */
-export async function getWorks() {
-  return fetchData(`${baseURL}/works`);
+export async function getWorks(options = {}, token) {
+  const params = new URLSearchParams();
+  Object.entries(options).forEach(([key, value]) => {
+    if (value != null && value !== "") params.set(key, String(value));
+  });
+  const query = params.toString() ? `?${params}` : "";
+
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  const response = await sendRequest(`${baseURL}/works${query}`, "GET", headers);
+  const works = (await readJson(response)) || [];
+  const header = (name, fallback) => Number(response.headers.get(name)) || fallback;
+
+  return {
+    works,
+    total: header("X-Total-Count", works.length),
+    page: header("X-Page", 1),
+    totalPages: header("X-Total-Pages", 1)
+  };
+}
+
+
+/**
+ * Récupère un projet avec ses détails et ses images supplémentaires (triées).
+ *
+ * @function getWork
+ * @param {number|string} idOrSlug - Identifiant ou slug du projet (`?work=<slug>`)
+ * @param {string} [token] - Bearer JWT, pour lire aussi un projet non publié
+ * @returns {Promise<{id:number, slug:string, title:string, imageUrl:string, description:string|null, year:number|null,
+ *   location:string|null, client:string|null, status:string, publishAt:string|null,
+ *   category:{id:number, name:string}, images:Array<{id:number, imageUrl:string}>}>}
+ * @throws {Error} Si la réponse HTTP n'est pas OK (404 si le projet n'existe pas ou n'est pas publié) ou en cas d'erreur réseau.
+ */
+export async function getWork(idOrSlug, token) {
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  return fetchData(`${baseURL}/works/${encodeURIComponent(idOrSlug)}`, "GET", headers);
 }
 
 
@@ -32,7 +85,59 @@ export async function getCategories() {
 
 
 /**
- * Supprime un projet par son identifiant.
+ * Crée une catégorie.
+ *
+ * @function createCategory
+ * @param {string} name - Nom de la nouvelle catégorie.
+ * @param {string} token - Bearer JWT
+ * @returns {Promise<{id:number, name:string}>}
+ * @throws {Error} Si la réponse HTTP n'est pas OK (409 si le nom existe déjà) ou en cas d'erreur réseau.
+ */
+export async function createCategory(name, token) {
+  return fetchData(`${baseURL}/categories`, "POST", {
+    Authorization: `Bearer ${token}`,
+  }, { name });
+}
+
+
+/**
+ * Renomme une catégorie.
+ *
+ * @function updateCategory
+ * @param {number|string} id - Identifiant de la catégorie.
+ * @param {string} name - Nouveau nom.
+ * @param {string} token - Bearer JWT
+ * @returns {Promise<{id:number, name:string}>}
+ * @throws {Error} Si la réponse HTTP n'est pas OK (404, 409 si le nom existe déjà) ou en cas d'erreur réseau.
+ */
+export async function updateCategory(id, name, token) {
+  return fetchData(`${baseURL}/categories/${id}`, "PUT", {
+    Authorization: `Bearer ${token}`,
+  }, { name });
+}
+
+
+/**
+ * Supprime une catégorie. Si des projets l’utilisent encore, l’API répond 409
+ * sauf si `reassignTo` désigne la catégorie qui doit les récupérer.
+ *
+ * @function deleteCategory
+ * @param {number|string} id - Identifiant de la catégorie à supprimer.
+ * @param {string} token - Bearer JWT
+ * @param {number|string} [reassignTo] - Catégorie de destination des projets concernés.
+ * @returns {Promise<void|undefined>} Retourne `undefined` si l'API répond 204 No Content.
+ * @throws {Error} Si la réponse HTTP n'est pas OK (409 si la catégorie est utilisée) ou en cas d'erreur réseau.
+ */
+export async function deleteCategory(id, token, reassignTo) {
+  const query = reassignTo != null ? `?reassignTo=${encodeURIComponent(reassignTo)}` : "";
+  return fetchData(`${baseURL}/categories/${id}${query}`, "DELETE", {
+    Authorization: `Bearer ${token}`,
+  });
+}
+
+
+/**
+ * Met un projet à la corbeille par son identifiant (restaurable avec `restoreWork`).
  *
  * @function deleteWork
  * @param {number|string} id - Identifiant du projet à supprimer.
@@ -48,14 +153,63 @@ export async function deleteWork(id, token) {
 
 
 /**
- * Authentifie l'utilisateur et renvoie le jeton JWT.
+ * Récupère les projets de la corbeille (tous pour un admin, les siens pour un editor), derniers supprimés d’abord.
+ *
+ * @function getTrash
+ * @param {string} token - Jeton JWT (format: Bearer <token>) pour l'authentification.
+ * @returns {Promise<Array<Object>>} Projets supprimés (avec `category` et `deletedAt`).
+ * @throws {Error} Si la réponse HTTP n'est pas OK (4xx/5xx) ou en cas d'erreur réseau.
+ */
+export async function getTrash(token) {
+  return fetchData(`${baseURL}/works/trash`, "GET", {
+    Authorization: `Bearer ${token}`,
+  });
+}
+
+
+/**
+ * Restaure un projet de la corbeille.
+ *
+ * @function restoreWork
+ * @param {number|string} id - Identifiant du projet supprimé.
+ * @param {string} token - Jeton JWT (format: Bearer <token>) pour l'authentification.
+ * @returns {Promise<Object>} Le projet restauré (avec `category`, `images` et sa `position`).
+ * @throws {Error} Si la réponse HTTP n'est pas OK (4xx/5xx, 404 s’il n’est plus dans la corbeille) ou en cas d'erreur réseau.
+ */
+export async function restoreWork(id, token) {
+  return fetchData(`${baseURL}/works/trash/${id}/restore`, "POST", {
+    Authorization: `Bearer ${token}`,
+  });
+}
+
+
+/**
+ * Supprime définitivement un projet de la corbeille (et ses images).
+ *
+ * @function purgeWork
+ * @param {number|string} id - Identifiant du projet supprimé.
+ * @param {string} token - Jeton JWT (format: Bearer <token>) pour l'authentification.
+ * @returns {Promise<void|undefined>} Retourne `undefined` si l'API répond 204 No Content.
+ * @throws {Error} Si la réponse HTTP n'est pas OK (4xx/5xx) ou en cas d'erreur réseau.
+ */
+export async function purgeWork(id, token) {
+  return fetchData(`${baseURL}/works/trash/${id}`, "DELETE", {
+    Authorization: `Bearer ${token}`,
+  });
+}
+
+
+/**
+ * Authentifie l'utilisateur et renvoie la session (jeton d'accès + refresh token).
  *
  * @function loginUser
  * @param {string} email - Adresse e-mail de l'utilisateur.
  * @param {string} password - Mot de passe.
- * @returns {Promise<{ userId:number, token:string }>}
+ * @returns {Promise<Session>}
  *
  * - Si `response.ok` est faux, lève une `Error` avec un message provenant du backend si disponible, sinon générique.
+ * - 401 pour un email inconnu comme pour un mauvais mot de passe ; 429 (+ `err.retryAfter`)
+ *   après trop d’échecs depuis la même IP ou sur le même compte.
  */
 export async function loginUser(email, password) {
   return fetchData(`${baseURL}/users/login`, "POST", {
@@ -64,20 +218,434 @@ export async function loginUser(email, password) {
 }
 
 
+/**
+ * Demande un lien de réinitialisation du mot de passe, envoyé par mail si un compte actif utilise cet email.
+ * La réponse est la même que le compte existe ou non.
+ *
+ * @function requestPasswordReset
+ * @param {string} email - Adresse e-mail du compte.
+ * @returns {Promise<{message:string}>}
+ * @throws {Error} Si la réponse HTTP n'est pas OK (400 si l'email est invalide, 429 + `err.retryAfter` après trop de demandes) ou en cas d'erreur réseau.
+ */
+export async function requestPasswordReset(email) {
+  return fetchData(`${baseURL}/users/password-reset`, "POST", {}, { email });
+}
+
+
+/**
+ * Enregistre un nouveau mot de passe avec le jeton d’un lien de réinitialisation (usage unique).
+ * Toutes les sessions de l’utilisateur sont fermées.
+ *
+ * @function confirmPasswordReset
+ * @param {string} token - Paramètre `token` du lien reçu par mail.
+ * @param {string} newPassword - Nouveau mot de passe (8 caractères min., une lettre et un chiffre).
+ * @returns {Promise<{message:string}>}
+ * @throws {Error} Si la réponse HTTP n'est pas OK (400 avec `code` "INVALID_RESET_TOKEN" si le lien est invalide, expiré ou déjà utilisé) ou en cas d'erreur réseau.
+ */
+export async function confirmPasswordReset(token, newPassword) {
+  return fetchData(`${baseURL}/users/password-reset/confirm`, "POST", {}, { token, newPassword });
+}
+
+
+/** =========================
+ *  AUTH — session (tokens en localStorage)
+ *  ========================= */
+
+/**
+ * @typedef {Object} Session
+ * @property {number} userId
+ * @property {"admin"|"editor"} role
+ * @property {string} token - Jeton d'accès JWT (courte durée)
+ * @property {string} refreshToken - Jeton à usage unique pour renouveler la session
+ */
+
+/** Clés localStorage de la session. */
+const SESSION_KEYS = ["token", "refreshToken", "userId", "role"];
+
+/** Codes d’erreur 401 du middleware d’authentification (jeton d’accès expiré ou invalide). */
+const SESSION_ERROR_CODES = ["UNAUTHORIZED"];
+
+/** Refresh en cours (partagé pour éviter d'utiliser deux fois le même refresh token). */
+let refreshPromise = null;
+
+
+/**
+ * Mémorise la session renvoyée par l'API (login, refresh, changement de mot de passe).
+ * @param {Session} session
+ * @returns {void}
+ */
+export function saveSession({ token, refreshToken, userId, role }) {
+  localStorage.setItem("token", token);
+  localStorage.setItem("refreshToken", refreshToken);
+  localStorage.setItem("userId", String(userId));
+  localStorage.setItem("role", role || "editor");
+}
+
+
+/**
+ * Efface la session locale.
+ * @returns {void}
+ */
+export function clearSession() {
+  SESSION_KEYS.forEach(key => localStorage.removeItem(key));
+}
+
+
+/**
+ * Indique si un JWT est expiré (ou illisible) d'après son claim `exp`.
+ * @param {string} token
+ * @returns {boolean}
+ */
+export function isTokenExpired(token) {
+  try {
+    const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    const { exp } = JSON.parse(atob(payload));
+    return typeof exp === "number" && exp * 1000 <= Date.now();
+  } catch {
+    return true;
+  }
+}
+
+
+/**
+ * Renouvelle la session avec le refresh token (rotation côté API) et la mémorise.
+ * Les appels simultanés partagent la même requête.
+ *
+ * @function refreshSession
+ * @returns {Promise<string>} Le nouveau jeton d'accès.
+ * @throws {Error} Si aucun refresh token n'est disponible ou si l'API le refuse.
+ */
+export async function refreshSession() {
+  const refreshToken = localStorage.getItem("refreshToken");
+  if (!refreshToken) {
+    const err = new Error("Session expirée.");
+    err.status = 401;
+    throw err;
+  }
+
+  if (!refreshPromise) {
+    refreshPromise = fetchData(`${baseURL}/users/refresh`, "POST", {}, { refreshToken })
+      .then((session) => {
+        saveSession(session);
+        return session.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+}
+
+
+/**
+ * Au chargement d'une page : si le jeton d'accès a expiré, tente un refresh.
+ * En cas d'échec la session est effacée.
+ *
+ * @function restoreSession
+ * @returns {Promise<boolean>} `true` si une session valide est disponible.
+ */
+export async function restoreSession() {
+  const token = localStorage.getItem("token");
+  if (!token) return false;
+  if (!isTokenExpired(token)) return true;
+
+  try {
+    await refreshSession();
+    return true;
+  } catch {
+    clearSession();
+    return false;
+  }
+}
+
+
+/**
+ * Déconnecte l'utilisateur : révoque le refresh token côté API (au mieux)
+ * puis efface la session locale.
+ *
+ * @function logoutUser
+ * @returns {Promise<void>}
+ */
+export async function logoutUser() {
+  const refreshToken = localStorage.getItem("refreshToken");
+  try {
+    if (refreshToken) {
+      await fetchData(`${baseURL}/users/logout`, "POST", {}, { refreshToken });
+    }
+  } catch {
+    // La session locale est effacée même si l'API est injoignable
+  } finally {
+    clearSession();
+  }
+}
+
+
+/**
+ * Liste les comptes utilisateurs (réservé aux admins).
+ *
+ * @function getUsers
+ * @param {string} token - Bearer JWT
+ * @returns {Promise<Array<{id:number, email:string, role:"admin"|"editor", disabled:boolean}>>}
+ * @throws {Error} Si la réponse HTTP n'est pas OK (403 si non admin) ou en cas d'erreur réseau.
+ */
+export async function getUsers(token) {
+  return fetchData(`${baseURL}/users`, "GET", {
+    Authorization: `Bearer ${token}`,
+  });
+}
+
+
+/**
+ * Invite un utilisateur : crée son compte avec un mot de passe temporaire (réservé aux admins).
+ *
+ * @function inviteUser
+ * @param {string} email - Adresse e-mail du nouvel utilisateur.
+ * @param {"admin"|"editor"} role - Rôle attribué.
+ * @param {string} token - Bearer JWT
+ * @returns {Promise<{id:number, email:string, role:string, disabled:boolean, temporaryPassword:string}>}
+ * @throws {Error} Si la réponse HTTP n'est pas OK (409 si l'email existe déjà) ou en cas d'erreur réseau.
+ */
+export async function inviteUser(email, role, token) {
+  return fetchData(`${baseURL}/users/invite`, "POST", {
+    Authorization: `Bearer ${token}`,
+  }, { email, role });
+}
+
+
+/**
+ * Modifie le rôle et/ou l'état (désactivé) d'un utilisateur (réservé aux admins).
+ *
+ * @function updateUser
+ * @param {number|string} id - Identifiant de l'utilisateur.
+ * @param {{role?:"admin"|"editor", disabled?:boolean}} changes - Champs à modifier.
+ * @param {string} token - Bearer JWT
+ * @returns {Promise<{id:number, email:string, role:string, disabled:boolean}>}
+ * @throws {Error} Si la réponse HTTP n'est pas OK (4xx/5xx) ou en cas d'erreur réseau.
+ */
+export async function updateUser(id, changes, token) {
+  return fetchData(`${baseURL}/users/${id}`, "PATCH", {
+    Authorization: `Bearer ${token}`,
+  }, changes);
+}
+
+
+/**
+ * Supprime un utilisateur (réservé aux admins).
+ *
+ * @function deleteUser
+ * @param {number|string} id - Identifiant de l'utilisateur.
+ * @param {string} token - Bearer JWT
+ * @returns {Promise<void|undefined>} Retourne `undefined` si l'API répond 204 No Content.
+ * @throws {Error} Si la réponse HTTP n'est pas OK (4xx/5xx) ou en cas d'erreur réseau.
+ */
+export async function deleteUser(id, token) {
+  return fetchData(`${baseURL}/users/${id}`, "DELETE", {
+    Authorization: `Bearer ${token}`,
+  });
+}
+
+
+/**
+ * Change le mot de passe de l'utilisateur connecté.
+ *
+ * @function changePassword
+ * @param {string} currentPassword - Mot de passe actuel.
+ * @param {string} newPassword - Nouveau mot de passe (8 caractères min., une lettre et un chiffre).
+ * @param {string} token - Bearer JWT
+ * @returns {Promise<Session>} Nouvelle session (les autres sessions sont révoquées).
+ * @throws {Error} Si la réponse HTTP n'est pas OK (401 si le mot de passe actuel est faux) ou en cas d'erreur réseau.
+ */
+export async function changePassword(currentPassword, newPassword, token) {
+  return fetchData(`${baseURL}/users/me/password`, "PUT", {
+    Authorization: `Bearer ${token}`,
+  }, { currentPassword, newPassword });
+}
+
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {number} id
+ * @property {"login"|"create"|"update"|"delete"|"reorder"|"restore"|"purge"} action
+ * @property {"user"|"work"|"category"} targetType
+ * @property {number|null} targetId - `null` pour un changement d’ordre (tous les projets)
+ * @property {Object|null} before - Cible avant l’action (`{ids}` pour un changement d’ordre)
+ * @property {Object|null} after - Cible après l’action
+ * @property {string} createdAt
+ * @property {{id:number, email:string}|null} user - Auteur (`null` si son compte a été supprimé)
+ */
+
+/**
+ * Récupère une page du journal d’audit, plus récentes entrées d’abord (réservé aux admins).
+ * Les totaux viennent des en-têtes `X-Total-Count` / `X-Page` / `X-Total-Pages`, comme pour `getWorks`.
+ *
+ * @function getAuditLog
+ * @param {{userId?:number, action?:string, targetType?:string, targetId?:number, from?:string, to?:string, page?:number, limit?:number}} [options={}]
+ * @param {string} token - Bearer JWT
+ * @returns {Promise<{entries:Array<AuditEntry>, total:number, page:number, totalPages:number}>}
+ * @throws {Error} Si la réponse HTTP n'est pas OK (403 si non admin, 400 si un filtre est invalide) ou en cas d'erreur réseau.
+ */
+export async function getAuditLog(options = {}, token) {
+  const params = new URLSearchParams();
+  Object.entries(options).forEach(([key, value]) => {
+    if (value != null && value !== "") params.set(key, String(value));
+  });
+  const query = params.toString() ? `?${params}` : "";
+
+  const response = await sendRequest(`${baseURL}/audit${query}`, "GET", {
+    Authorization: `Bearer ${token}`,
+  });
+  const entries = (await readJson(response)) || [];
+  const header = (name, fallback) => Number(response.headers.get(name)) || fallback;
+
+  return {
+    entries,
+    total: header("X-Total-Count", entries.length),
+    page: header("X-Page", 1),
+    totalPages: header("X-Total-Pages", 1)
+  };
+}
+
+
+/**
+ * Envoie un message depuis le formulaire de contact (public).
+ *
+ * @function sendContactMessage
+ * @param {{name:string, email:string, message:string, website?:string}} message - `website` : champ piège à robots, vide pour un humain
+ * @returns {Promise<{message:string}>}
+ * @throws {Error} Si la réponse HTTP n'est pas OK (400 si un champ est invalide, 429 après trop d'envois) ou en cas d'erreur réseau.
+ */
+export async function sendContactMessage(message) {
+  return fetchData(`${baseURL}/messages`, "POST", {}, message);
+}
+
+
+/**
+ * @typedef {Object} ContactMessage
+ * @property {number} id
+ * @property {string} name
+ * @property {string} email
+ * @property {string} message
+ * @property {string|null} readAt - `null` tant que le message n’est pas lu
+ * @property {string} createdAt
+ */
+
+/**
+ * Récupère les messages reçus, derniers reçus d’abord (réservé aux admins).
+ *
+ * @function getMessages
+ * @param {string} token - Bearer JWT
+ * @returns {Promise<Array<ContactMessage>>}
+ * @throws {Error} Si la réponse HTTP n'est pas OK (403 si non admin) ou en cas d'erreur réseau.
+ */
+export async function getMessages(token) {
+  return fetchData(`${baseURL}/messages`, "GET", {
+    Authorization: `Bearer ${token}`,
+  });
+}
+
+
+/**
+ * Marque un message comme lu ou non lu (réservé aux admins).
+ *
+ * @function markMessageRead
+ * @param {number|string} id - Identifiant du message.
+ * @param {boolean} read
+ * @param {string} token - Bearer JWT
+ * @returns {Promise<ContactMessage>}
+ * @throws {Error} Si la réponse HTTP n'est pas OK (404 si le message n'existe plus) ou en cas d'erreur réseau.
+ */
+export async function markMessageRead(id, read, token) {
+  return fetchData(`${baseURL}/messages/${id}`, "PATCH", {
+    Authorization: `Bearer ${token}`,
+  }, { read });
+}
+
+
+/**
+ * Supprime un message (réservé aux admins).
+ *
+ * @function deleteMessage
+ * @param {number|string} id - Identifiant du message.
+ * @param {string} token - Bearer JWT
+ * @returns {Promise<void|undefined>} Retourne `undefined` si l'API répond 204 No Content.
+ * @throws {Error} Si la réponse HTTP n'est pas OK (4xx/5xx) ou en cas d'erreur réseau.
+ */
+export async function deleteMessage(id, token) {
+  return fetchData(`${baseURL}/messages/${id}`, "DELETE", {
+    Authorization: `Bearer ${token}`,
+  });
+}
+
+
 /**
  * Crée un nouveau projet (multipart).
- * @param {FormData} formData - image, title, category
+ * @param {FormData} formData - image, title, category ; optionnels : description, year, location, client, images (plusieurs)
  * @param {string} token - Bearer JWT
+ * @param {RequestOptions} [options={}] - Progression de l’envoi et annulation
  * @returns {Promise<{id:number|string,title:string,imageUrl:string,category:{id:number|string,name:string}}>}
- * @throws {Error} Si la réponse HTTP n'est pas OK (4xx/5xx) ou en cas d'erreur réseau.
+ * @throws {Error} Si la réponse HTTP n'est pas OK (4xx/5xx), en cas d'erreur réseau, ou `AbortError` si l’envoi est annulé.
  */
-export async function createWork(formData, token) {
+export async function createWork(formData, token, options = {}) {
   return fetchData(`${baseURL}/works`, "POST", {
     Authorization: `Bearer ${token}`,
+  }, formData, options);
+}
+
+
+/**
+ * @typedef {Object} BatchResult
+ * @property {number} created - Projets créés
+ * @property {number} rejected - Projets refusés
+ * @property {Array<{index:number, status:"created"|"rejected", work?:Object, error?:{code:string, message:string, details?:Object}}>} results
+ *   Un résultat par projet, dans l’ordre des fichiers
+ */
+
+/**
+ * Crée plusieurs projets en une requête (multipart), une image par projet.
+ * Chaque projet est accepté ou refusé séparément : la réponse est OK (201, ou 207 si des projets sont refusés).
+ * @param {FormData} formData - files (une image par projet) ; items : JSON `[{title, category}, ...]` dans l’ordre des fichiers
+ * @param {string} token - Bearer JWT
+ * @returns {Promise<BatchResult>}
+ * @throws {Error} Si toute la requête est refusée (400, 413 avec `details.index`…) ou en cas d'erreur réseau.
+ */
+export async function createWorksBatch(formData, token) {
+  return fetchData(`${baseURL}/works/batch`, "POST", {
+    Authorization: `Bearer ${token}`,
+  }, formData);
+}
+
+
+/**
+ * Met à jour un projet existant (multipart, mise à jour partielle).
+ * @param {number|string} id - Identifiant du projet à modifier.
+ * @param {FormData} formData - title, category, détails (vide = effacé) et éventuellement image (remplace l’ancienne),
+ *   images (ajoutées à la suite), removeImages (ids séparés par des virgules)
+ * @param {string} token - Bearer JWT
+ * @returns {Promise<{id:number|string,title:string,imageUrl:string,category:{id:number|string,name:string}}>}
+ * @throws {Error} Si la réponse HTTP n'est pas OK (4xx/5xx) ou en cas d'erreur réseau.
+ */
+export async function updateWork(id, formData, token) {
+  return fetchData(`${baseURL}/works/${id}`, "PATCH", {
+    Authorization: `Bearer ${token}`,
   }, formData);
 }
 
 
+/**
+ * Enregistre l’ordre d’affichage des projets (rôle admin).
+ * @param {Array<number|string>} ids - Tous les ids de projets, dans le nouvel ordre
+ * @param {string} token - Bearer JWT
+ * @returns {Promise<Array<{id:number|string,title:string,imageUrl:string,position:number,category:{id:number|string,name:string}}>>}
+ *   Tous les projets, dans le nouvel ordre.
+ * @throws {Error} Si la réponse HTTP n'est pas OK (400 si la liste ne correspond plus aux projets, 403) ou en cas d'erreur réseau.
+ */
+export async function reorderWorks(ids, token) {
+  return fetchData(`${baseURL}/works/order`, "PUT", {
+    Authorization: `Bearer ${token}`,
+  }, { ids: ids.map(Number) });
+}
+
+
 /**
  * Indique si la valeur `body` fournie est un objet `FormData` utilisable
  * dans l'environnement courant (retourne `false` si `FormData` n'existe pas).
@@ -92,33 +660,136 @@ function isFormData(body) {
 
 
 /**
- * Exécute une requête HTTP générique (GET/POST/PUT/DELETE/PATCH).
+ * @typedef {Error & {
+ *   status: number,
+ *   code?: string,
+ *   details?: Record<string, unknown>,
+ *   fields?: Record<string, string>,
+ *   retryAfter?: number
+ * }} ApiError
+ * Erreur levée par `fetchData` : `code`/`message`/`details` viennent du corps JSON de l’API,
+ * `fields` indexe par champ les messages de `details.fields` (erreurs de validation).
+ */
+
+/**
+ * Construit l’erreur d’une réponse non OK à partir du format d’erreur de l’API
+ * (`{code, message, details}`). Si le corps est absent ou illisible, garde le message générique.
+ *
+ * @function toApiError
+ * @param {Response} response
+ * @returns {Promise<ApiError>}
+ */
+async function toApiError(response) {
+  const err = new Error("Une erreur est survenue. Réessayez plus tard.");
+  err.status = response.status;
+
+  const retryAfter = Number(response.headers.get("Retry-After"));
+  if (retryAfter > 0) err.retryAfter = retryAfter;
+
+  const contentType = (response.headers.get("Content-Type") || "").toLowerCase();
+  if (!contentType.includes("application/json")) return err;
+
+  try {
+    const body = await response.json();
+    if (body?.message) err.message = body.message;
+    err.code = body?.code;
+    err.details = body?.details;
+    if (Array.isArray(body?.details?.fields)) {
+      err.fields = Object.fromEntries(body.details.fields.map(f => [f.field, f.message]));
+    }
+  } catch {
+    // corps illisible : l’erreur générique suffit
+  }
+  return err;
+}
+
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {(ratio: number|null) => void} [onUploadProgress] - Part du corps envoyée (0 à 1, null si inconnue) ;
+ *   la requête passe alors par XMLHttpRequest (fetch ne donne pas la progression de l’envoi)
+ * @property {AbortSignal} [signal] - Annule la requête (rejet avec une `AbortError`)
+ */
+
+/**
+ * Envoie une requête via XMLHttpRequest pour suivre la progression de l’envoi du corps,
+ * et la renvoie sous forme de `Response` (même traitement qu’avec fetch).
+ *
+ * @param {string} url
+ * @param {RequestInit} init - method, headers, body, signal
+ * @param {(ratio: number|null) => void} onUploadProgress
+ * @returns {Promise<Response>}
+ * @throws {DOMException|TypeError} `AbortError` si `init.signal` annule la requête, `TypeError` en cas d'erreur réseau.
+ */
+function sendWithProgress(url, init, onUploadProgress) {
+  return new Promise((resolve, reject) => {
+    const abortError = () => new DOMException("Envoi annulé.", "AbortError");
+    if (init.signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const xhr = new XMLHttpRequest();
+    xhr.open(init.method, url);
+    Object.entries(init.headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+    xhr.upload.addEventListener("progress", (e) => {
+      onUploadProgress(e.lengthComputable ? e.loaded / e.total : null);
+    });
+    xhr.addEventListener("load", () => {
+      const headers = new Headers();
+      xhr.getAllResponseHeaders().trim().split(/[\r\n]+/).forEach((line) => {
+        const separator = line.indexOf(":");
+        if (separator > 0) headers.append(line.slice(0, separator).trim(), line.slice(separator + 1).trim());
+      });
+      const body = xhr.status === 204 ? null : xhr.responseText;
+      resolve(new Response(body, { status: xhr.status, statusText: xhr.statusText, headers }));
+    });
+    xhr.addEventListener("error", () => reject(new TypeError("Failed to fetch")));
+    xhr.addEventListener("abort", () => reject(abortError()));
+    init.signal?.addEventListener("abort", () => xhr.abort(), { once: true });
+
+    xhr.send(init.body ?? null);
+  });
+}
+
+
+/**
+ * Envoie une requête HTTP générique (GET/POST/PUT/DELETE/PATCH) et renvoie la `Response` OK.
  *
  * Comportement :
  * - Sérialise automatiquement `body` en JSON si c'est un objet simple.
  * - Accepte `FormData` sans forcer le `Content-Type`.
- * - Si `response.ok` est faux, lève une `Error` avec un message générique.
- * - Retourne le JSON si `Content-Type` contient `application/json`, sinon `undefined`.
- * - Retourne `undefined` si le statut est `204 No Content`.
+ * - Si `response.ok` est faux, lève une `ApiError` (`toApiError`) : `status`, et le `code`,
+ *   le `message` et les erreurs par champ (`fields`) renvoyés par l’API.
+ * - Requête authentifiée (`Authorization`) en 401 avec un code de `SESSION_ERROR_CODES` :
+ *   renouvelle la session une fois (`refreshSession`) et rejoue la requête ; si le refresh
+ *   échoue, efface la session et redirige vers `login.html`. Les autres 401 (ex.
+ *   `INVALID_CREDENTIALS`) sont levés sans refresh.
+ * - Avec `options.onUploadProgress`, passe par `sendWithProgress` (XMLHttpRequest).
  *
  * @async
- * @template T
  * @param {string} url
  * @param {"GET"|"POST"|"PUT"|"DELETE"|"PATCH"} [method="GET"]
  * @param {Record<string, string>} [headers={}]
  * @param {unknown} [body=null]
- * @returns {Promise<T|undefined>}
- * @throws {Error} Si la réponse HTTP n'est pas OK (4xx/5xx) ou en cas d'erreur réseau.
+ * @param {RequestOptions} [options={}]
+ * @param {boolean} [isRetry=false] - Usage interne : requête rejouée après refresh.
+ * @returns {Promise<Response>}
+ * @throws {ApiError|Error} Si la réponse HTTP n'est pas OK (4xx/5xx), en cas d'erreur réseau, ou `AbortError` si annulée.
  */
-export async function fetchData(
+async function sendRequest(
   url,
   method = "GET",
   headers = {},
   body = null,
+  options = {},
+  isRetry = false,
 ) {
   const init = {
     method: String(method).toUpperCase(),
     headers: { ...headers },
+    signal: options.signal,
   };
 
   if (body != null) {
@@ -132,18 +803,66 @@ export async function fetchData(
     }
   }
 
-  const response = await fetch(url, init);
+  const response = options.onUploadProgress
+    ? await sendWithProgress(url, init, options.onUploadProgress)
+    : await fetch(url, init);
 
-  if (!response.ok) {
-    const err = new Error("Une erreur est survenue. Réessayez plus tard.");
-    err.status = response.status;
-    throw err;
+  if (response.status === 401 && init.headers.Authorization && !isRetry) {
+    // Seul un jeton d’accès refusé par le middleware d’authentification justifie un refresh :
+    // les autres 401 (mot de passe actuel incorrect…) sont remontés tels quels.
+    const error = await toApiError(response);
+    if (!SESSION_ERROR_CODES.includes(error.code)) throw error;
+
+    let token;
+    try {
+      token = await refreshSession();
+    } catch {
+      clearSession();
+      window.location.replace("./login.html");
+      const err = new Error("Session expirée.");
+      err.status = 401;
+      throw err;
+    }
+    return sendRequest(url, method, { ...headers, Authorization: `Bearer ${token}` }, body, options, true);
   }
 
+  if (!response.ok) throw await toApiError(response);
+
+  return response;
+}
+
+
+/**
+ * Lit le corps JSON d’une réponse OK.
+ * @param {Response} response
+ * @returns {Promise<unknown|undefined>} `undefined` en 204 ou si la réponse n’est pas du JSON.
+ */
+async function readJson(response) {
   if (response.status === 204) return;
 
   const contentType = (response.headers.get("Content-Type") || "").toLowerCase();
   if(!contentType.includes("application/json")) return;
 
   return response.json();
+}
+
+
+/**
+ * Exécute une requête HTTP générique et renvoie le corps JSON (voir `sendRequest`).
+ *
+ * - Retourne le JSON si `Content-Type` contient `application/json`, sinon `undefined`.
+ * - Retourne `undefined` si le statut est `204 No Content`.
+ *
+ * @async
+ * @template T
+ * @param {string} url
+ * @param {"GET"|"POST"|"PUT"|"DELETE"|"PATCH"} [method="GET"]
+ * @param {Record<string, string>} [headers={}]
+ * @param {unknown} [body=null]
+ * @param {RequestOptions} [options={}]
+ * @returns {Promise<T|undefined>}
+ * @throws {ApiError|Error} Si la réponse HTTP n'est pas OK (4xx/5xx) ou en cas d'erreur réseau.
+ */
+export async function fetchData(url, method = "GET", headers = {}, body = null, options = {}) {
+  return readJson(await sendRequest(url, method, headers, body, options));
 }
\ No newline at end of file
@@ -0,0 +1,127 @@
+// ./js/scripts/contact.js
+
+import {
+  sendContactMessage
+} from "./api.js";
+
+import {
+  formatDelay,
+  UI_ERROR_MESSAGES
+} from "./utils.js";
+
+/**
+ * @file contact.js
+ * @description Gestion du formulaire de contact (section `#contact` d’index.html).
+ *
+ * - Valide le nom, l’email et la longueur du message avant l’envoi.
+ * - Appelle `sendContactMessage` avec le champ piège à robots `website` (vide pour un humain).
+ * - Affiche l’erreur ou la confirmation dans `#contact-message` (role="alert" / "status")
+ *   et signale le champ en cause (`aria-invalid`, focus).
+ * - Après trop d’envois (429), indique le délai annoncé par l’API (`Retry-After`).
+ *
+ * @listens submit (#contact-form)
+ * @see sendContactMessage (api.js)
+ */
+const form = document.getElementById("contact-form");
+
+/** Longueur acceptée du message (comme l’API). */
+const MESSAGE_LENGTH = Object.freeze({ min: 10, max: 5000 });
+
+/** Message UI par champ, pour les erreurs locales et celles de l’API (`error.fields`). */
+const FIELD_MESSAGES = Object.freeze({
+  name: UI_ERROR_MESSAGES.contactName,
+  email: UI_ERROR_MESSAGES.email,
+  message: UI_ERROR_MESSAGES.contactMessage
+});
+
+
+/**
+ * Écrit l’erreur ou la confirmation sous le formulaire.
+ * @param {string} message
+ * @param {boolean} [isSuccess=false]
+ * @returns {void}
+ */
+function setContactMessage(message, isSuccess = false) {
+  const element = document.getElementById("contact-message");
+  if (!element) return;
+
+  element.textContent = message;
+  element.classList.toggle("error-message", !isSuccess && !!message);
+  element.classList.toggle("success", isSuccess);
+  element.setAttribute("role", isSuccess ? "status" : "alert");
+}
+
+
+/**
+ * Signale un champ invalide : message, `aria-invalid` et focus.
+ * @param {"name"|"email"|"message"} field
+ * @param {string} [message] - Défaut : message UI du champ
+ * @returns {void}
+ */
+function showFieldError(field, message = FIELD_MESSAGES[field]) {
+  const input = form.elements[field];
+  setContactMessage(message);
+  input?.setAttribute("aria-invalid", "true");
+  input?.focus();
+}
+
+
+/**
+ * Premier champ invalide du formulaire, dans l’ordre d’affichage.
+ * @param {{name:string, email:string, message:string}} values - Valeurs nettoyées
+ * @returns {"name"|"email"|"message"|null}
+ */
+function findInvalidField({ name, email, message }) {
+  if (!name) return "name";
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return "email";
+  if (message.length < MESSAGE_LENGTH.min || message.length > MESSAGE_LENGTH.max) return "message";
+  return null;
+}
+
+
+if (form) {
+  // Le champ corrigé n’est plus signalé
+  form.addEventListener("input", (e) => {
+    e.target.removeAttribute?.("aria-invalid");
+  });
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    const submitBtn = form.querySelector(`input[type="submit"]`);
+    const values = {
+      name: form.elements.name.value.trim(),
+      email: form.elements.email.value.trim().toLowerCase(),
+      message: form.elements.message.value.trim()
+    };
+
+    setContactMessage("");
+    form.querySelectorAll(`[aria-invalid="true"]`).forEach(input => input.removeAttribute("aria-invalid"));
+
+    const invalidField = findInvalidField(values);
+    if (invalidField) {
+      showFieldError(invalidField);
+      return;
+    }
+
+    submitBtn.disabled = true;
+    try {
+      await sendContactMessage({ ...values, website: form.elements.website?.value || "" });
+      form.reset();
+      setContactMessage("Merci, votre message a bien été envoyé.", true);
+
+    } catch (error) {
+      const field = Object.keys(FIELD_MESSAGES).find(name => error?.fields?.[name]);
+
+      if (error?.status === 400 && field) {
+        showFieldError(field);
+      } else if (error?.status === 429) {
+        setContactMessage(UI_ERROR_MESSAGES.contactThrottled.replace("{time}", formatDelay(error.retryAfter || 60)));
+      } else {
+        setContactMessage(UI_ERROR_MESSAGES.contactSend);
+      }
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+}
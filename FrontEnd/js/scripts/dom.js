@@ -5,20 +5,42 @@ import {
   slugify, 
   validateImageFile, 
   cleanFileName, 
+  formatFileSize,
+  loadImage,
+  getRotatedSize,
+  drawRotatedImage,
+  encodeImage,
+  IMAGE_LIMITS,
+  getCategoryNameFromQueryParam,
+  getWorkSlugFromQueryParam,
+  getImageSlugFromQueryParam,
+  toDateTimeLocalValue,
+  isAdmin,
   UI_ERROR_MESSAGES 
 } from "./utils.js";
 
 import { 
+  getWorks,
+  getWork,
   getCategories, 
+  createCategory,
+  updateCategory,
+  deleteCategory,
   deleteWork, 
-  createWork 
+  getTrash,
+  restoreWork,
+  purgeWork,
+  createWork,
+  createWorksBatch,
+  updateWork,
+  reorderWorks
 } from "./api.js";
 
 
 /**
  * @module dom
  * Utilitaires DOM pour l’UI (galerie, modale, erreurs, accessibilité).
- * Dépend des helpers API (`getCategories`, `deleteWork`, `createWork`) et de `slugify`.
+ * Dépend des helpers API (works, catégories) et de `slugify`.
  */
 
 
@@ -34,13 +56,39 @@ import {
  * @typedef {Object} Work
  * @property {number|string} id
  * @property {string} title
+ * @property {string} [slug] - Pour les liens `?work=<slug>`
+ * @property {string|null} [description]
+ * @property {number|null} [year]
+ * @property {string|null} [location]
+ * @property {string|null} [client]
+ * @property {"draft"|"published"|"archived"} [status] - Seuls les projets `published` sont publics
+ * @property {string|null} [publishAt] - Date (ISO) à partir de laquelle un projet publié est public
  * @property {string} imageUrl
+ * @property {ImageVariant[]} [imageVariants]
+ * @property {WorkImage[]} [images] - Images supplémentaires (détail d’un projet uniquement)
  * @property {{ id?: number|string, name?: string } | null} [category]
  * @property {number|string} [categoryId]
  */
+/**
+ * @typedef {Object} WorkImage
+ * @property {number} id
+ * @property {string} imageUrl
+ * @property {ImageVariant[]} [imageVariants]
+ * @property {number} position
+ */
+/**
+ * @typedef {Object} ImageVariant
+ * @property {"thumbnail"|"medium"|"large"} name
+ * @property {"webp"|"jpeg"|"png"} format
+ * @property {number} width
+ * @property {number} height
+ * @property {string} url
+ */
 /**
  * @typedef {Object} CreateFigureOptions
  * @property {boolean} [withDelete=false]
+ * @property {boolean} [withEdit=false]
+ * @property {boolean} [withMove=false]
  */
 
 
@@ -57,7 +105,11 @@ const focusableSelectors = `
   textarea, 
   input[type="text"], 
   input[type="email"], 
+  input[type="number"], 
+  input[type="datetime-local"], 
+  input[type="range"], 
   input[type="file"], 
+  input[type="checkbox"], 
   select,
   [tabindex]:not([tabindex="-1"])
 `;
@@ -66,11 +118,31 @@ const focusableSelectors = `
 /** IDs d’erreurs */
 const ERROR_IDS = {
   upload: "error-add-project",
+  batch: "error-batch-upload",
+  batchFiles: "error-message-batch-files",
   del: "error-delete-project",
+  restore: "error-restore-project",
+  trash: "error-trash-list",
+  trashItem: "error-trash-item",
+  reorder: "error-reorder-project",
   image: "error-message-image",
+  crop: "error-message-crop",
   title: "error-message-title",
   category: "error-message-category",
+  details: "error-message-details",
+  status: "error-message-status",
+  images: "error-message-images",
   gallery: "error-display-gallery",
+  edit: "error-edit-project",
+  editImage: "error-message-edit-image",
+  editTitle: "error-message-edit-title",
+  editCategory: "error-message-edit-category",
+  editDetails: "error-message-edit-details",
+  editStatus: "error-message-edit-status",
+  editImages: "error-message-edit-images",
+  workDetail: "error-work-detail",
+  categoryName: "error-message-category-name",
+  categoryList: "error-category-list",
 };
 
 
@@ -78,19 +150,62 @@ const ERROR_IDS = {
 const ERROR_TARGETS = {
   generic: "#portfolio",
   upload: "#step-two",
+  batch: "#step-batch",
+  update: "#step-edit",
   delete: ".modal-gallery-container",
+  restore: ".modal-gallery-container",
+  trash: ".trash-list-container",
+  reorder: ".modal-gallery-container",
   categories: ".select-wrapper",
   gallery: "#portfolio",
 };
 
 
+/** Champs renvoyés en erreur par l’API (`error.fields`) → emplacement du message, formulaire d’ajout. */
+const UPLOAD_FIELD_TARGETS = {
+  image: { container: "#form-group-header", id: ERROR_IDS.image },
+  title: { container: "#form-group-main", id: ERROR_IDS.title },
+  category: { container: "#form-group-footer", id: ERROR_IDS.category },
+  description: { container: "#form-group-details", id: ERROR_IDS.details },
+  year: { container: "#form-group-details", id: ERROR_IDS.details },
+  location: { container: "#form-group-details", id: ERROR_IDS.details },
+  client: { container: "#form-group-details", id: ERROR_IDS.details },
+  status: { container: "#form-group-status", id: ERROR_IDS.status },
+  publishAt: { container: "#form-group-status", id: ERROR_IDS.status },
+  images: { container: "#form-group-images", id: ERROR_IDS.images },
+};
+
+/** Idem pour le formulaire d’édition. */
+const EDIT_FIELD_TARGETS = {
+  image: { container: "#edit-group-header", id: ERROR_IDS.editImage },
+  title: { container: "#edit-group-main", id: ERROR_IDS.editTitle },
+  category: { container: "#edit-group-footer", id: ERROR_IDS.editCategory },
+  description: { container: "#edit-group-details", id: ERROR_IDS.editDetails },
+  year: { container: "#edit-group-details", id: ERROR_IDS.editDetails },
+  location: { container: "#edit-group-details", id: ERROR_IDS.editDetails },
+  client: { container: "#edit-group-details", id: ERROR_IDS.editDetails },
+  status: { container: "#edit-group-status", id: ERROR_IDS.editStatus },
+  publishAt: { container: "#edit-group-status", id: ERROR_IDS.editStatus },
+  images: { container: "#edit-group-images", id: ERROR_IDS.editImages },
+  removeImages: { container: "#edit-group-images", id: ERROR_IDS.editImages },
+};
+
+
+/** Image refusée par l’API : statut HTTP → clé de UI_ERROR_MESSAGES (affichée sous le champ image). */
+const IMAGE_ERROR_KEYS = Object.freeze({
+  400: "imageInvalid",
+  413: "size",
+  415: "extension",
+});
+
+
 /** =========================
  *  Bloc: Helpers / Erreurs
  *  ========================= */
 
 /**
  * Affiche un message d’erreur accessible selon le contexte UI.
- * @param {"generic"|"upload"|"delete"|"categories"|"gallery"} context
+ * @param {"generic"|"upload"|"update"|"delete"|"reorder"|"categories"|"gallery"} context
  * @param {string} [id] - id du <p> d’erreur (défaut: "error-<context>")
  */
 function showUiError(context = "generic", id) {
@@ -101,6 +216,21 @@ function showUiError(context = "generic", id) {
 }
 
 
+/**
+ * Affiche sous chaque champ le message de validation renvoyé par l’API (`error.fields`).
+ * @param {import("./api.js").ApiError} error
+ * @param {Record<string, {container: string, id: string}>} targets - Champ API → conteneur et id du message
+ * @returns {boolean} `true` si au moins un message a été affiché
+ */
+function renderFieldErrors(error, targets) {
+  const entries = Object.entries(error?.fields || {}).filter(([field]) => targets[field]);
+  entries.forEach(([field, message]) => {
+    renderErrorMessage(targets[field].container, targets[field].id, message);
+  });
+  return entries.length > 0;
+}
+
+
 /**
  * Supprime un ou plusieurs messages d’erreur par id.
  * @param {...string|string[]} ids - Un ou plusieurs ids (ou un tableau d’ids).
@@ -170,6 +300,26 @@ export function domModificationLogIn(isAuth) {
 }
 
 
+/** Ajoute le lien vers la page d’administration (compte, utilisateurs) avant "logout" (si absent).
+ * @returns {void}
+ */
+export function addAdminNavLink() {
+  if (document.getElementById("link-admin")) return;
+
+  const loginItem = document.getElementById("link-login")?.closest("li");
+  if (!loginItem) return;
+
+  const item = createElement("li");
+  item.appendChild(createElement("a", {
+    href: "./admin.html",
+    class: "link-page",
+    id: "link-admin"
+  }, "admin"));
+
+  loginItem.before(item);
+}
+
+
 /** Ajoute la bannière admin en haut de page (si absente).
  * @returns {void}
  */
@@ -265,11 +415,14 @@ function setActiveFilter(activeButton, container) {
 
 
 /** Affiche les filtres catégorie et synchronise l’URL.
+ * Le filtrage lui-même est délégué à `onSelect` (la galerie recharge depuis l’API avec le slug de l’URL).
+ * Le filtre de l’URL courante (ou "Tous") est activé immédiatement, ce qui appelle `onSelect`.
+ *
  * @param {Category[]} categories
- * @param {Work[]} works
+ * @param {(slug: string|null) => void} onSelect - Appelé après MAJ de l’URL (null pour "Tous")
  * @returns {void}
  */
-export function displayFilters(categories, works) {
+export function displayFilters(categories, onSelect) {
   const filtersContainer = document.getElementById("filters");
   if(!filtersContainer) return;
 
@@ -277,21 +430,9 @@ export function displayFilters(categories, works) {
   filtersContainer.setAttribute("aria-label", "Filtres des catégories");
   filtersContainer.innerHTML = "";
 
-  const catById = new Map(categories.map(c => [String(c.id), c.name]));
-
-  const getWorkCategorySlug = (work) => {
-    if (work?.category?.name) return slugify(work.category.name);
-
-    if (work?.category?.id != null) {
-      const name = catById.get(String(work.category.id)) || "";
-      return name ? slugify(name) : null;
-    }
-    if (work?.categoryId != null) {
-      const name = catById.get(String(work.categoryId)) || "";
-      return name ? slugify(name) : null;
-    }
-    return null;
-  }
+  const select = (slug) => {
+    if (typeof onSelect === "function") onSelect(slug);
+  };
 
   const updateURL = (categorySlug) => {
     const url = new URL(window.location);
@@ -312,7 +453,7 @@ export function displayFilters(categories, works) {
   allButton.addEventListener("click", () => {
     setActiveFilter(allButton, filtersContainer);
     updateURL(null);
-    displayWorks(works);
+    select(null);
   });
   
   categories.forEach(category => {
@@ -324,13 +465,11 @@ export function displayFilters(categories, works) {
     filtersContainer.appendChild(button);
 
     button.addEventListener("click", () => {
-      const filteredWorks = works.filter(w =>
-        getWorkCategorySlug(w) === slug);
-        setActiveFilter(button, filtersContainer);
-        updateURL(slug);
-        displayWorks(filteredWorks);
-      });
+      setActiveFilter(button, filtersContainer);
+      updateURL(slug);
+      select(slug);
     });
+  });
 
   const raw = new URLSearchParams(window.location.search).get("category");
   const selectedSlug = raw ? raw.toLowerCase() : null;
@@ -351,29 +490,121 @@ export function displayFilters(categories, works) {
  *  Bloc: Galerie principale
  *  ========================= */
 
+/** Variantes utilisées et largeur affichée (`sizes`) : galerie publique / vignettes de la modale. */
+const IMAGE_DISPLAY = Object.freeze({
+  gallery: {
+    names: ["medium", "large"],
+    sizes: "(max-width: 480px) 100vw, (max-width: 767px) 50vw, 305px"
+  },
+  thumbnail: {
+    names: ["thumbnail"],
+    sizes: "77px"
+  },
+  detail: {
+    names: ["medium", "large"],
+    sizes: "(max-width: 767px) 100vw, 560px"
+  },
+  lightbox: {
+    names: ["medium", "large"],
+    sizes: "90vw"
+  }
+});
+
+
+/**
+ * Construit un attribut `srcset` ("url 600w, …") pour un format donné.
+ * Si aucune des variantes demandées n’existe (image source trop petite), prend toutes celles du format.
+ *
+ * @param {ImageVariant[]} variants
+ * @param {string} format
+ * @param {string[]} names - Noms de variantes à retenir
+ * @returns {string}
+ */
+function buildSrcset(variants, format, names) {
+  const sameFormat = variants.filter(v => v.format === format);
+  const wanted = sameFormat.filter(v => names.includes(v.name));
+  const seen = new Set();
+
+  return (wanted.length ? wanted : sameFormat)
+    .filter(v => !seen.has(v.width) && seen.add(v.width))
+    .map(v => `${v.url} ${v.width}w`)
+    .join(", ");
+}
+
+
+/**
+ * Crée l’image d’un projet.
+ *
+ * - Sans variantes (projets antérieurs au traitement d’images) : simple <img> sur `imageUrl`
+ * - Sinon : <picture> avec une <source> WebP et une <img> (srcset au format d’origine, `imageUrl` en repli)
+ *
+ * @param {Work} work
+ * @param {"gallery"|"thumbnail"} display - Contexte d’affichage
+ * @returns {HTMLImageElement|HTMLPictureElement}
+ */
+function createWorkImage(work, display) {
+  const { names, sizes } = IMAGE_DISPLAY[display];
+  const variants = Array.isArray(work.imageVariants) ? work.imageVariants : [];
+
+  const img = document.createElement("img");
+  img.src = work.imageUrl;
+  img.alt = work.title;
+
+  if (!variants.length) return img;
+
+  const originalFormat = variants.find(v => v.format !== "webp")?.format || "webp";
+  img.srcset = buildSrcset(variants, originalFormat, names);
+  img.sizes = sizes;
+
+  if (originalFormat === "webp") return img;
+
+  const picture = document.createElement("picture");
+  const source = document.createElement("source");
+  source.type = "image/webp";
+  source.srcset = buildSrcset(variants, "webp", names);
+  source.sizes = sizes;
+
+  picture.append(source, img);
+  return picture;
+}
+
+
 /**
  * Crée un élément <figure> représentant un projet (work) pour la galerie.
  *
- * - Contient toujours une <img> avec src/alt basés sur le work
+ * - Contient toujours une <img> avec src/alt basés sur le work ; `srcset`/`sizes` (dans un <picture>
+ *   avec source WebP) quand l’API fournit des variantes : vignettes dans la modale, medium/large sinon
  * - Si `withDelete` est vrai :
  *   → Ajoute un bouton "supprimer" (accessible avec aria-label) + icône corbeille
  *   → Le bouton contient data-id pour identifier le work
- * - Sinon :
- *   → Ajoute un <figcaption> avec le titre du projet
+ * - Si `withEdit` est vrai :
+ *   → Ajoute un bouton "modifier" (aria-label + icône crayon), lui aussi avec data-id
+ * - Si `withMove` est vrai :
+ *   → Figure déplaçable (draggable) + boutons "déplacer avant / après" (`.move-btn[data-direction]`)
+ * - Sans aucune de ces options :
+ *   → L’image est dans un bouton `.lightbox-trigger` (data-slug) qui ouvre la lightbox
+ *   → Ajoute un <figcaption> avec le titre du projet, lien vers son détail (`?work=<slug>`)
  *
  * @param {Work} work - Objet projet (id, title, imageUrl, category…)
- * @param {{ withDelete?: boolean }} [options={}] - Options, `withDelete` pour ajouter le bouton supprimer
+ * @param {CreateFigureOptions} [options={}] - Options, `withDelete` / `withEdit` / `withMove` pour ajouter les boutons d’administration
  * @returns {HTMLFigureElement} La figure DOM prête à être insérée dans la galerie
  */
-function createWorkFigure(work, {withDelete = false} = {}) {
+function createWorkFigure(work, {withDelete = false, withEdit = false, withMove = false} = {}) {
   const figure = document.createElement("figure");
   figure.setAttribute("data-id", String(work.id));
 
-  const img = document.createElement("img");
-  img.src = work.imageUrl;
-  img.alt = work.title;
-
-  figure.append(img);
+  if (withDelete || withEdit) {
+    figure.append(createWorkImage(work, "thumbnail"));
+  } else {
+    const trigger = createElement("button", {
+      type: "button",
+      class: "lightbox-trigger",
+      "data-slug": String(work.slug || work.id),
+      "aria-label": `Agrandir l’image de « ${work.title || "ce projet"} »`
+    });
+    trigger.appendChild(createWorkImage(work, "gallery"));
+    figure.append(trigger);
+  }
 
   if (withDelete) {
     const btn = document.createElement("button");
@@ -388,9 +619,51 @@ function createWorkFigure(work, {withDelete = false} = {}) {
 
     btn.appendChild(icon);
     figure.prepend(btn);
+  }
 
-  } else {
-    figure.appendChild(createElement("figcaption", {}, work.title));
+  if (withEdit) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "edit-btn";
+    btn.dataset.id = String(work.id);
+    btn.setAttribute("aria-label", `Modifier « ${work.title || "ce projet"} »`);
+
+    const icon = document.createElement("i");
+    icon.className = "fa-solid fa-pen";
+    icon.setAttribute("aria-hidden", "true");
+
+    btn.appendChild(icon);
+    figure.prepend(btn);
+  }
+
+  if (withMove) {
+    figure.draggable = true;
+
+    [["before", "avant", "fa-chevron-left"], ["after", "après", "fa-chevron-right"]].forEach(([direction, label, iconClass]) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "move-btn";
+      btn.dataset.direction = direction;
+      btn.setAttribute("aria-label", `Déplacer « ${work.title || "ce projet"} » ${label}`);
+
+      const icon = document.createElement("i");
+      icon.className = `fa-solid ${iconClass}`;
+      icon.setAttribute("aria-hidden", "true");
+
+      btn.appendChild(icon);
+      figure.appendChild(btn);
+    });
+  }
+
+  if (!withDelete && !withEdit) {
+    const slug = String(work.slug || work.id);
+    const caption = createElement("figcaption");
+    caption.appendChild(createElement("a", {
+      class: "work-link",
+      href: `?work=${encodeURIComponent(slug)}`,
+      "data-slug": slug
+    }, work.title));
+    figure.appendChild(caption);
   }
 
   return figure;
@@ -407,6 +680,532 @@ export function displayWorks(works) {
 }
 
 
+/** Projets chargés par page dans la galerie publique (multiple de 3 colonnes). */
+const GALLERY_PAGE_SIZE = 9;
+
+/**
+ * @typedef {Object} GalleryLoader
+ * @property {() => Promise<void>} reload - Recharge la galerie depuis la page 1 (filtre de l’URL)
+ */
+
+/**
+ * Monte la galerie paginée.
+ *
+ * - Charge les projets page par page via `getWorks`, filtrés par le slug `?category=` de l’URL
+ * - Charge la page suivante quand le bas de la galerie approche (IntersectionObserver sur une sentinelle)
+ * - Sans IntersectionObserver : charge toutes les pages à la suite
+ * - Un rechargement (changement de filtre) ignore les réponses des chargements précédents
+ * - Erreur : `renderGalleryError` sur la 1re page, message sous la galerie ensuite
+ *
+ * @returns {GalleryLoader}
+ */
+export function setupGalleryLoader() {
+  const sentinel = createElement("div", { class: "gallery-sentinel", "aria-hidden": "true" });
+  gallery.after(sentinel);
+
+  let page = 0;
+  let totalPages = 1;
+  let loading = null;
+  let generation = 0;
+
+  const hasMore = () => page < totalPages;
+
+  const loadNextPage = () => {
+    if (loading || !hasMore()) return loading;
+
+    const current = generation;
+    gallery.setAttribute("aria-busy", "true");
+
+    loading = getWorks({
+      category: getCategoryNameFromQueryParam(),
+      page: page + 1,
+      limit: GALLERY_PAGE_SIZE
+    })
+      .then((result) => {
+        if (current !== generation) return;
+        if (result.page === 1) gallery.innerHTML = "";
+        result.works.forEach(work => gallery.appendChild(createWorkFigure(work)));
+        page = result.page;
+        totalPages = result.totalPages;
+      })
+      .catch(() => {
+        if (current !== generation) return;
+        page === 0
+          ? renderGalleryError()
+          : showUiError("gallery", ERROR_IDS.gallery);
+        totalPages = page;
+      })
+      .finally(() => {
+        if (current !== generation) return;
+        loading = null;
+        gallery.removeAttribute("aria-busy");
+        // La sentinelle peut être restée visible (page trop courte) : on force une nouvelle observation
+        if (observer && hasMore()) {
+          observer.unobserve(sentinel);
+          observer.observe(sentinel);
+        }
+      });
+
+    return loading;
+  };
+
+  const observer = "IntersectionObserver" in window
+    ? new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) loadNextPage();
+    }, { rootMargin: "300px 0px" })
+    : null;
+
+  observer?.observe(sentinel);
+
+  return {
+    async reload() {
+      generation += 1;
+      page = 0;
+      totalPages = 1;
+      loading = null;
+      clearErrorMessage(ERROR_IDS.gallery);
+
+      await loadNextPage();
+      while (!observer && hasMore()) {
+        await loadNextPage();
+      }
+    }
+  };
+}
+
+
+/** =========================
+ *  Bloc: Galerie – Détail d’un projet (?work=<slug>)
+ *  ========================= */
+
+/** Détails affichés sous le titre d’un projet, dans cet ordre (les valeurs vides sont omises). */
+const WORK_DETAIL_LABELS = Object.freeze({
+  year: "Année",
+  location: "Lieu",
+  client: "Client"
+});
+
+/**
+ * @typedef {Object} WorkDetailView
+ * @property {() => Promise<void>} sync - Affiche le projet de `?work=` de l’URL, ou la galerie s’il n’y en a pas
+ */
+
+
+/**
+ * Crée le lien de retour vers la galerie (même URL, sans `?work=`).
+ * @param {URL} url
+ * @returns {HTMLAnchorElement}
+ */
+function createWorkDetailBackLink(url) {
+  return createElement("a", { class: "work-detail-back", href: `${url.pathname}${url.search}` }, "← Tous les projets");
+}
+
+
+/**
+ * Construit le contenu de la vue détail : titre, catégorie et détails, description,
+ * image principale puis images supplémentaires.
+ * @param {Work} work - Projet renvoyé par `getWork`
+ * @param {URL} backUrl
+ * @returns {DocumentFragment}
+ */
+function createWorkDetailContent(work, backUrl) {
+  const fragment = document.createDocumentFragment();
+  const title = createElement("h3", { id: "work-detail-title", tabindex: "-1" }, work.title);
+
+  const meta = createElement("dl", { class: "work-detail-meta" });
+  [["Catégorie", work.category?.name], ...Object.entries(WORK_DETAIL_LABELS).map(([key, label]) => [label, work[key]])]
+    .filter(([, value]) => value !== null && value !== undefined && value !== "")
+    .forEach(([label, value]) => meta.append(createElement("dt", {}, label), createElement("dd", {}, String(value))));
+
+  const images = createElement("div", { class: "work-detail-images" });
+  [work, ...(work.images || [])].forEach((image, index) => {
+    const figure = document.createElement("figure");
+    const alt = index === 0 ? work.title : `${work.title} – image ${index + 1}`;
+    figure.appendChild(createWorkImage({ ...image, title: alt }, "detail"));
+    images.appendChild(figure);
+  });
+
+  fragment.append(createWorkDetailBackLink(backUrl), title);
+  if (meta.children.length) fragment.append(meta);
+  if (work.description) fragment.append(createElement("p", { class: "work-detail-description" }, work.description));
+  fragment.append(images);
+  return fragment;
+}
+
+
+/**
+ * Monte la vue détail d’un projet dans la section portfolio.
+ *
+ * - Les liens `.work-link` de la galerie ouvrent le détail et ajoutent `?work=<slug>` à l’URL (pushState),
+ *   le lien de retour l’enlève ; l’URL reste partageable et rechargeable
+ * - Pendant l’affichage, filtres et galerie sont masqués (classe `show-work-detail` sur #portfolio)
+ * - Le focus va sur le titre du projet, puis revient sur son lien dans la galerie au retour
+ * - Erreur : message dans la vue (projet introuvable si 404)
+ *
+ * @returns {WorkDetailView}
+ */
+export function setupWorkDetail() {
+  const portfolio = document.getElementById("portfolio");
+  const article = createElement("article", {
+    id: "work-detail",
+    class: "work-detail",
+    "aria-labelledby": "work-detail-title"
+  });
+  article.hidden = true;
+  portfolio?.appendChild(article);
+
+  const defaultTitle = document.title;
+  let generation = 0;
+
+  const galleryUrl = () => {
+    const url = new URL(window.location);
+    url.searchParams.delete("work");
+    return url;
+  };
+
+  const close = () => {
+    generation += 1;
+    article.hidden = true;
+    article.innerHTML = "";
+    portfolio?.classList.remove("show-work-detail");
+    document.title = defaultTitle;
+  };
+
+  const open = async (slug) => {
+    const current = ++generation;
+    portfolio?.classList.add("show-work-detail");
+    article.hidden = false;
+    article.innerHTML = "";
+    article.setAttribute("aria-busy", "true");
+
+    try {
+      const work = await getWork(slug);
+      if (current !== generation) return;
+      article.replaceChildren(createWorkDetailContent(work, galleryUrl()));
+      document.title = `${work.title} - ${defaultTitle}`;
+
+    } catch (error) {
+      if (current !== generation) return;
+      article.replaceChildren(createWorkDetailBackLink(galleryUrl()));
+      renderErrorMessage(article, ERROR_IDS.workDetail, error?.status === 404
+        ? UI_ERROR_MESSAGES.workNotFound
+        : UI_ERROR_MESSAGES.workDetail);
+    }
+
+    article.removeAttribute("aria-busy");
+    (article.querySelector("#work-detail-title") || article.querySelector(".work-detail-back"))?.focus();
+  };
+
+  const sync = async () => {
+    const slug = getWorkSlugFromQueryParam();
+    slug ? await open(slug) : close();
+  };
+
+  const isPlainClick = (e) => e.button === 0 && !e.ctrlKey && !e.metaKey && !e.shiftKey && !e.altKey;
+
+  gallery.addEventListener("click", (e) => {
+    const link = e.target.closest(".work-link");
+    if (!link || !isPlainClick(e)) return;
+    e.preventDefault();
+
+    const url = new URL(window.location);
+    url.searchParams.set("work", link.dataset.slug);
+    window.history.pushState({}, "", url);
+    open(link.dataset.slug);
+  });
+
+  article.addEventListener("click", (e) => {
+    const link = e.target.closest(".work-detail-back");
+    if (!link || !isPlainClick(e)) return;
+    e.preventDefault();
+
+    const slug = getWorkSlugFromQueryParam();
+    window.history.pushState({}, "", galleryUrl());
+    close();
+    const workLink = [...gallery.querySelectorAll(".work-link")].find(a => a.dataset.slug === slug);
+    (workLink || document.querySelector("#filters button.active"))?.focus();
+  });
+
+  return { sync };
+}
+
+
+/** =========================
+ *  Bloc: Galerie – Lightbox (?image=<slug>)
+ *  ========================= */
+
+/** Distance horizontale minimale (px) d’un swipe pour changer d’image. */
+const SWIPE_THRESHOLD = 50;
+
+/**
+ * @typedef {Object} Lightbox
+ * @property {() => Promise<void>} sync - Ouvre la lightbox sur l’image de `?image=` de l’URL, ou la ferme s’il n’y en a pas
+ */
+
+
+/**
+ * Crée le dialogue de la lightbox (masqué), ajouté à la fin du <body>.
+ * @returns {HTMLDivElement}
+ */
+function createLightboxElement() {
+  const lightbox = createElement("div", {
+    class: "lightbox",
+    role: "dialog",
+    "aria-modal": "true",
+    "aria-labelledby": "lightbox-caption"
+  });
+  lightbox.hidden = true;
+
+  const button = (className, label, iconClass) => {
+    const btn = createElement("button", { type: "button", class: className, "aria-label": label });
+    const icon = createElement("i", { class: `fa-solid ${iconClass}`, "aria-hidden": "true" });
+    btn.appendChild(icon);
+    return btn;
+  };
+
+  const figure = createElement("figure", { class: "lightbox-figure" });
+  figure.appendChild(createElement("figcaption", { id: "lightbox-caption", "aria-live": "polite" }));
+
+  lightbox.append(
+    button("lightbox-close", "Fermer", "fa-xmark"),
+    button("lightbox-prev", "Projet précédent", "fa-chevron-left"),
+    figure,
+    button("lightbox-next", "Projet suivant", "fa-chevron-right")
+  );
+  document.body.appendChild(lightbox);
+  return lightbox;
+}
+
+
+/**
+ * Monte la lightbox de la galerie publique.
+ *
+ * - S’ouvre sur un bouton `.lightbox-trigger` de la galerie (image d’un projet)
+ * - Précédent/suivant parcourent tous les projets du filtre courant (`?category=`), pas seulement
+ *   ceux déjà affichés : les projets sont demandés à l’API par pages (`GALLERY_PAGE_SIZE`), au besoin,
+ *   en partant de la page du projet ouvert (sa place dans la galerie, sinon pages lues jusqu’à lui)
+ * - Clavier : ←/→ pour naviguer, Échap pour fermer, Tab reste dans la lightbox ; swipe horizontal au tactile
+ * - URL : `?image=<slug>` (pushState à l’ouverture/fermeture, replaceState en naviguant) ;
+ *   `sync` la ré-applique au chargement et sur popstate
+ * - À la fermeture, le focus revient sur l’image du projet dans la galerie (ou sur l’élément d’origine)
+ *
+ * @returns {Lightbox}
+ */
+export function setupLightbox() {
+  const lightbox = createLightboxElement();
+  const figure = lightbox.querySelector(".lightbox-figure");
+  const caption = lightbox.querySelector("figcaption");
+  const prevBtn = lightbox.querySelector(".lightbox-prev");
+  const nextBtn = lightbox.querySelector(".lightbox-next");
+  const closeBtn = lightbox.querySelector(".lightbox-close");
+
+  /** @type {Array<Work|undefined>} Projets du filtre courant à leur place ; vide tant que leur page n’est pas chargée */
+  let works = [];
+  let total = 0;
+  let index = -1;
+  let generation = 0;
+  let returnFocus = null;
+  let touchStart = null;
+
+  const urlWithImage = (slug) => {
+    const url = new URL(window.location);
+    slug ? url.searchParams.set("image", slug) : url.searchParams.delete("image");
+    return url;
+  };
+
+  const slugOf = (work) => String(work.slug || work.id);
+
+  const pageOf = (position) => Math.floor(position / GALLERY_PAGE_SIZE) + 1;
+
+  /**
+   * Charge une page du filtre courant et range ses projets à leur place.
+   * @param {number} page
+   * @returns {Promise<import("./api.js").WorksPage>}
+   */
+  const loadPage = async (page) => {
+    const result = await getWorks({
+      category: getCategoryNameFromQueryParam(),
+      page,
+      limit: GALLERY_PAGE_SIZE
+    });
+    total = result.total;
+    result.works.forEach((work, i) => { works[(page - 1) * GALLERY_PAGE_SIZE + i] = work; });
+    return result;
+  };
+
+  /**
+   * Place du projet dans le filtre courant : d’après la galerie s’il y est affiché,
+   * sinon en lisant les pages jusqu’à le trouver (lien direct `?image=`).
+   * @param {string} slug
+   * @returns {Promise<number>} -1 si le projet n’est pas dans le filtre
+   */
+  const locate = async (slug) => {
+    const triggers = [...gallery.querySelectorAll(".lightbox-trigger")];
+    const shown = triggers.findIndex(btn => btn.dataset.slug === slug);
+    if (shown !== -1) {
+      await loadPage(pageOf(shown));
+      if (works[shown] && slugOf(works[shown]) === slug) return shown;
+    }
+
+    let page = 0;
+    let totalPages = 1;
+    while (page < totalPages) {
+      page += 1;
+      ({ totalPages } = await loadPage(page));
+      const found = works.findIndex(work => work && slugOf(work) === slug);
+      if (found !== -1) return found;
+    }
+    return -1;
+  };
+
+  const showMessage = (message) => {
+    works = [];
+    total = 0;
+    figure.querySelector("img, picture")?.remove();
+    caption.textContent = message;
+    prevBtn.disabled = true;
+    nextBtn.disabled = true;
+  };
+
+  const render = () => {
+    const work = works[index];
+    if (!work) return;
+    figure.querySelector("img, picture")?.remove();
+    figure.prepend(createWorkImage(work, "lightbox"));
+    caption.textContent = `${work.title} (${index + 1} / ${total})`;
+    prevBtn.disabled = total < 2;
+    nextBtn.disabled = total < 2;
+  };
+
+  const show = async (step) => {
+    if (total < 2) return;
+    const current = generation;
+    index = (index + step + total) % total;
+
+    if (!works[index]) {
+      lightbox.setAttribute("aria-busy", "true");
+      try {
+        await loadPage(pageOf(index));
+      } catch {
+        if (current === generation) showMessage(UI_ERROR_MESSAGES.gallery);
+        return;
+      } finally {
+        if (current === generation) lightbox.removeAttribute("aria-busy");
+      }
+      if (current !== generation || !works[index]) return;
+    }
+
+    window.history.replaceState({}, "", urlWithImage(slugOf(works[index])));
+    render();
+  };
+
+  const open = async (slug) => {
+    const current = ++generation;
+    if (lightbox.hidden) {
+      returnFocus = document.activeElement;
+      lightbox.hidden = false;
+      document.body.style.overflow = "hidden";
+    }
+    lightbox.setAttribute("aria-busy", "true");
+    closeBtn.focus();
+    works = [];
+    total = 0;
+
+    try {
+      const found = await locate(slug);
+      if (current !== generation) return;
+      index = found;
+
+      if (index === -1) {
+        showMessage(UI_ERROR_MESSAGES.workNotFound);
+      } else {
+        render();
+      }
+
+    } catch {
+      if (current !== generation) return;
+      showMessage(UI_ERROR_MESSAGES.gallery);
+    }
+    lightbox.removeAttribute("aria-busy");
+  };
+
+  const close = () => {
+    if (lightbox.hidden) return;
+    generation += 1;
+    const slug = works[index] ? slugOf(works[index]) : null;
+
+    lightbox.hidden = true;
+    document.body.style.overflow = "";
+    figure.querySelector("img, picture")?.remove();
+    caption.textContent = "";
+
+    const trigger = [...gallery.querySelectorAll(".lightbox-trigger")].find(btn => btn.dataset.slug === slug);
+    (trigger || returnFocus)?.focus?.();
+    returnFocus = null;
+  };
+
+  const closeAndUpdateURL = () => {
+    close();
+    window.history.pushState({}, "", urlWithImage(null));
+  };
+
+  gallery.addEventListener("click", (e) => {
+    const trigger = e.target.closest(".lightbox-trigger");
+    if (!trigger) return;
+    window.history.pushState({}, "", urlWithImage(trigger.dataset.slug));
+    open(trigger.dataset.slug);
+  });
+
+  prevBtn.addEventListener("click", () => show(-1));
+  nextBtn.addEventListener("click", () => show(1));
+  closeBtn.addEventListener("click", closeAndUpdateURL);
+
+  // Clic sur le fond (hors image et boutons)
+  lightbox.addEventListener("click", (e) => {
+    if (e.target === lightbox) closeAndUpdateURL();
+  });
+
+  lightbox.addEventListener("keydown", (e) => {
+    if (e.key === "Tab") {
+      keepFocusWithin(lightbox, e);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      closeAndUpdateURL();
+    } else if (e.key === "ArrowLeft") {
+      e.preventDefault();
+      show(-1);
+    } else if (e.key === "ArrowRight") {
+      e.preventDefault();
+      show(1);
+    }
+  });
+
+  lightbox.addEventListener("touchstart", (e) => {
+    touchStart = e.touches.length === 1 ? { x: e.touches[0].clientX, y: e.touches[0].clientY } : null;
+  }, { passive: true });
+
+  lightbox.addEventListener("touchend", (e) => {
+    if (!touchStart) return;
+    const dx = e.changedTouches[0].clientX - touchStart.x;
+    const dy = e.changedTouches[0].clientY - touchStart.y;
+    touchStart = null;
+    if (Math.abs(dx) >= SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) show(dx < 0 ? 1 : -1);
+  });
+
+  const sync = async () => {
+    const slug = getImageSlugFromQueryParam();
+    if (!slug) {
+      close();
+      return;
+    }
+    if (!lightbox.hidden && works[index] && slugOf(works[index]) === slug) return;
+    await open(slug);
+  };
+
+  return { sync };
+}
+
+
 /** =========================
  *  Bloc: Modale – Focus trap
  *  ========================= */
@@ -441,8 +1240,20 @@ export function trapFocusInModal() {
  */
 function handleTrap(e) {
   if (!currentTrapTarget || e.key !== "Tab") return;
+  keepFocusWithin(currentTrapTarget, e);
+}
+
 
-  const focusableElements = currentTrapTarget.querySelectorAll(focusableSelectors);
+/**
+ * Fait boucler Tab/Shift+Tab sur les éléments focusables d’un conteneur
+ * (modale, lightbox).
+ *
+ * @param {HTMLElement} container
+ * @param {KeyboardEvent} e - Événement "Tab"
+ * @returns {void}
+ */
+function keepFocusWithin(container, e) {
+  const focusableElements = container.querySelectorAll(focusableSelectors);
   if (!focusableElements.length) return;
 
   const firstElement = focusableElements[0];
@@ -497,8 +1308,8 @@ export function mountModalNavigation() {
   const stepOne = document.getElementById("step-one");
   const stepTwo = document.getElementById("step-two");
   const btnNext = document.querySelector(".btn-add-gallery");
-  const btnBack = document.querySelector(".modal-icon-back");
   if (!stepOne || !stepTwo) return;
+  const btnBack = stepTwo.querySelector(".modal-icon-back");
 
   if (btnNext) {
     btnNext.addEventListener("click", async () => {
@@ -536,24 +1347,60 @@ export function exitModal() {
   const modal = document.querySelector(".modal");
   const modalContentStepOne = document.getElementById("step-one");
   const modalContentStepTwo = document.getElementById("step-two");
+  const modalContentStepEdit = document.getElementById("step-edit");
+  const modalContentStepCategories = document.getElementById("step-categories");
+  const modalContentStepBatch = document.getElementById("step-batch");
+  const modalContentStepCrop = document.getElementById("step-crop");
+  const modalContentStepTrash = document.getElementById("step-trash");
 
   const closeModal = () => {
-  const stepTwoWasOpen = getComputedStyle(modalContentStepTwo).display !== "none";
+    abortUpload();
+    // step-crop fait partie de l’ajout : fermer depuis le recadrage réinitialise aussi le formulaire
+    const stepTwoWasOpen = getComputedStyle(modalContentStepTwo).display !== "none"
+      || (!!modalContentStepCrop && getComputedStyle(modalContentStepCrop).display !== "none");
+    const stepEditWasOpen = !!modalContentStepEdit && getComputedStyle(modalContentStepEdit).display !== "none";
 
     modal.style.display = "none";
     modalContentStepOne.style.display = "none";
     modalContentStepTwo.style.display = "none";
+    if (modalContentStepEdit) modalContentStepEdit.style.display = "none";
+    if (modalContentStepCrop) {
+      modalContentStepCrop.style.display = "none";
+      clearErrorMessage(ERROR_IDS.crop);
+    }
+    if (modalContentStepTrash) {
+      modalContentStepTrash.style.display = "none";
+      clearErrorMessage(ERROR_IDS.trash, ERROR_IDS.trashItem);
+    }
+    hideUndoToast();
+    clearErrorMessage(ERROR_IDS.restore);
+    if (modalContentStepCategories) {
+      modalContentStepCategories.style.display = "none";
+      resetCategoryManager();
+    }
+    if (modalContentStepBatch) {
+      modalContentStepBatch.style.display = "none";
+      resetBatchUpload();
+    }
+
+    if (stepEditWasOpen) resetEditForm();
     
     if (stepTwoWasOpen) {
       resetImageField();
       resetTitleField();
       resetCategoryField();
+      fillWorkDetails(null);
+      fillWorkStatus(null);
+      resetExtraImagesField();
       clearErrorMessage(
         ERROR_IDS.upload,
         ERROR_IDS.del,
+        ERROR_IDS.reorder,
         ERROR_IDS.image,
         ERROR_IDS.title,
         ERROR_IDS.category,
+        ERROR_IDS.details,
+        ERROR_IDS.status,
         ERROR_IDS.gallery
       );
     }
@@ -581,18 +1428,89 @@ export function exitModal() {
  *  Bloc: Modale – Galerie interne (step-one)
  *  ========================= */
 
-/** Affiche la galerie interne de la modale (step-one) avec boutons “supprimer”.
- * @returns {void}
+/**
+ * Indique si un projet est visible dans la galerie publique :
+ * publié, et dont la date de publication (s’il y en a une) est passée (même règle que l’API).
+ * @param {Work} work
+ * @returns {boolean}
  */
-export function displayModalGallery(works) {
-  const content = document.querySelector(".modal-gallery-content");
+function isWorkPublic(work) {
+  return (work.status ?? "published") === "published"
+    && (!work.publishAt || new Date(work.publishAt) <= new Date());
+}
 
-  if (!content) return;
-  content.innerHTML = "";
 
-  works.forEach(w => content.appendChild(createWorkFigure(w, { withDelete: true })));
+/**
+ * Badge de statut d’un projet non public (brouillon, programmé, archivé), ou null s’il est public.
+ * @param {Work} work
+ * @returns {HTMLSpanElement|null}
+ */
+function createStatusBadge(work) {
+  if (isWorkPublic(work)) return null;
+
+  if (work.status === "published") {
+    const date = new Date(work.publishAt).toLocaleString("fr-FR", { dateStyle: "short", timeStyle: "short" });
+    return createElement("span", { class: "status-badge status-scheduled", title: `Publié le ${date}` }, "Programmé");
+  }
+  const label = work.status === "archived" ? "Archivé" : "Brouillon";
+  return createElement("span", { class: `status-badge status-${work.status}` }, label);
+}
+
+
+/** Figure d’un projet dans la galerie modale : supprimer / modifier, déplacer si admin,
+ * et badge de statut s’il n’est pas public.
+ * @param {Work} work
+ * @returns {HTMLFigureElement}
+ */
+function createModalFigure(work) {
+  const figure = createWorkFigure(work, { withDelete: true, withEdit: true, withMove: isAdmin() });
+  const badge = createStatusBadge(work);
+  if (badge) figure.appendChild(badge);
+  return figure;
+}
+
+
+/** Désactive "déplacer avant" sur le premier projet de la modale et "déplacer après" sur le dernier.
+ * @returns {void}
+ */
+function updateMoveButtons() {
+  const figures = [...document.querySelectorAll(".modal-gallery-content > figure")];
+  figures.forEach((figure, index) => {
+    const before = figure.querySelector(`.move-btn[data-direction="before"]`);
+    const after = figure.querySelector(`.move-btn[data-direction="after"]`);
+    if (before) before.disabled = index === 0;
+    if (after) after.disabled = index === figures.length - 1;
+  });
+}
+
+
+/** Affiche la galerie interne de la modale (step-one) avec boutons “supprimer”, “modifier” et “déplacer” (admin).
+ * @param {Work[]} works - Projets dans l’ordre d’affichage
+ * @param {(works: Work[]) => void} [onReordered] - Reçoit tous les projets après un changement d’ordre enregistré
+ * @returns {void}
+ */
+export function displayModalGallery(works, onReordered) {
+  if (!document.querySelector(".modal-gallery-content")) return;
+
+  renderModalGallery(works);
   
   setupModalDeleteDelegation();
+  setupModalReorder(onReordered);
+}
+
+
+/** (Re)construit les figures de la galerie interne de la modale (ex. après une restauration).
+ * @param {Work[]} works - Projets dans l’ordre d’affichage
+ * @returns {void}
+ */
+export function renderModalGallery(works) {
+  const content = document.querySelector(".modal-gallery-content");
+
+  if (!content) return;
+  content.innerHTML = "";
+
+  works.forEach(w => content.appendChild(createModalFigure(w)));
+  updateMoveButtons();
 }
 
 
@@ -601,9 +1519,10 @@ export function displayModalGallery(works) {
  *
  * - Capte les clics sur `.delete-btn` (event delegation).
  * - Désactive le bouton + aria-busy pendant l’opération.
- * - Supprime le projet côté modale et galerie principale si succès.
+ * - Supprime le projet côté modale et galerie principale si succès (il passe dans la corbeille).
+ * - Propose "Annuler" quelques secondes (`showUndoToast`).
  * - Émet l’événement `work:deleted` pour MAJ l’état global.
- * - Affiche une erreur si l’API échoue.
+ * - Affiche une erreur si l’API échoue (message dédié si 403 : projet d’un autre utilisateur).
  *
  * @fires document#work:deleted
  * @returns {void}
@@ -622,6 +1541,7 @@ function setupModalDeleteDelegation() {
     const token = localStorage.getItem("token");
 
     const galleryFigure = document.querySelector(`.gallery figure[data-id="${workIdStr}"]`);
+    const title = figure?.querySelector("img")?.alt || "";
 
     btn.disabled= true;
     figure?.setAttribute("aria-busy", "true");
@@ -633,17 +1553,21 @@ function setupModalDeleteDelegation() {
 
     try {
       await deleteWork(workIdStr, token);
-      clearErrorMessage(ERROR_IDS.del);
+      clearErrorMessage(ERROR_IDS.del, ERROR_IDS.restore);
 
       figure?.remove();
       galleryFigure?.remove();
+      updateMoveButtons();
+      showUndoToast(workId, title);
 
       document.dispatchEvent(
         new CustomEvent("work:deleted", { detail: { id: workId } })
       );
 
-    } catch {
-      showUiError("delete", ERROR_IDS.del);
+    } catch (error) {
+      error?.status === 403
+        ? renderErrorMessage(ERROR_TARGETS.delete, ERROR_IDS.del, UI_ERROR_MESSAGES.deleteForbidden)
+        : showUiError("delete", ERROR_IDS.del);
     } finally {
       finish();
     }
@@ -651,12 +1575,392 @@ function setupModalDeleteDelegation() {
 }
 
 
+/**
+ * Active le changement d’ordre des projets dans la galerie modale (rôle admin).
+ *
+ * - Glisser-déposer d’une figure sur une autre (avant/après selon la moitié survolée)
+ * - Boutons "déplacer avant / après" pour le clavier ; le focus reste sur le projet déplacé
+ * - Le nouvel ordre est enregistré via `reorderWorks` ; en cas d’échec, l’ordre précédent est rétabli
+ *   et un message s’affiche sous la galerie modale
+ * - Pas de nouveau déplacement pendant un enregistrement (aria-busy)
+ *
+ * @param {(works: Work[]) => void} [onReordered] - Reçoit tous les projets dans le nouvel ordre
+ * @returns {void}
+ */
+function setupModalReorder(onReordered) {
+  const modalGallery = document.querySelector(".modal-gallery-content");
+  if (!modalGallery || !isAdmin()) return;
+
+  let dragged = null;
+  let orderBeforeDrag = [];
+  let saving = false;
+
+  const figures = () => [...modalGallery.querySelectorAll(":scope > figure")];
+  const currentOrder = () => figures().map(figure => figure.dataset.id);
+
+  const save = async (previousOrder) => {
+    const order = currentOrder();
+    if (order.join() === previousOrder.join()) return;
+
+    saving = true;
+    modalGallery.setAttribute("aria-busy", "true");
+    try {
+      const works = await reorderWorks(order, localStorage.getItem("token"));
+      clearErrorMessage(ERROR_IDS.reorder);
+      if (typeof onReordered === "function") onReordered(works);
+
+    } catch {
+      const byId = new Map(figures().map(figure => [figure.dataset.id, figure]));
+      previousOrder.forEach(id => byId.has(id) && modalGallery.appendChild(byId.get(id)));
+      showUiError("reorder", ERROR_IDS.reorder);
+    } finally {
+      saving = false;
+      modalGallery.removeAttribute("aria-busy");
+      updateMoveButtons();
+    }
+  };
+
+  modalGallery.addEventListener("click", (e) => {
+    const btn = e.target.closest(".move-btn");
+    if (!btn || saving) return;
+
+    const figure = btn.closest("figure");
+    const isBefore = btn.dataset.direction === "before";
+    const sibling = isBefore ? figure.previousElementSibling : figure.nextElementSibling;
+    if (!sibling) return;
+
+    const previousOrder = currentOrder();
+    isBefore ? sibling.before(figure) : sibling.after(figure);
+    updateMoveButtons();
+    // Arrivé en bout de liste, le bouton est désactivé : le focus passe sur l’autre
+    (btn.disabled ? figure.querySelector(".move-btn:not(:disabled)") : btn)?.focus();
+
+    save(previousOrder);
+  });
+
+  modalGallery.addEventListener("dragstart", (e) => {
+    const figure = e.target.closest?.("figure[draggable='true']");
+    if (!figure || saving) {
+      e.preventDefault();
+      return;
+    }
+    dragged = figure;
+    orderBeforeDrag = currentOrder();
+    figure.classList.add("dragging");
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", figure.dataset.id);
+  });
+
+  modalGallery.addEventListener("dragover", (e) => {
+    if (!dragged) return;
+    e.preventDefault();
+
+    const target = e.target.closest("figure");
+    if (!target || target === dragged) return;
+
+    const { left, width } = target.getBoundingClientRect();
+    e.clientX < left + width / 2 ? target.before(dragged) : target.after(dragged);
+  });
+
+  modalGallery.addEventListener("drop", (e) => {
+    if (dragged) e.preventDefault();
+  });
+
+  modalGallery.addEventListener("dragend", () => {
+    if (!dragged) return;
+    dragged.classList.remove("dragging");
+    dragged = null;
+    updateMoveButtons();
+    save(orderBeforeDrag);
+  });
+}
+
+
+/** =========================
+ *  Bloc: Modale – Corbeille (annulation, step-trash)
+ *  ========================= */
+
+/** Durée pendant laquelle "Annuler" reste proposé après une suppression (ms), hors survol/focus. */
+const UNDO_DELAY = 8000;
+
+let undoTimer = null;
+
+
+/**
+ * Masque la proposition d’annulation ; si le focus y était, il revient dans step-one.
+ * @returns {void}
+ */
+function hideUndoToast() {
+  const toast = document.getElementById("undo-toast");
+  clearTimeout(undoTimer);
+  undoTimer = null;
+  if (!toast || toast.hidden) return;
+
+  const hadFocus = toast.contains(document.activeElement);
+  toast.hidden = true;
+  delete toast.dataset.id;
+
+  const stepOne = document.getElementById("step-one");
+  if (hadFocus && stepOne) {
+    const f = stepOne.querySelectorAll(focusableSelectors); if (f.length) f[0].focus();
+  }
+}
+
+
+/**
+ * Propose d’annuler la suppression d’un projet pendant `UNDO_DELAY`. Remplace la proposition
+ * précédente (ce projet-là reste dans la corbeille). Le focus passe sur "Annuler".
+ * @param {number} id
+ * @param {string} title
+ * @returns {void}
+ */
+function showUndoToast(id, title) {
+  const toast = document.getElementById("undo-toast");
+  if (!toast) return;
+
+  clearTimeout(undoTimer);
+  toast.dataset.id = String(id);
+  toast.querySelector(".undo-toast-text").textContent = `« ${title || "Le projet"} » a été mis à la corbeille.`;
+  toast.hidden = false;
+  toast.querySelector(".undo-toast-btn")?.focus();
+  undoTimer = setTimeout(hideUndoToast, UNDO_DELAY);
+}
+
+
+/**
+ * Restaure un projet de la corbeille et le signale pour qu’il reprenne sa place dans les galeries.
+ * @param {number|string} id
+ * @returns {Promise<Work>}
+ * @throws {import("./api.js").ApiError|Error} 404 s’il n’est plus dans la corbeille
+ * @fires document#work:restored
+ */
+async function restoreFromTrash(id) {
+  const work = await restoreWork(id, localStorage.getItem("token"));
+  document.dispatchEvent(new CustomEvent("work:restored", { detail: { work } }));
+  return work;
+}
+
+
+/**
+ * Message d’échec d’une restauration (404 : déjà restauré ou supprimé définitivement).
+ * @param {unknown} error
+ * @returns {string}
+ */
+function restoreErrorMessage(error) {
+  return error?.status === 404 ? UI_ERROR_MESSAGES.restoreGone : UI_ERROR_MESSAGES.restore;
+}
+
+
+/**
+ * Crée la ligne d’un projet de la corbeille : miniature, titre, date de suppression,
+ * "Restaurer" et "Supprimer définitivement".
+ * @param {Work & {deletedAt: string}} work
+ * @returns {HTMLLIElement}
+ */
+function createTrashRow(work) {
+  const row = createElement("li", { class: "trash-row", "data-id": String(work.id) });
+  const text = createElement("div", { class: "trash-row-text" });
+  text.append(
+    createElement("span", { class: "trash-row-title" }, work.title),
+    createElement("span", { class: "trash-row-date" }, `Supprimé le ${new Date(work.deletedAt).toLocaleDateString("fr-FR")}`)
+  );
+
+  const restoreBtn = createElement("button", {
+    type: "button",
+    class: "trash-restore-btn",
+    "aria-label": `Restaurer « ${work.title} »`
+  }, "Restaurer");
+  const purgeBtn = createElement("button", {
+    type: "button",
+    class: "trash-purge-btn",
+    "aria-label": `Supprimer définitivement « ${work.title} »`
+  }, "Supprimer définitivement");
+
+  row.append(createWorkImage(work, "thumbnail"), text, restoreBtn, purgeBtn);
+  return row;
+}
+
+
+/**
+ * Monte l’annulation des suppressions et la corbeille de la modale :
+ * - "Annuler" après une suppression restaure le projet (le délai est suspendu au survol/focus)
+ * - step-trash (`.btn-open-trash`) liste la corbeille (`getTrash`) : "Restaurer" (`restoreWork`),
+ *   ou "Supprimer définitivement" (`purgeWork`) après un second clic de confirmation
+ * - Un projet restauré est signalé par `work:restored` ; l’appelant le replace dans les galeries
+ *
+ * @returns {void}
+ */
+export function setupTrash() {
+  const stepOne = document.getElementById("step-one");
+  const stepTrash = document.getElementById("step-trash");
+  const btnOpen = document.querySelector(".btn-open-trash");
+  const btnBack = stepTrash?.querySelector(".modal-icon-back");
+  const list = document.getElementById("trash-list");
+  const toast = document.getElementById("undo-toast");
+  const undoBtn = toast?.querySelector(".undo-toast-btn");
+
+  if (!stepOne || !stepTrash || !btnOpen || !list) return;
+
+  // ---- Annulation ----
+  if (toast && undoBtn) {
+    const pause = () => clearTimeout(undoTimer);
+    const resume = () => {
+      if (toast.hidden || toast.contains(document.activeElement)) return;
+      clearTimeout(undoTimer);
+      undoTimer = setTimeout(hideUndoToast, UNDO_DELAY);
+    };
+    toast.addEventListener("mouseenter", pause);
+    toast.addEventListener("focusin", pause);
+    toast.addEventListener("mouseleave", resume);
+    toast.addEventListener("focusout", () => setTimeout(resume));
+
+    undoBtn.addEventListener("click", async () => {
+      const id = toast.dataset.id;
+      if (!id) return;
+
+      undoBtn.disabled = true;
+      clearErrorMessage(ERROR_IDS.restore);
+      try {
+        await restoreFromTrash(id);
+        hideUndoToast();
+      } catch (error) {
+        hideUndoToast();
+        renderErrorMessage(ERROR_TARGETS.restore, ERROR_IDS.restore, restoreErrorMessage(error));
+      } finally {
+        undoBtn.disabled = false;
+      }
+    });
+  }
+
+  // ---- Corbeille (step-trash) ----
+  const renderTrash = (works) => {
+    list.innerHTML = "";
+    works.length
+      ? works.forEach(work => list.appendChild(createTrashRow(work)))
+      : list.appendChild(createElement("li", { class: "trash-empty" }, "La corbeille est vide."));
+  };
+
+  // Après le retrait d’une ligne : focus sur la ligne suivante (ou précédente), sinon sur le retour
+  const removeRow = (row) => {
+    const next = row.nextElementSibling || row.previousElementSibling;
+    row.remove();
+    if (!list.querySelector(".trash-row")) renderTrash([]);
+    (next?.querySelector(".trash-restore-btn") || btnBack)?.focus();
+  };
+
+  const resetPurgeConfirm = (btn) => {
+    if (btn.dataset.confirm !== "true") return;
+    delete btn.dataset.confirm;
+    btn.textContent = "Supprimer définitivement";
+    btn.setAttribute("aria-label", btn.getAttribute("aria-label").replace(/^Confirmer la suppression définitive de/, "Supprimer définitivement"));
+  };
+
+  btnOpen.addEventListener("click", async () => {
+    hideUndoToast();
+    stepOne.style.display = "none";
+    stepTrash.style.display = "flex";
+    clearErrorMessage(ERROR_IDS.trash, ERROR_IDS.trashItem);
+    list.innerHTML = "";
+    list.setAttribute("aria-busy", "true");
+
+    try {
+      renderTrash(await getTrash(localStorage.getItem("token")));
+    } catch {
+      renderErrorMessage(ERROR_TARGETS.trash, ERROR_IDS.trash, UI_ERROR_MESSAGES.trash);
+    }
+    list.removeAttribute("aria-busy");
+
+    (list.querySelector(".trash-restore-btn") || btnBack)?.focus();
+    trapFocusInModal();
+  });
+
+  btnBack?.addEventListener("click", () => {
+    stepTrash.style.display = "none";
+    stepOne.style.display = "flex";
+    clearErrorMessage(ERROR_IDS.trash, ERROR_IDS.trashItem);
+    const f = stepOne.querySelectorAll(focusableSelectors); if (f.length) f[0].focus();
+    trapFocusInModal();
+  });
+
+  list.addEventListener("click", async (e) => {
+    const btn = e.target.closest(".trash-restore-btn, .trash-purge-btn");
+    const row = btn?.closest(".trash-row");
+    if (!btn || !row) return;
+
+    // 1er clic sur "Supprimer définitivement" : demande confirmation
+    if (btn.classList.contains("trash-purge-btn") && btn.dataset.confirm !== "true") {
+      btn.dataset.confirm = "true";
+      btn.textContent = "Confirmer ?";
+      btn.setAttribute("aria-label", btn.getAttribute("aria-label").replace(/^Supprimer définitivement/, "Confirmer la suppression définitive de"));
+      return;
+    }
+
+    const isRestore = btn.classList.contains("trash-restore-btn");
+    clearErrorMessage(ERROR_IDS.trashItem);
+    row.setAttribute("aria-busy", "true");
+    row.querySelectorAll("button").forEach(b => { b.disabled = true; });
+
+    try {
+      isRestore
+        ? await restoreFromTrash(row.dataset.id)
+        : await purgeWork(row.dataset.id, localStorage.getItem("token"));
+      removeRow(row);
+
+    } catch (error) {
+      // 404 : déjà restauré ou purgé (autre onglet, tâche de purge) → la ligne n’a plus lieu d’être
+      if (error?.status === 404) {
+        removeRow(row);
+        renderErrorMessage(ERROR_TARGETS.trash, ERROR_IDS.trashItem, UI_ERROR_MESSAGES.restoreGone);
+        return;
+      }
+      renderErrorMessage(row, ERROR_IDS.trashItem, isRestore ? UI_ERROR_MESSAGES.restore : UI_ERROR_MESSAGES.purge);
+      row.removeAttribute("aria-busy");
+      row.querySelectorAll("button").forEach(b => { b.disabled = false; });
+      resetPurgeConfirm(btn);
+      btn.focus();
+    }
+  });
+
+  // Confirmation abandonnée dès que le bouton perd le focus
+  list.addEventListener("focusout", (e) => {
+    if (e.target instanceof Element && e.target.classList.contains("trash-purge-btn")) resetPurgeConfirm(e.target);
+  });
+}
+
+
 /** =========================
  *  Bloc: Modale – Upload (step-two)
  *  ========================= */
 
+/** Champs de détail d’un projet (ids `<nom>` dans step-two, `edit-<nom>` dans step-edit). */
+const WORK_DETAIL_FIELDS = ["description", "year", "location", "client"];
+
+/** Images supplémentaires par envoi (même limite que l’API). */
+const MAX_EXTRA_IMAGES = 10;
+
 /** ---- Prévisualisation & reset image ---- */
 
+/**
+ * Image choisie dans step-two : fichier d’origine (avant recadrage/compression), image décodée
+ * et derniers réglages appliqués (rotation en degrés, format largeur/hauteur ou null pour l’original,
+ * zoom, centre du cadre en fraction de l’image pivotée).
+ * @type {{file: File, image: HTMLImageElement, rotation: number, ratio: number|null, zoom: number, centerX: number, centerY: number}|null}
+ */
+let imageSource = null;
+
+
+/**
+ * Place un fichier dans un <input type="file"> (sans déclencher "change").
+ * @param {HTMLInputElement} fileInput
+ * @param {File} file
+ * @returns {void}
+ */
+function replaceInputFile(fileInput, file) {
+  const transfer = new DataTransfer();
+  transfer.items.add(file);
+  fileInput.files = transfer.files;
+}
+
 /**
  * Libère l’URL de prévisualisation associée à un <input type="file">.
  *
@@ -722,13 +2026,14 @@ function resetImageField() {
 
   const info = document.createElement("span");
   info.className = "upload-info";
-  info.textContent = "jpg, png 4mo max";
+  info.textContent = "jpg, png 4mo max — ou glissez / collez une image";
 
   label.addEventListener("keydown", (e) => {
     if (e.key === "Enter") fileInput.click();
   });
 
   container.append(icon, label, info);
+  imageSource = null;
   
   clearErrorMessage(ERROR_IDS.image);
 }
@@ -759,7 +2064,207 @@ function renderImagePreview(fileInput, container, file) {
 
 
 /**
- * Monte la logique du champ image de l’upload (step-two).
+ * Ajoute sous la prévisualisation le poids de l’image (avant → après si elle a été ré-encodée)
+ * et le bouton d’ouverture du recadrage (step-crop).
+ * @param {HTMLElement} container - #form-group-header
+ * @param {number} before - Poids du fichier choisi (octets)
+ * @param {number} after - Poids du fichier envoyé (octets)
+ * @returns {void}
+ */
+function renderImageTools(container, before, after) {
+  const tools = createElement("div", { class: "image-tools" });
+  const size = createElement(
+    "span",
+    { class: "image-size-info", id: "image-size-info" },
+    after === before ? formatFileSize(before) : `${formatFileSize(before)} → ${formatFileSize(after)}`
+  );
+  const cropBtn = createElement("button", { type: "button", class: "btn-crop-open" }, "Recadrer / pivoter");
+
+  tools.append(size, cropBtn);
+  container.appendChild(tools);
+}
+
+
+/**
+ * Prépare l’image choisie : décodage, puis ré-encodage si elle dépasse le poids
+ * ou les dimensions acceptés par l’API, puis prévisualisation.
+ * Le fichier d’origine est gardé (`imageSource`) pour recadrer sans perte de qualité.
+ * @param {HTMLInputElement} fileInput
+ * @param {HTMLElement} container - #form-group-header
+ * @param {File} file
+ * @returns {Promise<void>}
+ */
+async function prepareImageFile(fileInput, container, file) {
+  const fail = (message) => {
+    if (fileInput.files?.[0] !== file) return;
+    resetImageField();
+    renderErrorMessage(container, ERROR_IDS.image, message);
+    container.querySelector(".upload-label")?.focus();
+  };
+
+  let image;
+  try {
+    image = await loadImage(file);
+  } catch {
+    fail(UI_ERROR_MESSAGES.imageInvalid);
+    return;
+  }
+  // Une autre image a été choisie entre-temps
+  if (fileInput.files?.[0] !== file) return;
+
+  let result = file;
+  const tooLarge = file.size > IMAGE_LIMITS.maxBytes
+    || Math.max(image.naturalWidth, image.naturalHeight) > IMAGE_LIMITS.maxSide;
+
+  if (tooLarge) {
+    const info = container.querySelector(".image-size-info, .upload-info");
+    if (info) info.textContent = `Compression de l’image (${formatFileSize(file.size)})…`;
+    try {
+      result = await encodeImage(image, file);
+    } catch {
+      fail(UI_ERROR_MESSAGES.imageProcess);
+      return;
+    }
+    if (fileInput.files?.[0] !== file) return;
+    replaceInputFile(fileInput, result);
+  }
+
+  imageSource = { file, image, rotation: 0, ratio: null, zoom: 1, centerX: 0.5, centerY: 0.5 };
+  renderImagePreview(fileInput, container, result);
+  renderImageTools(container, file.size, result.size);
+}
+
+
+/**
+ * Ajoute les champs de détail au FormData.
+ * @param {FormData} formData
+ * @param {string} [prefix=""] - "" pour step-two, "edit-" pour step-edit
+ * @param {boolean} [includeEmpty=false] - Envoie aussi les champs vides (l’API les efface)
+ * @returns {void}
+ */
+function appendWorkDetails(formData, prefix = "", includeEmpty = false) {
+  WORK_DETAIL_FIELDS.forEach((name) => {
+    const value = (document.getElementById(prefix + name)?.value || "").trim();
+    if (value || includeEmpty) formData.append(name, value);
+  });
+}
+
+
+/**
+ * Remplit les champs de détail avec ceux d’un projet (ou les vide si `work` est null).
+ * @param {Work|null} work
+ * @param {string} [prefix=""]
+ * @returns {void}
+ */
+function fillWorkDetails(work, prefix = "") {
+  WORK_DETAIL_FIELDS.forEach((name) => {
+    const input = document.getElementById(prefix + name);
+    if (input) input.value = work?.[name] ?? "";
+  });
+}
+
+
+/**
+ * Ajoute le statut et la date de publication (convertie en ISO) au FormData.
+ * @param {FormData} formData
+ * @param {string} [prefix=""] - "" pour step-two, "edit-" pour step-edit
+ * @param {boolean} [includeEmpty=false] - Envoie aussi une date vide (l’API l’efface : publié tout de suite)
+ * @returns {void}
+ */
+function appendWorkStatus(formData, prefix = "", includeEmpty = false) {
+  const status = document.getElementById(prefix + "status")?.value;
+  const publishAt = document.getElementById(prefix + "publish-at")?.value || "";
+
+  if (status) formData.append("status", status);
+  if (publishAt) {
+    formData.append("publishAt", new Date(publishAt).toISOString());
+  } else if (includeEmpty) {
+    formData.append("publishAt", "");
+  }
+}
+
+
+/**
+ * Remplit le statut et la date de publication avec ceux d’un projet (ou "Publié", sans date, si `work` est null).
+ * @param {Work|null} work
+ * @param {string} [prefix=""]
+ * @returns {void}
+ */
+function fillWorkStatus(work, prefix = "") {
+  const statusSelect = document.getElementById(prefix + "status");
+  const publishAtInput = document.getElementById(prefix + "publish-at");
+
+  if (statusSelect) statusSelect.value = work?.status || "published";
+  if (publishAtInput) publishAtInput.value = work?.publishAt ? toDateTimeLocalValue(work.publishAt) : "";
+}
+
+
+/**
+ * Vide le champ "images supplémentaires" (input, liste des fichiers choisis, erreur).
+ * @param {{ inputId?: string, listId?: string, errorId?: string }} [options={}]
+ * @returns {void}
+ */
+function resetExtraImagesField({
+  inputId = "images",
+  listId = "images-list",
+  errorId = ERROR_IDS.images
+} = {}) {
+  const input = document.getElementById(inputId);
+  if (input) input.value = "";
+  const list = document.getElementById(listId);
+  if (list) list.innerHTML = "";
+  clearErrorMessage(errorId);
+}
+
+
+/**
+ * Monte le champ "images supplémentaires" (sélection multiple) :
+ * chaque fichier est validé par `validateImageFile`, 10 au plus ; la sélection s’affiche en liste.
+ * Par défaut sur le formulaire d’ajout (step-two), réutilisable pour l’édition.
+ * @param {{ inputId?: string, containerId?: string, listId?: string, errorId?: string }} [options={}]
+ * @returns {void}
+ */
+export function setupExtraImagesField({
+  inputId = "images",
+  containerId = "form-group-images",
+  listId = "images-list",
+  errorId = ERROR_IDS.images
+} = {}) {
+  const input = document.getElementById(inputId);
+  const container = document.getElementById(containerId);
+  const list = document.getElementById(listId);
+  const label = container?.querySelector(".upload-label");
+  if (!input || !container || !list) return;
+
+  label?.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") input.click();
+  });
+
+  input.addEventListener("change", () => {
+    clearErrorMessage(errorId);
+    list.innerHTML = "";
+
+    const files = [...(input.files || [])];
+    const message = files.length > MAX_EXTRA_IMAGES
+      ? UI_ERROR_MESSAGES.imagesMax
+      : files.map(validateImageFile).find(v => !v.ok)?.message;
+
+    if (message) {
+      input.value = "";
+      renderErrorMessage(container, errorId, message);
+      label?.focus();
+      return;
+    }
+
+    files.forEach(file => list.appendChild(createElement("li", {}, cleanFileName(file.name))));
+  });
+}
+
+
+/**
+ * Monte la logique du champ image de l’upload (step-two) :
+ * sélection, glisser-déposer sur la zone image, ou collage (Ctrl+V) tant que step-two est affiché.
+ * Une image trop lourde (ou trop grande) est ré-encodée avant d’être prévisualisée.
  * @returns {void}
  */
 export function setupImageField() {
@@ -779,8 +2284,9 @@ export function setupImageField() {
     clearErrorMessage(ERROR_IDS.image);
     const file = fileInput.files[0];
 
+    // Trop lourde : compressée par `prepareImageFile`, pas refusée
     const v = validateImageFile(file);
-    if (!v.ok) {
+    if (!v.ok && v.reason !== "size") {
       revokePreviewURL(fileInput);
       fileInput.value = "";
       resetImageField();
@@ -789,7 +2295,7 @@ export function setupImageField() {
       return;
     }
 
-    renderImagePreview(fileInput, container, file);
+    prepareImageFile(fileInput, container, file);
   });
 
   const validatePresence = () => {
@@ -806,14 +2312,50 @@ export function setupImageField() {
   });
 
   fileInput.addEventListener("change", validatePresence);
+
+  // Image déposée ou collée → placée dans l’input, puis même traitement qu’une sélection
+  const useFile = (file) => {
+    replaceInputFile(fileInput, file);
+    fileInput.dispatchEvent(new Event("change"));
+  };
+
+  container.addEventListener("dragover", (e) => {
+    e.preventDefault();
+    container.classList.add("is-dragover");
+  });
+  container.addEventListener("dragleave", (e) => {
+    if (!container.contains(e.relatedTarget)) container.classList.remove("is-dragover");
+  });
+  container.addEventListener("drop", (e) => {
+    e.preventDefault();
+    container.classList.remove("is-dragover");
+    const file = e.dataTransfer?.files?.[0];
+    if (file) useFile(file);
+  });
+
+  // Un collage de texte (titre, détails) reste normal : seul un fichier est intercepté
+  const stepTwo = document.getElementById("step-two");
+  document.addEventListener("paste", (e) => {
+    if (!stepTwo || getComputedStyle(stepTwo).display === "none") return;
+    const file = e.clipboardData?.files?.[0];
+    if (!file) return;
+    e.preventDefault();
+    useFile(file);
+  });
 }
 
 
 /** Monte la logique du champ titre: nettoyage, validation.
+ * Par défaut sur le formulaire d’ajout (step-two), réutilisable pour l’édition.
+ * @param {{ inputId?: string, containerId?: string, errorId?: string }} [options={}]
  * @returns {void}
  */
-export function setupTitleField() {
-  const input = document.getElementById("title");
+export function setupTitleField({
+  inputId = "title",
+  containerId = "form-group-main",
+  errorId = ERROR_IDS.title
+} = {}) {
+  const input = document.getElementById(inputId);
   if (!input) return;
 
   input.setAttribute("maxlength", "100");
@@ -855,7 +2397,7 @@ export function setupTitleField() {
     validate();
   });
 
-  const container = document.getElementById("form-group-main");
+  const container = document.getElementById(containerId);
   const touched = () => input.dataset.touched === "true";
   const markTouched = () => { input.dataset.touched = "true"; };
 
@@ -863,12 +2405,12 @@ export function setupTitleField() {
     const v = input.value.trim();
     if (!v) {
       touched()
-        ? renderErrorMessage(container, ERROR_IDS.title, UI_ERROR_MESSAGES.title)
-        : clearErrorMessage(ERROR_IDS.title);
+        ? renderErrorMessage(container, errorId, UI_ERROR_MESSAGES.title)
+        : clearErrorMessage(errorId);
       return;
     }
 
-    clearErrorMessage(ERROR_IDS.title);
+    clearErrorMessage(errorId);
   };
 
   input.addEventListener("focus", markTouched);
@@ -897,21 +2439,27 @@ function resetTitleField() {
 
 
 /** Active la validation de la catégorie (message si vide).
+ * Par défaut sur le formulaire d’ajout (step-two), réutilisable pour l’édition.
+ * @param {{ selectId?: string, containerId?: string, errorId?: string }} [options={}]
  * @returns {void}
  */
-export function setupCategoryValidation() {
-  const categoryInput = document.getElementById("category");
+export function setupCategoryValidation({
+  selectId = "category",
+  containerId = "form-group-footer",
+  errorId = ERROR_IDS.category
+} = {}) {
+  const categoryInput = document.getElementById(selectId);
   if (!categoryInput) return;
   
-  const container = document.getElementById("form-group-footer");
+  const container = document.getElementById(containerId);
   
   const validate = () => {
     if (categoryInput.value === "") {
-      renderErrorMessage(container, ERROR_IDS.category, UI_ERROR_MESSAGES.category);
+      renderErrorMessage(container, errorId, UI_ERROR_MESSAGES.category);
       return;
     }
     
-    clearErrorMessage(ERROR_IDS.category);
+    clearErrorMessage(errorId);
   };
   
   categoryInput.addEventListener("change", validate);
@@ -970,51 +2518,148 @@ export function setupUploadButtonState() {
 
 /** ---- Chargement des catégories ---- */
 
-/** Charge les catégories dans le <select> du step-two.
- * @returns {Promise<void>}
+/**
+ * Remplit un <select> de catégories (option vide masquée + une option par catégorie)
+ * en conservant la valeur sélectionnée si elle existe toujours.
+ * @param {HTMLSelectElement} categorySelect
+ * @param {Category[]} categories
+ * @returns {void}
  */
-export async function loadCategoryOptions() {
-  const categorySelect = document.getElementById("category");
+function fillCategoryOptions(categorySelect, categories) {
+  const previous = categorySelect.value;
+  categorySelect.innerHTML = "";
+
+  const emptyOption = document.createElement("option");
+  emptyOption.value = "";
+  emptyOption.disabled = true;
+  emptyOption.selected = true;
+  emptyOption.hidden = true;
+
+  categorySelect.appendChild(emptyOption);
+
+  categories.forEach(category => {
+    const option = document.createElement("option");
+    option.value = category.id;
+    option.textContent = category.name;
+
+    categorySelect.appendChild(option);
+  });
+
+  if (categories.some(c => String(c.id) === previous)) categorySelect.value = previous;
+  categorySelect.dataset.loaded = "true";
+}
+
+
+/** Charge les catégories dans un <select> (par défaut celui du step-two).
+ * @param {{ selectId?: string, errorId?: string }} [options={}]
+ * @returns {Promise<void>}
+ */
+export async function loadCategoryOptions({
+  selectId = "category",
+  errorId = ERROR_IDS.category
+} = {}) {
+  const categorySelect = document.getElementById(selectId);
   if (!categorySelect) return;
   
   try {
     if (categorySelect.dataset.loaded === "true" && categorySelect.options.length > 1) {
-      clearErrorMessage(ERROR_IDS.category);
+      clearErrorMessage(errorId);
       return;  
     }
     
     const categories = await getCategories();
-    
-    categorySelect.innerHTML = "";
+    fillCategoryOptions(categorySelect, categories);
+
+  } catch {
+    renderErrorMessage(
+      categorySelect.closest(".select-wrapper") || ERROR_TARGETS.categories,
+      errorId,
+      UI_ERROR_MESSAGES.categories
+    );
+  }
+}
 
-    const emptyOption = document.createElement("option");
-    emptyOption.value = "";
-    emptyOption.disabled = true;
-    emptyOption.selected = true;
-    emptyOption.hidden = true;
 
-    categorySelect.appendChild(emptyOption);
+/** ---- Soumission upload ---- */
+
+/**
+ * Complète `work.category` avec le nom de l’option sélectionnée
+ * si l’API ne renvoie que `categoryId` (cas du POST /works).
+ * @param {Work} work
+ * @param {HTMLSelectElement} categorySelect
+ * @returns {Work}
+ */
+function normalizeWork(work, categorySelect) {
+  if (work?.category?.name) return work;
+  const opt = categorySelect.selectedOptions[0];
+
+  return {
+    ...work,
+    category: {
+      id: Number(categorySelect.value),
+      name: opt?.textContent || ""
+    }
+  };
+}
 
-    categories.forEach(category => {
-      const option = document.createElement("option");
-      option.value = category.id;
-      option.textContent = category.name;
+/** Envoi en cours depuis step-two (annulable), ou null. */
+let uploadController = null;
 
-      categorySelect.appendChild(option);
-    });
-    categorySelect.dataset.loaded = "true";
 
-  } catch {
-    showUiError("categories", ERROR_IDS.category);
+/**
+ * Annule l’envoi en cours s’il y en a un (bouton "Annuler l’envoi", fermeture de la modale).
+ * @returns {void}
+ */
+function abortUpload() {
+  uploadController?.abort();
+}
+
+
+/**
+ * Affiche l’avancement de l’envoi sous le formulaire.
+ * @param {number|null} ratio - Entre 0 et 1, ou null si la taille totale est inconnue (barre indéterminée)
+ * @returns {void}
+ */
+function renderUploadProgress(ratio) {
+  const block = document.getElementById("upload-progress");
+  const bar = document.getElementById("upload-progress-bar");
+  const text = document.getElementById("upload-progress-text");
+  if (!block || !bar || !text) return;
+
+  block.hidden = false;
+
+  if (ratio === null) {
+    bar.removeAttribute("value");
+    text.textContent = "Envoi…";
+    return;
   }
+
+  const percent = Math.round(ratio * 100);
+  bar.value = percent;
+  // 100 % envoyé : l’API vérifie encore l’image et génère ses variantes
+  text.textContent = percent >= 100 ? "Traitement de l’image…" : `${percent} %`;
 }
 
 
-/** ---- Soumission upload ---- */
+/**
+ * Masque et remet à zéro la progression de l’envoi.
+ * @returns {void}
+ */
+function resetUploadProgress() {
+  const block = document.getElementById("upload-progress");
+  const bar = document.getElementById("upload-progress-bar");
+  const text = document.getElementById("upload-progress-text");
+
+  if (block) block.hidden = true;
+  if (bar) bar.value = 0;
+  if (text) text.textContent = "";
+}
+
 
 /**
- * Soumet l’upload (FormData), met à jour les galeries
- * et appelle le callback fourni avec le work créé.
+ * Soumet l’upload (FormData, avec statut et date de publication), met à jour les galeries
+ * (la galerie publique seulement si le projet est public) et appelle le callback fourni avec le work créé.
+ * La progression de l’envoi est affichée, et l’envoi peut être annulé.
  *
  * @param {(work: Work) => void} [onCreated] - Callback exécuté après création réussie
  * @returns {void}
@@ -1027,9 +2672,13 @@ export function setupUploadSubmit(onCreated) {
   const fileInput = document.getElementById("image");
   const titleInput = document.getElementById("title");
   const categorySel = document.getElementById("category");
+  const imagesInput = document.getElementById("images");
+
+  form.querySelector(".upload-cancel-btn")?.addEventListener("click", abortUpload);
 
   form.addEventListener("submit", async (e) => {
     e.preventDefault();
+    if (uploadController) return;
     
     const submitBtn = form.querySelector(".btn-form-validate");
 
@@ -1041,41 +2690,1155 @@ export function setupUploadSubmit(onCreated) {
     const v = validateImageFile(file);
     if (!v.ok) return;
 
-    const normalizeWork = (work) => {
-      if (work?.category?.name) return work;
-      const opt = categorySel.selectedOptions[0];
+    const fd = new FormData();
+    fd.append("image", file);
+    fd.append("title", title);
+    fd.append("category", category);
+    appendWorkDetails(fd);
+    appendWorkStatus(fd);
+    [...(imagesInput?.files || [])].forEach(extra => fd.append("images", extra));
+
+    submitBtn.disabled = true;
+    clearErrorMessage(ERROR_IDS.upload);
+    uploadController = new AbortController();
+    renderUploadProgress(0);
+    try {
+      const token = localStorage.getItem("token");
+      const created = await createWork(fd, token, {
+        signal: uploadController.signal,
+        onUploadProgress: renderUploadProgress
+      });
+      const work = normalizeWork(created, categorySel);
+
+      modalGallery?.appendChild(createModalFigure(work));
+      if (isWorkPublic(work)) mainGallery?.appendChild(createWorkFigure(work));
+      updateMoveButtons();
+
+      if (typeof onCreated === "function") onCreated(work);
+
+      document.querySelector(".modal-icon-close")?.click();
+
+    } catch (error) {
+      if (error?.name === "AbortError") {
+        // Fermeture de la modale : le formulaire est déjà réinitialisé, rien à afficher
+        if (getComputedStyle(document.getElementById("step-two")).display === "none") return;
+        renderErrorMessage(ERROR_TARGETS.upload, ERROR_IDS.upload, UI_ERROR_MESSAGES.uploadCancelled);
+        submitBtn.disabled = false;
+        submitBtn.focus();
+        return;
+      }
+
+      const imageError = IMAGE_ERROR_KEYS[error?.status];
+      if (renderFieldErrors(error, UPLOAD_FIELD_TARGETS)) return;
+
+      // 413/415 : `details.field` indique si c’est l’image principale ou une image supplémentaire
+      const imageTarget = error?.details?.field === "images"
+        ? UPLOAD_FIELD_TARGETS.images
+        : UPLOAD_FIELD_TARGETS.image;
+      imageError
+        ? renderErrorMessage(imageTarget.container, imageTarget.id, UI_ERROR_MESSAGES[imageError])
+        : showUiError("upload", ERROR_IDS.upload);
+    } finally {
+      uploadController = null;
+      resetUploadProgress();
+      submitBtn.disabled = false;
+    }
+  });
+}
+
+/** =========================
+ *  Bloc: Modale – Recadrage (step-crop)
+ *  ========================= */
+
+/** Déplacement du cadre au clavier, en fraction de l’image par appui sur une flèche. */
+const CROP_KEY_STEP = 0.02;
+
+
+/**
+ * Cadre de recadrage dans le repère de l’image pivotée : le plus grand cadre au format demandé,
+ * réduit par le zoom, centré au plus près de (centerX, centerY) sans sortir de l’image.
+ * @param {{image: HTMLImageElement, rotation: number, ratio: number|null, zoom: number, centerX: number, centerY: number}} settings
+ * @returns {{x:number, y:number, width:number, height:number}}
+ */
+function getCropRect({ image, rotation, ratio, zoom, centerX, centerY }) {
+  const { width: imageWidth, height: imageHeight } = getRotatedSize(image, rotation);
+  const format = ratio || imageWidth / imageHeight;
+
+  const fullWidth = imageWidth / imageHeight > format ? imageHeight * format : imageWidth;
+  const width = fullWidth / zoom;
+  const height = fullWidth / format / zoom;
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+
+  return {
+    x: clamp(centerX * imageWidth - width / 2, imageWidth - width),
+    y: clamp(centerY * imageHeight - height / 2, imageHeight - height),
+    width,
+    height
+  };
+}
+
+
+/**
+ * Dessine l’image pivotée entière dans le canvas d’aperçu, assombrie hors du cadre de recadrage.
+ * @param {HTMLCanvasElement} canvas
+ * @param {Parameters<typeof getCropRect>[0]} settings
+ * @returns {{scale:number, offsetX:number, offsetY:number}} Passage du repère de l’image à celui du canvas
+ */
+function drawCropPreview(canvas, settings) {
+  const { width, height } = getRotatedSize(settings.image, settings.rotation);
+  const scale = Math.min(canvas.width / width, canvas.height / height);
+  const offsetX = (canvas.width - width * scale) / 2;
+  const offsetY = (canvas.height - height * scale) / 2;
+  const rect = getCropRect(settings);
+  const ctx = canvas.getContext("2d");
+
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  ctx.save();
+  ctx.translate(offsetX, offsetY);
+  ctx.scale(scale, scale);
+  drawRotatedImage(ctx, settings.image, settings.rotation);
+  ctx.restore();
+
+  const frame = [offsetX + rect.x * scale, offsetY + rect.y * scale, rect.width * scale, rect.height * scale];
+  ctx.fillStyle = "rgba(0, 0, 0, 0.55)";
+  ctx.beginPath();
+  ctx.rect(offsetX, offsetY, width * scale, height * scale);
+  ctx.rect(...frame);
+  ctx.fill("evenodd");
+  ctx.strokeStyle = "#fff";
+  ctx.lineWidth = 2;
+  ctx.strokeRect(...frame);
+
+  return { scale, offsetX, offsetY };
+}
+
+
+/**
+ * Monte l’étape de recadrage de l’image du formulaire d’ajout (step-crop),
+ * ouverte par "Recadrer / pivoter" sous la prévisualisation :
+ * - Formats : original, galerie (3:4, celui des figures de la galerie), carré, paysage ;
+ *   rotation par quart de tour ; zoom
+ * - Cadre déplacé en le glissant (souris/doigt) ou au clavier (flèches, canvas focus)
+ * - "Appliquer" ré-encode le fichier d’origine (compressé sous 4 Mo si besoin) et remplace l’image
+ *   du formulaire ; le retour arrière abandonne les réglages
+ * @returns {void}
+ */
+export function setupImageCrop() {
+  const stepTwo = document.getElementById("step-two");
+  const stepCrop = document.getElementById("step-crop");
+  const container = document.getElementById("form-group-header");
+  const fileInput = document.getElementById("image");
+  const canvas = document.getElementById("crop-canvas");
+  const zoomInput = document.getElementById("crop-zoom");
+  const sizeInfo = document.getElementById("crop-size-info");
+  const applyBtn = stepCrop?.querySelector(".btn-crop-apply");
+  const btnBack = stepCrop?.querySelector(".modal-icon-back");
+
+  if (!stepTwo || !stepCrop || !container || !fileInput || !canvas || !zoomInput || !sizeInfo || !applyBtn) return;
+
+  let draft = null;
+  let view = null;
+  let drag = null;
+
+  const render = () => {
+    view = drawCropPreview(canvas, draft);
+    const rect = getCropRect(draft);
+    sizeInfo.textContent = `Original : ${formatFileSize(draft.file.size)}, `
+      + `${draft.image.naturalWidth} × ${draft.image.naturalHeight} px — `
+      + `recadrée : ${Math.round(rect.width)} × ${Math.round(rect.height)} px`;
+  };
+
+  // Le centre est recalculé depuis le cadre borné : il ne "sort" pas de l’image après un zoom ou un format
+  const moveFrame = (dx, dy) => {
+    const { width, height } = getRotatedSize(draft.image, draft.rotation);
+    const rect = getCropRect({ ...draft, centerX: draft.centerX + dx, centerY: draft.centerY + dy });
+    draft.centerX = (rect.x + rect.width / 2) / width;
+    draft.centerY = (rect.y + rect.height / 2) / height;
+    render();
+  };
+
+  const syncControls = () => {
+    stepCrop.querySelectorAll(".crop-ratio").forEach(btn => {
+      const active = (Number(btn.dataset.ratio) || null) === draft.ratio;
+      btn.classList.toggle("active", active);
+      btn.setAttribute("aria-pressed", String(active));
+    });
+    zoomInput.value = String(draft.zoom);
+  };
+
+  const backToForm = () => {
+    stepCrop.style.display = "none";
+    stepTwo.style.display = "flex";
+    clearErrorMessage(ERROR_IDS.crop);
+    draft = null;
+    container.querySelector(".btn-crop-open")?.focus();
+    trapFocusInModal();
+  };
+
+  container.addEventListener("click", (e) => {
+    if (!e.target.closest(".btn-crop-open") || !imageSource) return;
+
+    draft = { ...imageSource };
+    stepTwo.style.display = "none";
+    stepCrop.style.display = "flex";
+    syncControls();
+    render();
+    canvas.focus();
+    trapFocusInModal();
+  });
+
+  btnBack?.addEventListener("click", backToForm);
+
+  stepCrop.querySelectorAll(".crop-ratio").forEach(btn => {
+    btn.addEventListener("click", () => {
+      if (!draft) return;
+      draft.ratio = Number(btn.dataset.ratio) || null;
+      syncControls();
+      moveFrame(0, 0);
+    });
+  });
+
+  stepCrop.querySelectorAll(".crop-rotate-btn").forEach(btn => {
+    btn.addEventListener("click", () => {
+      if (!draft) return;
+      draft.rotation = (draft.rotation + Number(btn.dataset.rotate) + 360) % 360;
+      draft.centerX = 0.5;
+      draft.centerY = 0.5;
+      render();
+    });
+  });
+
+  zoomInput.addEventListener("input", () => {
+    if (!draft) return;
+    draft.zoom = Number(zoomInput.value);
+    moveFrame(0, 0);
+  });
+
+  // Glisser : déplacement en px affichés → px du canvas → px de l’image → fraction de l’image
+  canvas.addEventListener("pointerdown", (e) => {
+    if (!draft || !view) return;
+    drag = { x: e.clientX, y: e.clientY };
+    canvas.setPointerCapture?.(e.pointerId);
+  });
+
+  canvas.addEventListener("pointermove", (e) => {
+    if (!drag) return;
+    const { width, height } = getRotatedSize(draft.image, draft.rotation);
+    const toImage = canvas.width / (canvas.getBoundingClientRect().width || canvas.width) / view.scale;
+
+    moveFrame(((e.clientX - drag.x) * toImage) / width, ((e.clientY - drag.y) * toImage) / height);
+    drag = { x: e.clientX, y: e.clientY };
+  });
+
+  ["pointerup", "pointercancel"].forEach(type => canvas.addEventListener(type, () => { drag = null; }));
+
+  canvas.addEventListener("keydown", (e) => {
+    const moves = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    if (!draft || !moves[e.key]) return;
+    e.preventDefault();
+    moveFrame(moves[e.key][0] * CROP_KEY_STEP, moves[e.key][1] * CROP_KEY_STEP);
+  });
+
+  applyBtn.addEventListener("click", async () => {
+    if (!draft) return;
+    const settings = draft;
+    const untouched = settings.rotation === 0 && !settings.ratio && settings.zoom === 1;
+
+    clearErrorMessage(ERROR_IDS.crop);
+    applyBtn.disabled = true;
+    try {
+      // Sans réglage : on garde l’image déjà préparée (d’origine ou compressée)
+      const result = untouched
+        ? fileInput.files[0]
+        : await encodeImage(settings.image, settings.file, { rotation: settings.rotation, crop: getCropRect(settings) });
+
+      // Retour arrière, fermeture de la modale ou autre image choisie pendant l’encodage
+      if (draft !== settings || imageSource?.file !== settings.file) return;
+
+      imageSource = settings;
+      replaceInputFile(fileInput, result);
+      renderImagePreview(fileInput, container, result);
+      renderImageTools(container, settings.file.size, result.size);
+      backToForm();
+
+    } catch {
+      renderErrorMessage(stepCrop.querySelector(".crop-toolbar"), ERROR_IDS.crop, UI_ERROR_MESSAGES.imageProcess);
+    } finally {
+      applyBtn.disabled = false;
+    }
+  });
+}
+
+/** =========================
+ *  Bloc: Modale – Ajout groupé (step-batch)
+ *  ========================= */
+
+/** Photos par envoi groupé (même limite que l’API). */
+const MAX_BATCH_FILES = 20;
+
+/**
+ * @typedef {Object} BatchItem
+ * @property {number} key - Identifiant de la ligne (`data-key`)
+ * @property {File} file
+ * @property {string} previewUrl - URL de la miniature (à libérer)
+ */
+
+/** Photos en attente d’envoi, dans l’ordre des lignes. @type {BatchItem[]} */
+let batchItems = [];
+let lastBatchKey = 0;
+
+/** Catégories proposées sur chaque ligne (chargées à l’ouverture du step). @type {Category[]} */
+let batchCategories = [];
+
+
+/**
+ * Message affiché sous la ligne d’une photo refusée par l’API.
+ * @param {{code?: string, message?: string, details?: Object}} error - Erreur du résultat (`results[].error`)
+ * @returns {string}
+ */
+function batchErrorMessage(error) {
+  if (error?.code === "UNSUPPORTED_MEDIA_TYPE") return UI_ERROR_MESSAGES.extension;
+  if (error?.code === "PAYLOAD_TOO_LARGE") return UI_ERROR_MESSAGES.size;
+
+  const fields = (error?.details?.fields || []).map(f => f.field);
+  if (fields.includes("files")) return UI_ERROR_MESSAGES.imageInvalid;
+  if (fields.includes("title")) return UI_ERROR_MESSAGES.title;
+  if (fields.includes("category")) return UI_ERROR_MESSAGES.category;
+  return error?.details?.fields?.[0]?.message || UI_ERROR_MESSAGES.upload;
+}
+
+
+/**
+ * Ligne d’une photo : miniature, titre (pré-rempli depuis le nom du fichier), catégorie, bouton retirer.
+ * @param {BatchItem} item
+ * @returns {HTMLLIElement}
+ */
+function createBatchRow(item) {
+  const name = cleanFileName(item.file.name).trim();
+  const row = createElement("li", { class: "batch-row", "data-key": String(item.key) });
+
+  const preview = createElement("img", { src: item.previewUrl, alt: "" });
+
+  const title = createElement("input", { type: "text", class: "batch-title", "aria-label": `Titre de la photo ${item.file.name}` });
+  title.value = name;
+
+  const category = createElement("select", { class: "batch-category", "aria-label": `Catégorie de la photo ${item.file.name}` });
+  fillCategoryOptions(category, batchCategories);
+
+  const remove = createElement("button", { type: "button", class: "batch-remove-btn", "aria-label": `Retirer la photo ${item.file.name}` });
+  remove.appendChild(createElement("i", { class: "fa-solid fa-trash-can", "aria-hidden": "true" }));
+
+  row.append(preview, title, remove, category);
+  return row;
+}
+
+
+/** Active "Envoyer" s’il y a au moins une photo et que chaque ligne a un titre et une catégorie.
+ * @returns {void}
+ */
+function updateBatchButtonState() {
+  const submitBtn = document.querySelector("#batch-form .btn-form-validate");
+  if (!submitBtn) return;
+
+  const rows = [...document.querySelectorAll("#batch-list .batch-row")];
+  const isValid = rows.length > 0 && rows.every(row =>
+    row.querySelector(".batch-title").value.trim() !== "" && row.querySelector(".batch-category").value !== ""
+  );
+
+  submitBtn.disabled = !isValid;
+  submitBtn.classList.toggle("btn-form-is-valid", isValid);
+  submitBtn.classList.toggle("btn-form-not-valid", !isValid);
+}
+
+
+/**
+ * Retire une photo de la liste (ligne + miniature).
+ * @param {number} key
+ * @returns {void}
+ */
+function removeBatchItem(key) {
+  const item = batchItems.find(i => i.key === key);
+  if (!item) return;
+
+  URL.revokeObjectURL(item.previewUrl);
+  batchItems = batchItems.filter(i => i !== item);
+  document.querySelector(`#batch-list .batch-row[data-key="${key}"]`)?.remove();
+}
+
+
+/**
+ * Ajoute des photos à la liste. Les fichiers invalides (type, poids) et ceux au-delà
+ * de `MAX_BATCH_FILES` sont écartés, avec un message sous la zone de dépôt.
+ * @param {FileList|File[]} files
+ * @returns {void}
+ */
+function addBatchFiles(files) {
+  const list = document.getElementById("batch-list");
+  const dropzone = document.getElementById("batch-group-files");
+  if (!list || !dropzone) return;
+
+  clearErrorMessage(ERROR_IDS.batchFiles);
+  const messages = [];
+  let tooMany = false;
+
+  [...files].forEach((file) => {
+    const v = validateImageFile(file);
+    if (!v.ok) {
+      messages.push(`${file.name} : ${v.message}`);
+      return;
+    }
+    if (batchItems.length >= MAX_BATCH_FILES) {
+      tooMany = true;
+      return;
+    }
+    const item = { key: ++lastBatchKey, file, previewUrl: URL.createObjectURL(file) };
+    batchItems.push(item);
+    list.appendChild(createBatchRow(item));
+  });
+
+  if (tooMany) messages.push(UI_ERROR_MESSAGES.batchMax);
+  if (messages.length) renderErrorMessage(dropzone, ERROR_IDS.batchFiles, messages.join(" "));
+  updateBatchButtonState();
+}
+
+
+/** Vide le step-batch (photos, miniatures, messages).
+ * @returns {void}
+ */
+function resetBatchUpload() {
+  batchItems.forEach(item => URL.revokeObjectURL(item.previewUrl));
+  batchItems = [];
+
+  const list = document.getElementById("batch-list");
+  const input = document.getElementById("batch-files");
+  const summary = document.getElementById("batch-summary");
+  if (list) list.innerHTML = "";
+  if (input) input.value = "";
+  if (summary) summary.textContent = "";
+
+  clearErrorMessage(ERROR_IDS.batch, ERROR_IDS.batchFiles);
+  updateBatchButtonState();
+}
+
 
+/**
+ * Monte l’ajout groupé de projets (step-batch) :
+ * - Ouverture depuis step-one (`.btn-batch-upload`), catégories chargées via l’API
+ * - Photos choisies (sélection multiple) ou déposées sur la zone, une ligne par photo
+ *   (titre pré-rempli avec `cleanFileName`, catégorie, retirer)
+ * - Envoi en une requête (`createWorksBatch`) : les projets créés quittent la liste et rejoignent les galeries,
+ *   les refusés restent avec la raison sous leur ligne, pour être corrigés et renvoyés
+ * - Tout est créé → la modale se ferme, comme après un ajout simple
+ *
+ * @param {(works: Work[]) => void} [onCreated] - Reçoit les projets créés par un envoi
+ * @returns {void}
+ */
+export function setupBatchUpload(onCreated) {
+  const stepOne = document.getElementById("step-one");
+  const stepBatch = document.getElementById("step-batch");
+  const btnOpen = document.querySelector(".btn-batch-upload");
+  const btnBack = stepBatch?.querySelector(".modal-icon-back");
+  const form = document.getElementById("batch-form");
+  const input = document.getElementById("batch-files");
+  const dropzone = document.getElementById("batch-group-files");
+  const list = document.getElementById("batch-list");
+  const summary = document.getElementById("batch-summary");
+  const modalGallery = document.querySelector(".modal-gallery-content");
+
+  if (!stepOne || !stepBatch || !btnOpen || !form || !input || !dropzone || !list) return;
+  const label = dropzone.querySelector(".upload-label");
+  const submitBtn = form.querySelector(".btn-form-validate");
+
+  btnOpen.addEventListener("click", async () => {
+    stepOne.style.display = "none";
+    stepBatch.style.display = "flex";
+    resetBatchUpload();
+
+    try {
+      batchCategories = await getCategories();
+    } catch {
+      renderErrorMessage(dropzone, ERROR_IDS.batchFiles, UI_ERROR_MESSAGES.categories);
+    }
+
+    label?.focus();
+    trapFocusInModal();
+  });
+
+  btnBack?.addEventListener("click", () => {
+    stepBatch.style.display = "none";
+    stepOne.style.display = "flex";
+    resetBatchUpload();
+    const f = stepOne.querySelectorAll(focusableSelectors); if (f.length) f[0].focus();
+    trapFocusInModal();
+  });
+
+  label?.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") input.click();
+  });
+
+  input.addEventListener("change", () => {
+    addBatchFiles(input.files || []);
+    input.value = "";
+  });
+
+  dropzone.addEventListener("dragover", (e) => {
+    e.preventDefault();
+    dropzone.classList.add("is-dragover");
+  });
+  dropzone.addEventListener("dragleave", () => dropzone.classList.remove("is-dragover"));
+  dropzone.addEventListener("drop", (e) => {
+    e.preventDefault();
+    dropzone.classList.remove("is-dragover");
+    addBatchFiles(e.dataTransfer?.files || []);
+  });
+
+  list.addEventListener("click", (e) => {
+    const btn = e.target.closest(".batch-remove-btn");
+    if (!btn) return;
+    removeBatchItem(Number(btn.closest(".batch-row").dataset.key));
+    updateBatchButtonState();
+    (list.querySelector(".batch-title") || label)?.focus();
+  });
+
+  // Une ligne modifiée n’affiche plus l’erreur de l’envoi précédent
+  const onRowChange = (e) => {
+    const row = e.target.closest(".batch-row");
+    if (row) clearErrorMessage(`error-batch-row-${row.dataset.key}`);
+    updateBatchButtonState();
+  };
+  list.addEventListener("input", onRowChange);
+  list.addEventListener("change", onRowChange);
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    if (submitBtn.disabled || !batchItems.length) return;
+
+    // Ordre des lignes = ordre des fichiers = `index` des résultats
+    const entries = batchItems.map(item => ({
+      item,
+      row: list.querySelector(`.batch-row[data-key="${item.key}"]`)
+    }));
+
+    const fd = new FormData();
+    const items = entries.map(({ item, row }) => {
+      fd.append("files", item.file);
       return {
-        ...work,
-        category: {
-          id: Number(category),
-          name: opt.textContent
-        }
+        title: row.querySelector(".batch-title").value.trim(),
+        category: Number(row.querySelector(".batch-category").value)
       };
-    };
+    });
+    fd.append("items", JSON.stringify(items));
+
+    entries.forEach(({ item }) => clearErrorMessage(`error-batch-row-${item.key}`));
+    clearErrorMessage(ERROR_IDS.batch, ERROR_IDS.batchFiles);
+    if (summary) summary.textContent = "";
+    submitBtn.disabled = true;
+
+    try {
+      const { results = [] } = await createWorksBatch(fd, localStorage.getItem("token"));
+      const created = [];
+
+      results.forEach(({ index, status, work, error }) => {
+        const entry = entries[index];
+        if (!entry) return;
+        if (status === "created") {
+          created.push(work);
+          removeBatchItem(entry.item.key);
+        } else {
+          renderErrorMessage(entry.row, `error-batch-row-${entry.item.key}`, batchErrorMessage(error));
+        }
+      });
+
+      // La galerie publique est rendue par `onCreated` (rechargement filtré)
+      created.forEach((work) => modalGallery?.appendChild(createModalFigure(work)));
+      updateMoveButtons();
+      if (created.length && typeof onCreated === "function") onCreated(created);
+
+      if (!batchItems.length) {
+        document.querySelector(".modal-icon-close")?.click();
+        return;
+      }
+      if (summary) summary.textContent = UI_ERROR_MESSAGES.batchRejected.replace("{count}", String(batchItems.length));
+      list.querySelector(".batch-title")?.focus();
+
+    } catch (error) {
+      // 413 : toute la requête est refusée à cause d’une photo (`details.index`)
+      const entry = error?.status === 413 ? entries[error.details?.index] : null;
+      if (entry) {
+        renderErrorMessage(entry.row, `error-batch-row-${entry.item.key}`, UI_ERROR_MESSAGES.size);
+      } else if (error?.fields?.files || error?.fields?.items) {
+        renderErrorMessage(dropzone, ERROR_IDS.batchFiles, error.fields.files || error.fields.items);
+      } else {
+        renderErrorMessage(ERROR_TARGETS.batch, ERROR_IDS.batch, UI_ERROR_MESSAGES.upload);
+      }
+    } finally {
+      updateBatchButtonState();
+    }
+  });
+}
+
+
+/** =========================
+ *  Bloc: Modale – Édition (step-edit)
+ *  ========================= */
+
+/** Options du champ "images supplémentaires" de l’édition. */
+const EDIT_EXTRA_IMAGES = {
+  inputId: "edit-images",
+  containerId: "edit-group-images",
+  listId: "edit-images-list",
+  errorId: ERROR_IDS.editImages
+};
+
+
+/**
+ * Réinitialise le formulaire d’édition :
+ * - Vide les champs, l’input file et la prévisualisation, les images supplémentaires
+ * - Oublie le projet en cours d’édition (`data-work-id`)
+ * - Supprime les messages d’erreur associés
+ *
+ * @returns {void}
+ */
+function resetEditForm() {
+  const form = document.getElementById("edit-form");
+  const fileInput = document.getElementById("edit-image");
+  const preview = document.getElementById("edit-preview");
+  const titleInput = document.getElementById("edit-title");
+  const categorySelect = document.getElementById("edit-category");
+  if (!form) return;
+
+  revokePreviewURL(fileInput);
+  if (fileInput) fileInput.value = "";
+  if (preview) {
+    preview.removeAttribute("src");
+    preview.alt = "";
+  }
+  if (titleInput) {
+    titleInput.value = "";
+    titleInput.dataset.touched = "false";
+  }
+  if (categorySelect) categorySelect.value = "";
+  fillWorkDetails(null, "edit-");
+  fillWorkStatus(null, "edit-");
+  resetExtraImagesField(EDIT_EXTRA_IMAGES);
+  const existingImages = document.getElementById("edit-existing-images");
+  if (existingImages) existingImages.innerHTML = "";
+  delete form.dataset.workId;
+
+  clearErrorMessage(
+    ERROR_IDS.edit,
+    ERROR_IDS.editImage,
+    ERROR_IDS.editTitle,
+    ERROR_IDS.editCategory,
+    ERROR_IDS.editDetails,
+    ERROR_IDS.editStatus
+  );
+}
+
+
+/**
+ * Affiche les images supplémentaires du projet édité, chacune avec une case "Retirer".
+ * Les projets de la liste ne les contiennent pas : elles sont chargées via `getWork`.
+ * @param {number|string} workId
+ * @returns {Promise<void>}
+ */
+async function renderExistingImages(workId) {
+  const form = document.getElementById("edit-form");
+  const list = document.getElementById("edit-existing-images");
+  if (!form || !list) return;
+
+  try {
+    const { images = [] } = await getWork(workId, localStorage.getItem("token"));
+    if (form.dataset.workId !== String(workId)) return;
+
+    list.innerHTML = "";
+    images.forEach((image, index) => {
+      const item = createElement("li");
+      const checkbox = createElement("input", {
+        type: "checkbox",
+        class: "remove-image",
+        id: `remove-image-${image.id}`,
+        value: String(image.id)
+      });
+      const label = createElement("label", { for: `remove-image-${image.id}` }, "Retirer");
+      item.append(createWorkImage({ ...image, title: `Image supplémentaire ${index + 1}` }, "thumbnail"), checkbox, label);
+      list.appendChild(item);
+    });
+
+  } catch {
+    if (form.dataset.workId !== String(workId)) return;
+    renderErrorMessage(`#${EDIT_EXTRA_IMAGES.containerId}`, ERROR_IDS.editImages, UI_ERROR_MESSAGES.workImages);
+  }
+}
+
+
+/**
+ * Met à jour l’état du bouton "Enregistrer" de l’édition (titre + catégorie requis).
+ * @returns {void}
+ */
+function updateEditButtonState() {
+  const form = document.getElementById("edit-form");
+  const titleInput = document.getElementById("edit-title");
+  const categorySelect = document.getElementById("edit-category");
+  const submitBtn = form?.querySelector(".btn-form-validate");
+  if (!titleInput || !categorySelect || !submitBtn) return;
+
+  const isValid = titleInput.value.trim().length > 0 && categorySelect.value !== "";
+
+  submitBtn.disabled = !isValid;
+  submitBtn.classList.toggle("btn-form-is-valid", isValid);
+  submitBtn.classList.toggle("btn-form-not-valid", !isValid);
+}
+
+
+/**
+ * Ouvre l’étape d’édition pré-remplie avec le projet donné.
+ * @param {Work} work
+ * @returns {Promise<void>}
+ */
+async function openEditStep(work) {
+  const stepOne = document.getElementById("step-one");
+  const stepEdit = document.getElementById("step-edit");
+  const form = document.getElementById("edit-form");
+  const preview = document.getElementById("edit-preview");
+  const titleInput = document.getElementById("edit-title");
+  const categorySelect = document.getElementById("edit-category");
+  if (!stepOne || !stepEdit || !form || !titleInput || !categorySelect) return;
+
+  resetEditForm();
+  form.dataset.workId = String(work.id);
+
+  if (preview) {
+    preview.src = work.imageUrl;
+    preview.alt = `Image actuelle du projet ${work.title}`;
+  }
+  titleInput.value = work.title || "";
+  fillWorkDetails(work, "edit-");
+  fillWorkStatus(work, "edit-");
+  renderExistingImages(work.id);
+
+  stepOne.style.display = "none";
+  stepEdit.style.display = "flex";
+
+  await loadCategoryOptions({ selectId: "edit-category", errorId: ERROR_IDS.editCategory });
+  categorySelect.value = String(work.category?.id ?? work.categoryId ?? "");
+  updateEditButtonState();
+
+  titleInput.focus();
+  trapFocusInModal();
+}
+
+
+/**
+ * Monte l’étape d’édition d’un projet (step-edit) :
+ * - Ouverture via les boutons `.edit-btn` de la galerie modale (délégation)
+ * - Remplacement optionnel de l’image (validée par `validateImageFile`)
+ * - Détails (vides = effacés), statut et date de publication, ajout d’images supplémentaires et retrait des images cochées
+ * - Validation titre/catégorie partagée avec step-two (`setupTitleField`, `setupCategoryValidation`)
+ * - Soumission via `updateWork`, puis remplacement des figures dans les deux galeries
+ *   (retirée de la galerie publique si le projet n’est plus public)
+ *
+ * @param {(id: number) => Work|undefined} findWork - Retrouve le projet courant par id
+ * @param {(work: Work) => void} [onUpdated] - Callback exécuté après modification réussie
+ * @returns {void}
+ */
+export function setupWorkEdit(findWork, onUpdated) {
+  const modalGallery = document.querySelector(".modal-gallery-content");
+  const stepOne = document.getElementById("step-one");
+  const stepEdit = document.getElementById("step-edit");
+  const form = document.getElementById("edit-form");
+  const fileInput = document.getElementById("edit-image");
+  const preview = document.getElementById("edit-preview");
+  const label = stepEdit?.querySelector(".upload-label");
+  const titleInput = document.getElementById("edit-title");
+  const categorySelect = document.getElementById("edit-category");
+  const btnBack = stepEdit?.querySelector(".modal-icon-back");
+
+  if (!modalGallery || !stepOne || !stepEdit || !form || !fileInput || !titleInput || !categorySelect) return;
+
+  setupTitleField({
+    inputId: "edit-title",
+    containerId: "edit-group-main",
+    errorId: ERROR_IDS.editTitle
+  });
+  setupCategoryValidation({
+    selectId: "edit-category",
+    containerId: "edit-group-footer",
+    errorId: ERROR_IDS.editCategory
+  });
+  setupExtraImagesField(EDIT_EXTRA_IMAGES);
+
+  modalGallery.addEventListener("click", (e) => {
+    const btn = e.target.closest(".edit-btn");
+    if (!btn) return;
+
+    const work = findWork(Number(btn.dataset.id));
+    if (work) openEditStep(work);
+  });
+
+  btnBack?.addEventListener("click", () => {
+    stepEdit.style.display = "none";
+    stepOne.style.display = "flex";
+    resetEditForm();
+    const f = stepOne.querySelectorAll(focusableSelectors); if (f.length) f[0].focus();
+    trapFocusInModal();
+  });
+
+  label?.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") fileInput.click();
+  });
+
+  fileInput.addEventListener("change", () => {
+    const file = fileInput.files?.[0];
+    if (!file) return;
+
+    clearErrorMessage(ERROR_IDS.editImage);
+
+    const v = validateImageFile(file);
+    if (!v.ok) {
+      fileInput.value = "";
+      renderErrorMessage(document.getElementById("edit-group-header"), ERROR_IDS.editImage, v.message);
+      label?.focus();
+      return;
+    }
+
+    revokePreviewURL(fileInput);
+    const url = URL.createObjectURL(file);
+    fileInput.dataset.previewURL = url;
+    if (preview) {
+      preview.src = url;
+      preview.alt = `Prévisualisation de l'image ${cleanFileName(file.name)}`;
+    }
+  });
+
+  titleInput.addEventListener("input", updateEditButtonState);
+  categorySelect.addEventListener("change", updateEditButtonState);
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    const submitBtn = form.querySelector(".btn-form-validate");
+    const workId = form.dataset.workId;
+    const file = fileInput.files?.[0] || null;
+    const title = titleInput.value.trim();
+    const category = categorySelect.value;
+
+    if (!workId || !title || !category) return;
+    if (file && !validateImageFile(file).ok) return;
 
     const fd = new FormData();
-    fd.append("image", file);
     fd.append("title", title);
     fd.append("category", category);
+    if (file) fd.append("image", file);
+    appendWorkDetails(fd, "edit-", true);
+    appendWorkStatus(fd, "edit-", true);
+    const extraImages = [...(document.getElementById(EDIT_EXTRA_IMAGES.inputId)?.files || [])];
+    extraImages.forEach(extra => fd.append("images", extra));
+    const removeImages = [...form.querySelectorAll(".remove-image:checked")].map(box => box.value);
+    if (removeImages.length) fd.append("removeImages", removeImages.join(","));
 
     submitBtn.disabled = true;
     try {
       const token = localStorage.getItem("token");
-      const created = await createWork(fd, token);
-      const work = normalizeWork(created);
+      const updated = await updateWork(workId, fd, token);
+      const work = normalizeWork(updated, categorySelect);
+
+      modalGallery.querySelector(`figure[data-id="${workId}"]`)
+        ?.replaceWith(createModalFigure(work));
+      const galleryFigure = document.querySelector(`.gallery figure[data-id="${workId}"]`);
+      isWorkPublic(work)
+        ? galleryFigure?.replaceWith(createWorkFigure(work))
+        : galleryFigure?.remove();
+      updateMoveButtons();
+
+      if (typeof onUpdated === "function") onUpdated(work);
+
+      btnBack?.click();
+
+    } catch (error) {
+      const imageError = (file || extraImages.length) && IMAGE_ERROR_KEYS[error?.status];
+      if (renderFieldErrors(error, EDIT_FIELD_TARGETS)) return;
+
+      if (imageError) {
+        const imageTarget = error?.details?.field === "images"
+          ? EDIT_FIELD_TARGETS.images
+          : EDIT_FIELD_TARGETS.image;
+        renderErrorMessage(imageTarget.container, imageTarget.id, UI_ERROR_MESSAGES[imageError]);
+      } else {
+        error?.status === 403
+          ? renderErrorMessage(ERROR_TARGETS.update, ERROR_IDS.edit, UI_ERROR_MESSAGES.updateForbidden)
+          : showUiError("update", ERROR_IDS.edit);
+      }
+    } finally {
+      updateEditButtonState();
+    }
+  });
+}
 
-      modalGallery?.appendChild(createWorkFigure(work, { withDelete: true }));
-      mainGallery?.appendChild(createWorkFigure(work));
 
-      if (typeof onCreated === "function") onCreated(work);
+/** =========================
+ *  Bloc: Modale – Catégories (step-categories)
+ *  ========================= */
 
-      document.querySelector(".modal-icon-close")?.click();
+/**
+ * @typedef {Object} CategoryChange
+ * @property {"created"|"renamed"|"deleted"} type
+ * @property {Category} category - Catégorie créée, renommée ou supprimée
+ * @property {string} [previousName] - (renamed) ancien nom
+ * @property {number} [reassignTo] - (deleted) catégorie qui récupère les projets
+ */
+
+/** Catégories affichées dans le panneau de gestion. */
+let managedCategories = [];
+
+
+/**
+ * Réinitialise le panneau de gestion des catégories (champ d’ajout + erreurs).
+ * @returns {void}
+ */
+function resetCategoryManager() {
+  const input = document.getElementById("category-name");
+  if (input) input.value = "";
+
+  clearErrorMessage(ERROR_IDS.categoryName, ERROR_IDS.categoryList);
+}
+
+
+/**
+ * Message UI correspondant à l’échec d’une création/renommage de catégorie
+ * (message de l’API pour le champ `name` s’il y en a un).
+ * @param {Error & {status?: number, fields?: Record<string, string>}} error
+ * @returns {string}
+ */
+function categoryErrorMessage(error) {
+  if (error?.fields?.name) return error.fields.name;
+
+  return error?.status === 409
+    ? UI_ERROR_MESSAGES.categoryExists
+    : UI_ERROR_MESSAGES.categorySave;
+}
+
+
+/**
+ * Répercute `managedCategories` dans les <select> d’ajout et d’édition.
+ * @returns {void}
+ */
+function syncCategorySelects() {
+  ["category", "edit-category"].forEach(id => {
+    const select = document.getElementById(id);
+    if (select) fillCategoryOptions(select, managedCategories);
+  });
+}
+
+
+/**
+ * Crée une ligne du panneau : champ nom + bouton "Renommer" + bouton supprimer.
+ * @param {Category} category
+ * @returns {HTMLLIElement}
+ */
+function createCategoryRow(category) {
+  const row = createElement("li", { class: "category-row", "data-id": String(category.id) });
+
+  const input = createElement("input", {
+    type: "text",
+    class: "category-row-name",
+    maxlength: "50",
+    "aria-label": `Nom de la catégorie ${category.name}`
+  });
+  input.value = category.name;
+
+  const renameBtn = createElement("button", { type: "button", class: "category-rename-btn" }, "Renommer");
+
+  const deleteBtn = createElement("button", {
+    type: "button",
+    class: "category-delete-btn",
+    "aria-label": `Supprimer la catégorie « ${category.name} »`
+  });
+  deleteBtn.appendChild(createElement("i", { class: "fa-solid fa-trash-can", "aria-hidden": "true" }));
+
+  row.append(input, renameBtn, deleteBtn);
+  return row;
+}
+
+
+/**
+ * Crée le choix de la catégorie de destination quand la catégorie à supprimer est utilisée.
+ * @param {Category} category - Catégorie à supprimer
+ * @returns {HTMLDivElement}
+ */
+function createReassignControls(category) {
+  const wrapper = createElement("div", { class: "category-reassign" });
+  const selectId = `category-reassign-${category.id}`;
+
+  const label = createElement("label", { for: selectId }, "Déplacer les projets vers");
+  const select = createElement("select", { id: selectId, class: "category-reassign-select" });
+
+  managedCategories
+    .filter(c => String(c.id) !== String(category.id))
+    .forEach(c => select.appendChild(createElement("option", { value: String(c.id) }, c.name)));
+
+  const confirmBtn = createElement("button", { type: "button", class: "category-reassign-btn" }, "Déplacer et supprimer");
+
+  wrapper.append(label, select, confirmBtn);
+  return wrapper;
+}
 
+
+/** Affiche la liste des catégories gérées.
+ * @returns {void}
+ */
+function renderCategoryList() {
+  const list = document.querySelector(".category-list");
+  if (!list) return;
+
+  list.innerHTML = "";
+  managedCategories.forEach(c => list.appendChild(createCategoryRow(c)));
+}
+
+
+/**
+ * Monte le panneau de gestion des catégories (step-categories) :
+ * - Ouverture depuis step-one (`.btn-manage-categories`), retour vers step-one
+ * - Création (`createCategory`), renommage (`updateCategory`) et suppression (`deleteCategory`)
+ * - Catégorie utilisée (409) → propose de déplacer ses projets avant suppression
+ * - Met à jour les <select> d’ajout/édition et notifie l’appelant pour les filtres
+ *
+ * @param {(change: CategoryChange) => void} [onChanged] - Callback exécuté après chaque modification réussie
+ * @returns {void}
+ */
+export function setupCategoryManager(onChanged) {
+  const stepOne = document.getElementById("step-one");
+  const stepCategories = document.getElementById("step-categories");
+  const btnOpen = document.querySelector(".btn-manage-categories");
+  const btnBack = stepCategories?.querySelector(".modal-icon-back");
+  const form = document.getElementById("category-form");
+  const input = document.getElementById("category-name");
+  const list = document.querySelector(".category-list");
+
+  if (!stepOne || !stepCategories || !btnOpen || !form || !input || !list) return;
+
+  const notify = (change) => {
+    if (typeof onChanged === "function") onChanged(change);
+  };
+
+  const applyChange = (change) => {
+    renderCategoryList();
+    syncCategorySelects();
+    notify(change);
+  };
+
+  btnOpen.addEventListener("click", async () => {
+    stepOne.style.display = "none";
+    stepCategories.style.display = "flex";
+    resetCategoryManager();
+
+    try {
+      managedCategories = await getCategories();
+      renderCategoryList();
     } catch {
-      showUiError("upload", ERROR_IDS.upload);
+      renderErrorMessage(list.parentElement, ERROR_IDS.categoryList, UI_ERROR_MESSAGES.categories);
+    }
+
+    input.focus();
+    trapFocusInModal();
+  });
+
+  btnBack?.addEventListener("click", () => {
+    stepCategories.style.display = "none";
+    stepOne.style.display = "flex";
+    resetCategoryManager();
+    const f = stepOne.querySelectorAll(focusableSelectors); if (f.length) f[0].focus();
+    trapFocusInModal();
+  });
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    const container = document.getElementById("category-group-main");
+    const submitBtn = form.querySelector("button[type=submit]");
+    const name = input.value.trim();
+
+    if (!name) {
+      renderErrorMessage(container, ERROR_IDS.categoryName, UI_ERROR_MESSAGES.categoryName);
+      input.focus();
+      return;
+    }
+
+    submitBtn.disabled = true;
+    try {
+      const created = await createCategory(name, localStorage.getItem("token"));
+      managedCategories.push(created);
+      input.value = "";
+      clearErrorMessage(ERROR_IDS.categoryName);
+      applyChange({ type: "created", category: created });
+
+    } catch (error) {
+      renderErrorMessage(container, ERROR_IDS.categoryName, categoryErrorMessage(error));
     } finally {
       submitBtn.disabled = false;
     }
   });
-}
\ No newline at end of file
+
+  list.addEventListener("click", async (e) => {
+    const btn = e.target.closest("button");
+    const row = btn?.closest(".category-row");
+    if (!btn || !row) return;
+
+    const id = Number(row.dataset.id);
+    const category = managedCategories.find(c => Number(c.id) === id);
+    if (!category) return;
+
+    const token = localStorage.getItem("token");
+
+    btn.disabled = true;
+    row.setAttribute("aria-busy", "true");
+    clearErrorMessage(ERROR_IDS.categoryList);
+
+    try {
+      if (btn.classList.contains("category-rename-btn")) {
+        const name = row.querySelector(".category-row-name").value.trim();
+        if (!name) {
+          renderErrorMessage(row, ERROR_IDS.categoryList, UI_ERROR_MESSAGES.categoryName);
+          return;
+        }
+        if (name === category.name) return;
+
+        const updated = await updateCategory(id, name, token);
+        managedCategories = managedCategories.map(c => Number(c.id) === id ? updated : c);
+        applyChange({ type: "renamed", category: updated, previousName: category.name });
+
+      } else if (btn.classList.contains("category-delete-btn")) {
+        await deleteCategory(id, token);
+        managedCategories = managedCategories.filter(c => Number(c.id) !== id);
+        applyChange({ type: "deleted", category });
+
+      } else if (btn.classList.contains("category-reassign-btn")) {
+        const reassignTo = Number(row.querySelector(".category-reassign-select").value);
+        await deleteCategory(id, token, reassignTo);
+        managedCategories = managedCategories.filter(c => Number(c.id) !== id);
+        applyChange({ type: "deleted", category, reassignTo });
+      }
+
+    } catch (error) {
+      const isRename = btn.classList.contains("category-rename-btn");
+
+      if (!isRename && error?.status === 409) {
+        if (managedCategories.length > 1 && !row.querySelector(".category-reassign")) {
+          row.appendChild(createReassignControls(category));
+        }
+        renderErrorMessage(row, ERROR_IDS.categoryList, UI_ERROR_MESSAGES.categoryInUse);
+        row.querySelector(".category-reassign-select")?.focus();
+
+      } else {
+        renderErrorMessage(row, ERROR_IDS.categoryList, isRename
+          ? categoryErrorMessage(error)
+          : UI_ERROR_MESSAGES.delete);
+      }
+
+    } finally {
+      btn.disabled = false;
+      row.removeAttribute("aria-busy");
+    }
+  });
+}
@@ -1,10 +1,12 @@
 // ./js/scripts/login.js
 
 import {
-  loginUser 
+  loginUser,
+  saveSession
 } from "./api.js";
 
 import { 
+  formatDelay,
   logOut, 
   isLogIn, 
   UI_ERROR_MESSAGES 
@@ -19,8 +21,9 @@ import {
  * @description Gestion du formulaire de connexion.
  *
  * - Valide l’email et la présence du mot de passe.
- * - Appelle `loginUser`, stocke le JWT (`localStorage.token`) et redirige vers `index.html`.
+ * - Appelle `loginUser`, stocke la session (`localStorage.token`, `userId`, `role`) et redirige vers `index.html`.
  * - Affiche l’erreur dans `#login-error` (role="alert", aria-live="assertive").
+ * - Après trop d’échecs (429), affiche un compte à rebours (`Retry-After`) et bloque l’envoi jusqu’à son terme.
  * - Initialise l’UI header via `logOut` / `domModificationLogIn`.
  *
  * @listens submit (#login-form)
@@ -29,8 +32,45 @@ import {
  */
 const form = document.getElementById("login-form");
 
+/** Intervalle du compte à rebours en cours (429), sinon null. */
+let lockoutTimer = null;
+
+
+/**
+ * Affiche le message de blocage avec compte à rebours et désactive l’envoi
+ * jusqu’à la fin du délai annoncé par l’API.
+ * @param {HTMLElement} errorElement
+ * @param {HTMLInputElement|null} submitBtn
+ * @param {number} seconds - Valeur de `Retry-After`
+ * @returns {void}
+ */
+function startLockoutCountdown(errorElement, submitBtn, seconds) {
+  clearInterval(lockoutTimer);
+  let remaining = seconds;
+
+  const render = () => {
+    errorElement.textContent = UI_ERROR_MESSAGES.loginThrottled.replace("{time}", formatDelay(remaining));
+  };
+
+  render();
+  if (submitBtn) submitBtn.disabled = true;
+
+  lockoutTimer = setInterval(() => {
+    remaining -= 1;
+    if (remaining > 0) {
+      render();
+      return;
+    }
+    clearInterval(lockoutTimer);
+    lockoutTimer = null;
+    errorElement.textContent = "";
+    if (submitBtn) submitBtn.disabled = false;
+  }, 1000);
+}
+
 form.addEventListener("submit", async (e) => {
   e.preventDefault();
+  if (lockoutTimer) return;
 
   const errorElement = document.getElementById("login-error");
   if (errorElement) {
@@ -70,23 +110,33 @@ form.addEventListener("submit", async (e) => {
   try {
     const data = await loginUser(email, password);
 
-    localStorage.setItem("token", data.token);
+    saveSession(data);
     window.location.replace("index.html");
 
   } catch (error) {
     if (!errorElement) return;
 
     let msg = "";
-    if (error?.status === 401 || error?.status === 400) {
+    if (error?.status === 400) {
+      msg = error.fields?.email || error.fields?.password || UI_ERROR_MESSAGES.login;
+
+    } else if (error?.status === 401) {
       msg = UI_ERROR_MESSAGES.login;
 
+    } else if (error?.status === 403) {
+      msg = UI_ERROR_MESSAGES.loginDisabled;
+
+    } else if (error?.status === 429) {
+      startLockoutCountdown(errorElement, submitBtn, error.retryAfter || 60);
+      return;
+
     } else {
       msg = UI_ERROR_MESSAGES.generic;
     }
     errorElement.textContent = msg;
 
   } finally {
-    if (submitBtn) submitBtn.disabled = false;
+    if (submitBtn && !lockoutTimer) submitBtn.disabled = false;
   }
 });
 
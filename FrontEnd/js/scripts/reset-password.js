@@ -0,0 +1,192 @@
+// ./js/scripts/reset-password.js
+
+import {
+  requestPasswordReset,
+  confirmPasswordReset
+} from "./api.js";
+
+import {
+  formatDelay,
+  isLogIn,
+  logOut,
+  validatePassword,
+  UI_ERROR_MESSAGES
+} from "./utils.js";
+
+import {
+  domModificationLogIn
+} from "./dom.js";
+
+/**
+ * @file reset-password.js
+ * @description Page "Mot de passe oublié" (reset-password.html).
+ *
+ * - Sans jeton dans l’URL : demande d’un lien de réinitialisation par mail (`requestPasswordReset`).
+ *   Le message de confirmation est le même que le compte existe ou non.
+ * - Avec `?token=...` (lien reçu par mail) : choix du nouveau mot de passe, validé côté client
+ *   (force, confirmation) puis envoyé avec le jeton (`confirmPasswordReset`).
+ *   Le jeton est retiré de l’URL dès la lecture (historique, partage d’écran).
+ * - Les messages s’affichent dans `#reset-message` (role="alert" / "status").
+ *
+ * @listens submit (#reset-request-form, #reset-confirm-form)
+ * @see requestPasswordReset, confirmPasswordReset (api.js)
+ */
+
+
+/**
+ * Écrit l’erreur ou la confirmation sous les formulaires.
+ * @param {string} message
+ * @param {boolean} [isSuccess=false]
+ * @returns {void}
+ */
+function setResetMessage(message, isSuccess = false) {
+  const element = document.getElementById("reset-message");
+  if (!element) return;
+
+  element.textContent = message;
+  element.classList.toggle("error-message", !isSuccess && !!message);
+  element.classList.toggle("success", isSuccess);
+  element.setAttribute("role", isSuccess ? "status" : "alert");
+}
+
+
+/**
+ * Affiche l’étape demandée (demande de lien ou nouveau mot de passe) et masque l’autre.
+ * @param {"request"|"confirm"} step
+ * @returns {void}
+ */
+function showStep(step) {
+  document.getElementById("reset-request").hidden = step !== "request";
+  document.getElementById("reset-confirm").hidden = step !== "confirm";
+}
+
+
+/**
+ * Lit le jeton de l’URL puis le retire de la barre d’adresse.
+ * @returns {string|null}
+ */
+function takeTokenFromUrl() {
+  const url = new URL(window.location);
+  const token = url.searchParams.get("token");
+  if (token) {
+    url.searchParams.delete("token");
+    window.history.replaceState({}, "", url);
+  }
+  return token;
+}
+
+
+/**
+ * Monte le formulaire de demande de lien.
+ * @returns {void}
+ */
+function setupRequestForm() {
+  const form = document.getElementById("reset-request-form");
+  if (!form) return;
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    const emailInput = document.getElementById("reset-email");
+    const submitBtn = form.querySelector(`input[type="submit"]`);
+    const email = emailInput.value.trim().toLowerCase();
+
+    setResetMessage("");
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      setResetMessage(UI_ERROR_MESSAGES.email);
+      emailInput.focus();
+      return;
+    }
+
+    submitBtn.disabled = true;
+    try {
+      await requestPasswordReset(email);
+      form.reset();
+      setResetMessage(
+        `Si un compte utilise ${email}, un lien pour changer le mot de passe vient de lui être envoyé. Pensez à vérifier les courriers indésirables.`,
+        true
+      );
+
+    } catch (error) {
+      if (error?.status === 429) {
+        setResetMessage(UI_ERROR_MESSAGES.passwordResetThrottled.replace("{time}", formatDelay(error.retryAfter || 60)));
+      } else {
+        setResetMessage(error?.status === 400 ? UI_ERROR_MESSAGES.email : UI_ERROR_MESSAGES.passwordReset);
+      }
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+}
+
+
+/**
+ * Monte le formulaire du nouveau mot de passe pour le jeton du lien.
+ * Un jeton refusé (invalide, expiré, déjà utilisé) ramène à la demande d’un nouveau lien.
+ *
+ * @param {string} token
+ * @returns {void}
+ */
+function setupConfirmForm(token) {
+  const form = document.getElementById("reset-confirm-form");
+  if (!form) return;
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    const newInput = document.getElementById("new-password");
+    const confirmInput = document.getElementById("confirm-password");
+    const submitBtn = form.querySelector(`input[type="submit"]`);
+
+    setResetMessage("");
+
+    const v = validatePassword(newInput.value);
+    if (!v.ok) {
+      setResetMessage(v.message);
+      newInput.focus();
+      return;
+    }
+
+    if (newInput.value !== confirmInput.value) {
+      setResetMessage(UI_ERROR_MESSAGES.passwordConfirm);
+      confirmInput.focus();
+      return;
+    }
+
+    submitBtn.disabled = true;
+    try {
+      await confirmPasswordReset(token, newInput.value);
+      form.reset();
+      form.hidden = true;
+      setResetMessage("Mot de passe modifié. Vous pouvez vous connecter avec ce nouveau mot de passe.", true);
+      document.querySelector(".forgot-password a")?.focus();
+
+    } catch (error) {
+      if (error?.code === "INVALID_RESET_TOKEN") {
+        showStep("request");
+        setResetMessage(UI_ERROR_MESSAGES.passwordResetInvalid);
+        document.getElementById("reset-email")?.focus();
+        return;
+      }
+      setResetMessage(error?.fields?.newPassword
+        ? UI_ERROR_MESSAGES.passwordWeak
+        : UI_ERROR_MESSAGES.passwordChange);
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+}
+
+
+(function init() {
+  const isAuth = isLogIn();
+
+  logOut(isAuth);
+  domModificationLogIn(isAuth);
+
+  const token = takeTokenFromUrl();
+  showStep(token ? "confirm" : "request");
+  setupRequestForm();
+  if (token) setupConfirmForm(token);
+})();
@@ -1,5 +1,11 @@
 // ./js/script/utils.js
 
+import {
+  clearSession,
+  isTokenExpired,
+  logoutUser
+} from "./api.js";
+
 
 /* =========================================================
  * CONSTANTES — messages d’erreurs UI
@@ -7,19 +13,71 @@
 
 // Table de messages UI (au niveau module)
 export const UI_ERROR_MESSAGES = Object.freeze({
+  audit: "Impossible de charger l’historique.",
+  batchMax: "20 photos maximum par envoi.",
+  batchRejected: "{count} photo(s) refusée(s) : corrigez ou retirez les lignes signalées, puis renvoyez.",
   categories: "Impossible de charger les catégories.",
   category: "Veuillez choisir une catégorie",
+  categoryExists: "Cette catégorie existe déjà.",
+  categoryInUse: "Des projets utilisent cette catégorie : choisissez où les déplacer.",
+  categoryName: "Veuillez saisir un nom de catégorie",
+  contactMessage: "Votre message doit contenir entre 10 et 5000 caractères.",
+  contactName: "Veuillez indiquer votre nom.",
+  contactSend: "Envoi du message échoué. Veuillez réessayer plus tard.",
+  contactThrottled: "Trop de messages envoyés. Réessayez dans {time}.",
+  categorySave: "Enregistrement de la catégorie échoué. Veuillez réessayer plus tard.",
   delete: "Suppression échouée. Veuillez réessayer plus tard.",
+  deleteForbidden: "Vous ne pouvez supprimer que vos propres projets.",
   email: "Adresse email invalide.",
   extension: "Formats acceptés : JPEG ou PNG.",
   form: "Veuillez remplir tous les champs.",
   gallery: "Impossible de charger les projets. Veuillez réessayer plus tard.",
   generic: "Une erreur est survenue. Réessayez plus tard.",
   image: "Veuillez ajouter une image",
+  imageInvalid: "Image illisible ou de dimensions non acceptées (100 à 6000 px de côté).",
+  imageProcess: "Impossible de préparer l’image : 4 Mo max et 100 px de côté min après recadrage.",
+  imagesMax: "10 images supplémentaires maximum.",
   login: "Identifiants incorrects. Veuillez réessayer.",
+  loginDisabled: "Ce compte est désactivé.",
+  loginThrottled: "Trop de tentatives de connexion. Réessayez dans {time}.",
+  messageDelete: "Suppression du message échouée. Veuillez réessayer plus tard.",
+  messageSave: "Modification du message échouée. Veuillez réessayer plus tard.",
+  messages: "Impossible de charger les messages.",
+  passwordChange: "Changement de mot de passe échoué. Veuillez réessayer plus tard.",
+  passwordConfirm: "Les deux mots de passe ne correspondent pas.",
+  passwordCurrent: "Mot de passe actuel incorrect.",
+  passwordReset: "Demande de réinitialisation échouée. Veuillez réessayer plus tard.",
+  passwordResetInvalid: "Ce lien de réinitialisation est invalide, expiré ou déjà utilisé. Demandez-en un nouveau.",
+  passwordResetThrottled: "Trop de demandes de réinitialisation. Réessayez dans {time}.",
+  passwordWeak: "8 caractères minimum, dont une lettre et un chiffre.",
+  purge: "Suppression définitive échouée. Veuillez réessayer plus tard.",
+  reorder: "Enregistrement de l’ordre des projets échoué. Veuillez réessayer plus tard.",
+  restore: "Restauration échouée. Veuillez réessayer plus tard.",
+  restoreGone: "Ce projet n’est plus dans la corbeille.",
   title: "Veuillez saisir un titre",
+  trash: "Impossible de charger la corbeille.",
   size: "Image trop lourde (4 Mo max).",
-  upload: "Échec de l’envoi. Veuillez réessayer plus tard."
+  update: "Modification échouée. Veuillez réessayer plus tard.",
+  updateForbidden: "Vous ne pouvez modifier que vos propres projets.",
+  upload: "Échec de l’envoi. Veuillez réessayer plus tard.",
+  uploadCancelled: "Envoi annulé.",
+  userDelete: "Suppression du compte échouée. Veuillez réessayer plus tard.",
+  userExists: "Un compte existe déjà avec cette adresse.",
+  userLastAdmin: "Il doit rester au moins un administrateur actif.",
+  userSave: "Modification du compte échouée. Veuillez réessayer plus tard.",
+  userSelf: "Vous ne pouvez pas désactiver, rétrograder ou supprimer votre propre compte.",
+  users: "Impossible de charger les utilisateurs.",
+  workDetail: "Impossible de charger le projet. Veuillez réessayer plus tard.",
+  workImages: "Impossible de charger les images supplémentaires du projet.",
+  workNotFound: "Ce projet n’existe pas ou a été supprimé."
+});
+
+
+// Limites d’une image acceptée par l’API (poids, côtés en px)
+export const IMAGE_LIMITS = Object.freeze({
+  maxBytes: 4 * 1024 * 1024,
+  minSide: 100,
+  maxSide: 6000
 });
 
 
@@ -58,6 +116,42 @@ export function cleanFileName(fileName) {
 }
 
 
+/**
+ * Formate un poids de fichier pour affichage ("850 Ko", "4,2 Mo").
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatFileSize(bytes) {
+  return bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1).replace(".", ",")} Mo`
+    : `${Math.max(1, Math.round(bytes / 1024))} Ko`;
+}
+
+
+/**
+ * Formate une durée en secondes : "45 s" ou "14 min 05 s".
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatDelay(seconds) {
+  const min = Math.floor(seconds / 60);
+  const sec = seconds % 60;
+  return min > 0 ? `${min} min ${String(sec).padStart(2, "0")} s` : `${sec} s`;
+}
+
+
+/**
+ * Convertit une date (ISO) en valeur d’<input type="datetime-local"> (heure locale, à la minute).
+ * @param {string|Date} date
+ * @returns {string} "AAAA-MM-JJTHH:MM"
+ */
+export function toDateTimeLocalValue(date) {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+
 /* =========================================================
  * URL — lecture/écriture de paramètres d’URL
  * =======================================================*/
@@ -74,21 +168,58 @@ export function getCategoryNameFromQueryParam () {
 }
 
 
+/**
+ * Lit `?work=...` (slug du projet affiché en détail) ou null.
+ * @returns {string|null}
+ */
+export function getWorkSlugFromQueryParam() {
+  return new URLSearchParams(window.location.search).get("work") || null;
+}
+
+
+/**
+ * Lit `?image=...` (slug du projet affiché dans la lightbox) ou null.
+ * @returns {string|null}
+ */
+export function getImageSlugFromQueryParam() {
+  return new URLSearchParams(window.location.search).get("image") || null;
+}
+
+
 /* =========================================================
  * AUTH — état d’authentification & déconnexion
  * =======================================================*/
 
 /**
- * Indique si un token d’auth existe en localStorage.
+ * Indique si une session utilisable existe en localStorage :
+ * un token d’accès valide, ou expiré mais renouvelable (refresh token présent).
+ * Une session expirée et non renouvelable est effacée.
  * @returns {boolean}
  */
 export function isLogIn() {
-  return !!localStorage.getItem("token");
+  const token = localStorage.getItem("token");
+  if (!token) return false;
+
+  if (!isTokenExpired(token) || localStorage.getItem("refreshToken")) return true;
+
+  clearSession();
+  return false;
+}
+
+
+/**
+ * Indique si l’utilisateur connecté a le rôle admin (rôle mémorisé au login).
+ * L’API reste seule juge : ceci ne sert qu’à adapter l’UI.
+ * @returns {boolean}
+ */
+export function isAdmin() {
+  return isLogIn() && localStorage.getItem("role") === "admin";
 }
 
 
 /**
- * Attache le handler de déconnexion (si connecté).
+ * Attache le handler de déconnexion (si connecté) :
+ * révoque le refresh token côté API, efface la session puis redirige vers login.
  * @param {boolean} isAuth
  * @returns {void} Ne retourne rien
  */
@@ -100,9 +231,9 @@ export function logOut(isAuth) {
   if (logoutLink.dataset.bound === "true") return;
   logoutLink.dataset.bound = "true";
 
-  logoutLink.addEventListener("click", (e)=> {
+  logoutLink.addEventListener("click", async (e)=> {
     e.preventDefault();
-    localStorage.removeItem("token");
+    await logoutUser();
     window.location.replace("./login.html");
   })
 }
@@ -135,20 +266,134 @@ export function createElement(tag, attributes = {}, textContent = "") {
  * VALIDATION — contrôles de fichiers & formulaires
  * =======================================================*/
 
+/**
+ * Valide la robustesse d’un mot de passe (même règle que l’API) :
+ * 8 caractères minimum, au moins une lettre et un chiffre.
+ * @param {string} password
+ * @returns {{ok:true} | {ok:false, message:string}}
+ */
+export function validatePassword(password) {
+  const value = String(password || "");
+  const isStrong = value.length >= 8 && /[A-Za-z]/.test(value) && /\d/.test(value);
+
+  return isStrong
+    ? { ok: true }
+    : { ok: false, message: UI_ERROR_MESSAGES.passwordWeak };
+}
+
+
 /**
  * Valide un fichier image (type/poids).
+ * `reason` permet de distinguer un fichier trop lourd (compressible) d’un mauvais format.
  * @param {File} file
- * @returns {{ok:true} | {ok:false, message:string}}
+ * @returns {{ok:true} | {ok:false, reason:"type"|"size", message:string}}
  */
 export function validateImageFile(file) {
-  const MAX = 4 * 1024 * 1024;
   const ALLOWED = ["image/jpeg", "image/png"];
 
   if (!ALLOWED.includes(file.type)) {
-    return {ok: false, message: UI_ERROR_MESSAGES.extension};
+    return {ok: false, reason: "type", message: UI_ERROR_MESSAGES.extension};
   }
-  if (file.size > MAX) {
-    return {ok: false, message: UI_ERROR_MESSAGES.size}
+  if (file.size > IMAGE_LIMITS.maxBytes) {
+    return {ok: false, reason: "size", message: UI_ERROR_MESSAGES.size}
   }
   return { ok: true};
+}
+
+
+/* =========================================================
+ * IMAGE — décodage, rotation, recadrage & compression (canvas)
+ * =======================================================*/
+
+/**
+ * Décode un fichier image.
+ * @param {File} file
+ * @returns {Promise<HTMLImageElement>}
+ * @throws {Error} Si le fichier n’est pas une image lisible
+ */
+export function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Image illisible"));
+    };
+    image.src = url;
+  });
+}
+
+
+/**
+ * Dimensions d’une image après rotation (multiple de 90°).
+ * @param {HTMLImageElement} image
+ * @param {number} rotation - En degrés : 0, 90, 180 ou 270
+ * @returns {{width:number, height:number}}
+ */
+export function getRotatedSize(image, rotation) {
+  const quarter = rotation % 180 !== 0;
+  return {
+    width: quarter ? image.naturalHeight : image.naturalWidth,
+    height: quarter ? image.naturalWidth : image.naturalHeight
+  };
+}
+
+
+/**
+ * Dessine l’image pivotée, son coin haut-gauche à l’origine du contexte
+ * (le contexte peut déjà être mis à l’échelle/décalé par l’appelant).
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {HTMLImageElement} image
+ * @param {number} rotation - En degrés : 0, 90, 180 ou 270
+ * @returns {void}
+ */
+export function drawRotatedImage(ctx, image, rotation) {
+  const { width, height } = getRotatedSize(image, rotation);
+
+  ctx.translate(width / 2, height / 2);
+  ctx.rotate((rotation * Math.PI) / 180);
+  ctx.drawImage(image, -image.naturalWidth / 2, -image.naturalHeight / 2);
+}
+
+
+/**
+ * Ré-encode une image dans le format du fichier d’origine : rotation, puis recadrage,
+ * puis baisse de la qualité (JPEG) et des dimensions jusqu’à respecter `IMAGE_LIMITS`.
+ * @param {HTMLImageElement} image
+ * @param {File} source - Fichier d’origine (nom et type repris)
+ * @param {{rotation?: number, crop?: {x:number, y:number, width:number, height:number}}} [edits={}]
+ *   `crop` dans le repère de l’image pivotée (toute l’image par défaut)
+ * @returns {Promise<File>}
+ * @throws {Error} Si l’image ne passe pas sous `maxBytes` sans descendre sous `minSide`
+ */
+export async function encodeImage(image, source, { rotation = 0, crop } = {}) {
+  const area = crop || { x: 0, y: 0, ...getRotatedSize(image, rotation) };
+  const qualities = source.type === "image/jpeg" ? [0.92, 0.85, 0.75, 0.65] : [undefined];
+  let scale = Math.min(1, IMAGE_LIMITS.maxSide / Math.max(area.width, area.height));
+
+  while (Math.min(area.width, area.height) * scale >= IMAGE_LIMITS.minSide) {
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(area.width * scale);
+    canvas.height = Math.round(area.height * scale);
+
+    const ctx = canvas.getContext("2d");
+    ctx.scale(scale, scale);
+    ctx.translate(-area.x, -area.y);
+    drawRotatedImage(ctx, image, rotation);
+
+    for (const quality of qualities) {
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, source.type, quality));
+      if (blob && blob.size <= IMAGE_LIMITS.maxBytes) {
+        return new File([blob], source.name, { type: source.type });
+      }
+    }
+    scale *= 0.8;
+  }
+
+  throw new Error("Image impossible à réduire sous la limite");
 }
\ No newline at end of file